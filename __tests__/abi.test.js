@@ -0,0 +1,135 @@
+const abi = require('../src/abi');
+
+describe('ABI encoding', () => {
+  test('should encode the spec example with static and dynamic types', () => {
+    const encoded = abi.encode(
+      ['uint256', 'uint32[]', 'bytes10', 'bytes'],
+      ['0x123', ['0x456', '0x789'], '0x31323334353637383930', '0x48656c6c6f2c20776f726c6421']
+    );
+
+    expect(encoded).toBe(
+      '0000000000000000000000000000000000000000000000000000000000000123' +
+      '0000000000000000000000000000000000000000000000000000000000000080' +
+      '3132333435363738393000000000000000000000000000000000000000000000' +
+      '00000000000000000000000000000000000000000000000000000000000000e0' +
+      '0000000000000000000000000000000000000000000000000000000000000002' +
+      '0000000000000000000000000000000000000000000000000000000000000456' +
+      '0000000000000000000000000000000000000000000000000000000000000789' +
+      '000000000000000000000000000000000000000000000000000000000000000d' +
+      '48656c6c6f2c20776f726c642100000000000000000000000000000000000000'
+    );
+  });
+
+  test('should encode a string with a head offset', () => {
+    expect(abi.encode(['string'], ['Hello World'])).toBe(
+      '0000000000000000000000000000000000000000000000000000000000000020' +
+      '000000000000000000000000000000000000000000000000000000000000000b' +
+      '48656c6c6f20576f726c64000000000000000000000000000000000000000000'
+    );
+  });
+
+  test('should encode negative integers as two\'s complement', () => {
+    expect(abi.encode(['int8'], [-1])).toBe('f'.repeat(64));
+    expect(abi.encode(['int256'], ['-2'])).toBe('f'.repeat(63) + 'e');
+  });
+
+  test('should encode bool values', () => {
+    expect(abi.encode(['bool', 'bool'], [true, 'false'])).toBe(
+      '0'.repeat(63) + '1' + '0'.repeat(64)
+    );
+  });
+
+  test('should inline static tuples and fixed arrays', () => {
+    const encoded = abi.encode(['(uint8,bool)', 'uint16[2]'], [[1, true], [2, 3]]);
+    expect(encoded).toBe(
+      '0'.repeat(63) + '1' +
+      '0'.repeat(63) + '1' +
+      '0'.repeat(63) + '2' +
+      '0'.repeat(63) + '3'
+    );
+  });
+
+  test('should offset dynamic tuples', () => {
+    const encoded = abi.encode(['uint256', '(string,uint256)'], [7, ['a', 9]]);
+    expect(encoded).toBe(
+      '0'.repeat(63) + '7' +
+      '0'.repeat(62) + '40' +
+      '0'.repeat(62) + '40' +
+      '0'.repeat(63) + '9' +
+      '0'.repeat(63) + '1' +
+      '61' + '0'.repeat(62)
+    );
+  });
+
+  test('should accept ABI parameter objects with named tuple components', () => {
+    const param = {
+      type: 'tuple',
+      components: [
+        { name: 'id', type: 'uint256' },
+        { name: 'flag', type: 'bool' }
+      ]
+    };
+    expect(abi.encode([param], [{ id: 1, flag: true }])).toBe(
+      abi.encode(['(uint256,bool)'], [[1, true]])
+    );
+  });
+
+  test('should reject out-of-range and malformed values', () => {
+    expect(() => abi.encode(['uint8'], [256])).toThrow('out of range');
+    expect(() => abi.encode(['int8'], [-129])).toThrow('out of range');
+    expect(() => abi.encode(['bytes4'], ['0x1234'])).toThrow('expected 4 bytes');
+    expect(() => abi.encode(['uint256[2]'], [[1]])).toThrow('expected 2 elements');
+    expect(() => abi.encode(['fixed128x18'], [1])).toThrow('Unsupported type');
+  });
+
+  test('should reject addresses with a bad checksum, nested ones included', () => {
+    const mistyped = '0x742d35Cc6634C0532925a3b8D82d8C20C2f84c3c';
+    const rskAddress = '0x5aaEB6053f3e94c9b9a09f33669435E7ef1bEAeD';
+
+    expect(() => abi.encode(['address'], [mistyped])).toThrow('Invalid address checksum');
+    expect(() => abi.encode(['(uint8,address[])'], [[1, [mistyped]]])).toThrow('Invalid address checksum');
+    expect(abi.encode(['address'], [mistyped.toLowerCase()])).toBe(`${'0'.repeat(24)}${mistyped.slice(2).toLowerCase()}`);
+
+    expect(() => abi.encode(['address'], [rskAddress])).toThrow(expect.objectContaining({ hint: expect.stringContaining('EIP-55') }));
+    expect(abi.encode(['address'], [rskAddress], { chainId: 30 })).toBe(`${'0'.repeat(24)}${rskAddress.slice(2).toLowerCase()}`);
+  });
+
+  test('should decode what it encodes, including dynamic arrays and tuples', () => {
+    const types = ['uint256', 'int8', 'bool', 'bytes4', 'string', 'uint32[]', '(address,bytes)[2]'];
+    const values = [
+      '291',
+      '-5',
+      true,
+      '0x12345678',
+      'Hello World',
+      ['1', '2', '3'],
+      [['0x742d35cc6634c0532925a3b8d82d8c20c2f84c3c', '0xabcd'], ['0x0000000000000000000000000000000000000001', '0x']]
+    ];
+
+    expect(abi.decode(types, '0x' + abi.encode(types, values))).toEqual(values);
+    expect(abi.decode([], '')).toEqual([]);
+  });
+
+  test('should reject truncated, misaligned and malformed data', () => {
+    const encoded = abi.encode(['uint256', 'string'], [1, 'abc']);
+
+    expect(() => abi.decode(['uint256', 'string'], encoded.slice(0, -64))).toThrow('too short');
+    expect(() => abi.decode(['uint256', 'string'], encoded + '0'.repeat(64))).toThrow('unexpected trailing byte');
+    expect(() => abi.decode(['uint256'], '0x1234')).toThrow('not 32-byte aligned');
+    expect(() => abi.decode(['uint256'], '0xzz')).toThrow('not valid hex');
+    expect(() => abi.decode(['uint8'], '0'.repeat(60) + '0100')).toThrow('out of range');
+    expect(() => abi.decode(['address'], 'f'.repeat(64))).toThrow('upper 12 bytes');
+    expect(() => abi.decode(['bool'], '0'.repeat(63) + '2')).toThrow('Invalid bool');
+  });
+
+  test('should find constructor inputs in a contract ABI', () => {
+    const inputs = [{ name: 'owner', type: 'address' }];
+    expect(abi.constructorInputs([{ type: 'function', name: 'f', inputs: [] }, { type: 'constructor', inputs }])).toBe(inputs);
+    expect(abi.constructorInputs([])).toEqual([]);
+  });
+
+  test('should split type lists without breaking tuples', () => {
+    expect(abi.splitTypes('uint256,(address,bytes32)[],string'))
+      .toEqual(['uint256', '(address,bytes32)[]', 'string']);
+  });
+});
@@ -0,0 +1,76 @@
+const ContractVerifier = require('../src/index');
+const { keccak256 } = require('../src/keccak');
+const { toChecksumAddress, isValidAddress, validateAddress } = require('../src/address');
+
+describe('Address checksums', () => {
+  test('should hash with Keccak-256', () => {
+    expect(keccak256('').toString('hex')).toBe('c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+    expect(keccak256('abc').toString('hex')).toBe('4e03657aea45a94fc7d47ba826c8d667c0d1e6e33a64a036ec44f58fa12d6c45');
+    expect(keccak256('transfer(address,uint256)').toString('hex').slice(0, 8)).toBe('a9059cbb');
+  });
+
+  test('should produce EIP-55 checksums', () => {
+    [
+      '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+      '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+      '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB',
+      '0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb'
+    ].forEach(address => {
+      expect(toChecksumAddress(address.toLowerCase())).toBe(address);
+      expect(isValidAddress(address)).toBe(true);
+    });
+  });
+
+  test('should produce EIP-1191 checksums for a chain ID', () => {
+    expect(toChecksumAddress('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed', 30)).toBe('0x5aaEB6053f3e94c9b9a09f33669435E7ef1bEAeD');
+    expect(toChecksumAddress('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed', 31)).toBe('0x5aAeb6053F3e94c9b9A09F33669435E7EF1BEaEd');
+    expect(isValidAddress('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed', 30)).toBe(false);
+  });
+
+  test('should reject a mixed-case address with a bad checksum and suggest the right one', () => {
+    const mistyped = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD';
+
+    expect(isValidAddress(mistyped)).toBe(false);
+    expect(isValidAddress(mistyped.toLowerCase())).toBe(true);
+    expect(() => validateAddress(mistyped)).toThrow('expected 0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed');
+    expect(() => validateAddress(mistyped)).toThrow(expect.objectContaining({
+      code: 'INVALID_INPUT',
+      hint: expect.stringContaining('EIP-55')
+    }));
+  });
+
+  test('should use the network checksum scheme in the verifier', () => {
+    const verifier = new ContractVerifier({ env: {} });
+    const rskAddress = '0x5aaEB6053f3e94c9b9a09f33669435E7ef1bEAeD';
+
+    expect(verifier.getNetworkInfo('rootstock')).toMatchObject({ chainId: 30, eip1191: true });
+    expect(verifier.isValidAddress(rskAddress, 'rsk')).toBe(true);
+    expect(verifier.isValidAddress(rskAddress, 'ethereum')).toBe(false);
+    expect(verifier.toChecksumAddress(rskAddress.toLowerCase(), 'rsk-testnet')).toBe('0x5aAeb6053F3e94c9b9A09F33669435E7EF1BEaEd');
+    expect(verifier.encodeAddress(rskAddress, 'rsk')).toBe('0'.repeat(24) + rskAddress.slice(2).toLowerCase());
+    expect(() => verifier.encodeAddress(rskAddress)).toThrow('Invalid address checksum');
+  });
+
+  test('should check constructor argument addresses against the network', () => {
+    const verifier = new ContractVerifier({ env: {} });
+    const rskAddress = '0x5aaEB6053f3e94c9b9a09f33669435E7ef1bEAeD';
+
+    // encode-args and manifest { types, values } arguments
+    expect(() => verifier.encodeConstructorArgs(['address'], ['0x742d35Cc6634C0532925a3b8D82d8C20C2f84c3c']))
+      .toThrow(expect.objectContaining({ code: 'INVALID_INPUT' }));
+    expect(() => verifier.encodeConstructorArgs(['address'], [rskAddress], 'ethereum')).toThrow('Invalid address checksum');
+    expect(verifier.encodeConstructorArgs(['address'], [rskAddress], 'rsk')).toBe(`0x${'0'.repeat(24)}${rskAddress.slice(2).toLowerCase()}`);
+  });
+
+  test('should reject a bad checksum before submitting', async () => {
+    const verifier = new ContractVerifier({ env: { ETHERSCAN_API_KEY: 'key' }, silent: true });
+
+    await expect(verifier.verifyContract({
+      network: 'ethereum',
+      address: '0x742d35Cc6634C0532925a3b8D82d8C20C2f84c3c',
+      sourceCode: 'contract A {}',
+      contractName: 'A',
+      compilerVersion: 'v0.8.19+commit.7dd6d404'
+    })).rejects.toMatchObject({ code: 'INVALID_INPUT', message: expect.stringContaining('0x742d35cC6634C0532925a3b8D82d8c20c2f84c3c') });
+  });
+});
@@ -0,0 +1,177 @@
+const axios = require('axios');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ContractVerifier = require('../src/index');
+const { baseUrl, buildRequest, getSmartContract } = require('../src/blockscout');
+const { HttpClient } = require('../src/http');
+
+// Multipart fields by name as { filename, value }, from a form or a sent
+// buffer and its boundary
+function parts(form, boundary = form.getBoundary()) {
+  const fields = {};
+  (Buffer.isBuffer(form) ? form : form.getBuffer()).toString().split(`--${boundary}`).forEach(chunk => {
+    const [headers, ...body] = chunk.split('\r\n\r\n');
+    const name = headers.match(/name="([^"]*)"/);
+    const filename = headers.match(/filename="([^"]*)"/);
+    if (name) {
+      fields[name[1]] = { filename: filename ? filename[1] : undefined, value: body.join('\r\n\r\n').replace(/\r\n$/, '') };
+    }
+  });
+  return fields;
+}
+
+describe('Blockscout backend', () => {
+  const address = '0x742d35cC6634C0532925a3b8D82d8c20c2f84c3c';
+  const networks = {
+    devnet: {
+      name: 'Devnet',
+      chainId: 31337,
+      url: 'http://localhost:4000/api',
+      explorerUrl: 'http://localhost:4000',
+      explorer: 'blockscout'
+    }
+  };
+  let verifier;
+
+  beforeEach(() => {
+    verifier = new ContractVerifier({ env: {}, networks });
+    jest.spyOn(verifier, 'sleep').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should derive the instance root from the API url', () => {
+    expect(baseUrl({ url: 'https://explorer.example/api' })).toBe('https://explorer.example');
+    expect(baseUrl({ url: 'https://explorer.example/api', explorerUrl: 'https://blockscout.example/' })).toBe('https://blockscout.example');
+  });
+
+  test('should build flattened, standard JSON and multi-part requests', async () => {
+    const flattened = buildRequest({
+      codeFormat: 'solidity-single-file',
+      sourceCode: 'contract A {}',
+      contractName: 'A',
+      compilerVersion: 'v0.8.19+commit.7dd6d404',
+      optimized: true,
+      runs: 500,
+      constructorArgs: '0x2a'
+    });
+    expect(flattened.method).toBe('flattened-code');
+    expect(flattened.body).toMatchObject({
+      source_code: 'contract A {}',
+      is_optimization_enabled: true,
+      optimization_runs: 500,
+      autodetect_constructor_args: false,
+      constructor_args: '2a'
+    });
+
+    const standard = buildRequest({
+      codeFormat: 'solidity-standard-json-input',
+      sourceCode: '{"language":"Solidity"}',
+      contractName: 'A.sol:A',
+      compilerVersion: 'v0.8.19+commit.7dd6d404'
+    });
+    expect(standard.method).toBe('standard-input');
+    expect(parts(standard.body).contract_name.value).toBe('A.sol:A');
+    expect(parts(standard.body).autodetect_constructor_args.value).toBe('true');
+    expect(parts(standard.body)['files[0]']).toEqual({ filename: 'input.json', value: '{"language":"Solidity"}' });
+
+    const multipart = buildRequest({
+      codeFormat: 'multi-part',
+      sources: { 'A.sol': 'import "./B.sol";', 'B.sol': 'contract B {}' },
+      compilerVersion: 'v0.8.19+commit.7dd6d404',
+      runs: 200
+    });
+    expect(multipart.method).toBe('multi-part');
+    expect(parts(multipart.body)['files[1]']).toEqual({ filename: 'B.sol', value: 'contract B {}' });
+
+    expect(() => buildRequest({ codeFormat: 'vyper' })).toThrow('does not support code format vyper');
+  });
+
+  test('should reject unknown networks with a typed error', async () => {
+    await expect(verifier.getVerificationStatus('nope', address)).rejects.toMatchObject({ code: 'INVALID_INPUT', message: 'Unsupported network: nope' });
+    await expect(verifier.getCompilerVersions('nope')).rejects.toMatchObject({ code: 'INVALID_INPUT' });
+  });
+
+  test('should retry Blockscout lookups through the verifier\'s HTTP client', async () => {
+    const httpClient = new HttpClient({ sleep: async () => {} });
+    verifier = new ContractVerifier({ env: {}, networks, httpClient });
+    const get = jest.spyOn(axios, 'get')
+      .mockRejectedValueOnce({ message: 'Service Unavailable', response: { status: 503 } })
+      .mockResolvedValueOnce({ data: { is_verified: true, name: 'A' } });
+
+    expect(await verifier.getVerificationStatus('devnet', address)).toMatchObject({ verified: true, contractName: 'A' });
+    expect(get).toHaveBeenCalledTimes(2);
+    expect(httpClient.limiters.has('host:localhost:4000')).toBe(true);
+  });
+
+  test('should treat a 404 as not verified', async () => {
+    jest.spyOn(axios, 'get').mockRejectedValue({ message: 'Not found', response: { status: 404 } });
+    expect(await getSmartContract('http://localhost:4000', address)).toEqual({ verified: false, partial: false });
+  });
+
+  test('should verify through the native API without an API key', async () => {
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({ data: { message: 'Smart-contract verification started' } });
+    const get = jest.spyOn(axios, 'get')
+      .mockResolvedValueOnce({ data: { is_verified: false } })
+      .mockResolvedValueOnce({ data: { is_verified: true, is_partially_verified: false } });
+
+    const result = await verifier.verifyContract({
+      network: 'devnet',
+      address,
+      sourcePath: path.join(__dirname, '../examples/SimpleStorage.sol'),
+      contractName: 'SimpleStorage',
+      compilerVersion: 'v0.8.19+commit.7dd6d404'
+    });
+
+    expect(result).toMatchObject({ success: true, status: 'verified' });
+    expect(post.mock.calls[0][0]).toBe(`http://localhost:4000/api/v2/smart-contracts/${address.toLowerCase()}/verification/via/flattened-code`);
+    expect(get).toHaveBeenCalledTimes(2);
+  });
+
+  test('should upload resolved imports as separate files', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'blockscout-'));
+    await fs.outputFile(path.join(dir, 'A.sol'), 'pragma solidity ^0.8.0;\nimport "./B.sol";\ncontract A is B {}');
+    await fs.outputFile(path.join(dir, 'B.sol'), 'pragma solidity ^0.8.0;\ncontract B {}');
+
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({ data: { message: 'Smart-contract verification started' } });
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: { is_verified: true } });
+
+    await verifier.verifyContract({
+      network: 'devnet',
+      address,
+      sourcePath: path.join(dir, 'A.sol'),
+      root: dir,
+      bundle: 'multi-part',
+      contractName: 'A',
+      compilerVersion: 'v0.8.19+commit.7dd6d404'
+    });
+
+    expect(post.mock.calls[0][0]).toMatch(/verification\/via\/multi-part$/);
+    const [, body, config] = post.mock.calls[0];
+    const boundary = config.headers['content-type'].match(/boundary=(.+)$/)[1];
+    expect([parts(body, boundary)['files[0]'].filename, parts(body, boundary)['files[1]'].filename].sort()).toEqual(['A.sol', 'B.sol']);
+
+    await fs.remove(dir);
+  });
+
+  test('should use the Etherscan-compatible API when configured', async () => {
+    verifier.registerNetwork('devnet', { blockscoutApi: 'etherscan' });
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({ data: { status: '1', result: 'guid' } });
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: { status: '1', result: 'Success' } });
+
+    await verifier.verifyContract({
+      network: 'devnet',
+      address,
+      sourcePath: path.join(__dirname, '../examples/SimpleStorage.sol'),
+      contractName: 'SimpleStorage',
+      compilerVersion: 'v0.8.19+commit.7dd6d404'
+    });
+
+    expect(post.mock.calls[0][0]).toBe('http://localhost:4000/api');
+    expect(post.mock.calls[0][1].get('action')).toBe('verifysourcecode');
+  });
+});
@@ -0,0 +1,39 @@
+const { extractConstructorArgs, stripMetadata } = require('../src/bytecode');
+
+// Minimal code followed by a CBOR metadata section (a1 65 'bzzr0' ... length)
+const CODE = '6080604052348015600f57600080fd5b50';
+const metadata = hash => 'a165627a7a72305820' + hash.repeat(64) + '0029';
+const ARGS = '0'.repeat(62) + '64';
+
+describe('Bytecode helpers', () => {
+  test('should strip trailing CBOR metadata', () => {
+    expect(stripMetadata('0x' + CODE + metadata('a'))).toBe(CODE);
+    expect(stripMetadata(CODE)).toBe(CODE);
+  });
+
+  test('should extract constructor arguments after the creation bytecode', () => {
+    const compiled = '0x' + CODE + metadata('a');
+    expect(extractConstructorArgs(compiled + ARGS, compiled)).toBe(ARGS);
+    expect(extractConstructorArgs(compiled, compiled)).toBe('');
+  });
+
+  test('should tolerate a different metadata hash', () => {
+    const compiled = CODE + metadata('a');
+    const deployed = CODE + metadata('b') + ARGS;
+    expect(extractConstructorArgs(deployed, compiled)).toBe(ARGS);
+  });
+
+  test('should treat library placeholders as wildcards', () => {
+    const placeholder = '__$' + 'c'.repeat(34) + '$__';
+    const compiled = '73' + placeholder + CODE;
+    const deployed = '73' + '1'.repeat(40) + CODE + ARGS;
+    expect(extractConstructorArgs(deployed, compiled)).toBe(ARGS);
+  });
+
+  test('should reject input that does not match the compiled code', () => {
+    expect(() => extractConstructorArgs('0x6000' + CODE + ARGS, CODE))
+      .toThrow('does not start with the compiled bytecode');
+    expect(() => extractConstructorArgs('0x60', CODE)).toThrow('shorter than the compiled bytecode');
+    expect(() => extractConstructorArgs(CODE + '1234', CODE)).toThrow('not 32-byte aligned');
+  });
+});
@@ -0,0 +1,91 @@
+const axios = require('axios');
+const ContractVerifier = require('../src/index');
+
+describe('Cross-chain verification status', () => {
+  const address = '0x742d35cC6634C0532925a3b8D82d8c20c2f84c3c';
+  const record = {
+    SourceCode: 'contract Token {}',
+    ABI: '[]',
+    ContractName: 'Token',
+    CompilerVersion: 'v0.8.19+commit.7dd6d404',
+    OptimizationUsed: '1',
+    Runs: '200',
+    EVMVersion: 'Default',
+    Library: '',
+    Proxy: '0',
+    Implementation: ''
+  };
+
+  // Etherscan V2 answers per chain ID
+  function mockChains(byChainId) {
+    return jest.spyOn(axios, 'get').mockImplementation(async url => {
+      const chainId = new URL(url).searchParams.get('chainid');
+      const result = byChainId[chainId];
+      if (result instanceof Error) {
+        throw result;
+      }
+      return { data: { status: '1', message: 'OK', result: [result || { SourceCode: '', ABI: 'Contract source code not verified' }] } };
+    });
+  }
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should build a matrix and flag chains that differ', async () => {
+    const verifier = new ContractVerifier({ env: { ETHERSCAN_API_KEY: 'key' }, silent: true });
+    mockChains({
+      1: record,
+      137: record,
+      10: record,
+      8453: { ...record, Runs: '1000' },
+      42161: { ...record, SourceCode: 'contract Token { uint x; }' }
+    });
+
+    const report = await verifier.getVerificationStatusMulti(address, {
+      networks: ['ethereum', 'polygon', 'optimism', 'base', 'arbitrum', 'bsc']
+    });
+
+    expect(report.reference).toBe('ethereum');
+    expect(report.consistent).toBe(false);
+    expect(report.inconsistent).toEqual(['base', 'arbitrum']);
+
+    const row = network => report.networks.find(entry => entry.network === network);
+    expect(row('polygon')).toMatchObject({ status: 'verified', contractName: 'Token', differs: [] });
+    expect(row('polygon').sourceHash).toBe(row('ethereum').sourceHash);
+    expect(row('base')).toMatchObject({
+      differs: ['settings'],
+      settingsDiff: [{ field: 'optimizer.runs', value: 1000, reference: 200 }]
+    });
+    expect(row('arbitrum')).toMatchObject({
+      differs: ['source'],
+      changedFiles: [{ path: 'Token.sol', status: 'changed' }]
+    });
+    expect(row('bsc')).toMatchObject({ status: 'unverified', verified: false });
+  });
+
+  test('should skip networks without a key and keep errors per network', async () => {
+    const verifier = new ContractVerifier({ env: { POLYGONSCAN_API_KEY: 'key' }, silent: true });
+    jest.spyOn(verifier, 'sleep').mockResolvedValue();
+    jest.spyOn(axios, 'get').mockImplementation(async url => {
+      if (url.includes('rootstock')) {
+        return { data: { is_verified: false } };
+      }
+      throw Object.assign(new Error('socket hang up'), { request: {} });
+    });
+
+    const report = await verifier.getVerificationStatusMulti(address, {
+      networks: ['mainnet', 'polygon', 'rsk', 'rsk-testnet'],
+      testnets: false
+    });
+
+    expect(report.networks.map(entry => [entry.network, entry.status])).toEqual([
+      ['ethereum', 'skipped'],
+      ['polygon', 'error'],
+      ['rsk', 'unverified']
+    ]);
+    expect(report.networks[0].message).toContain('ETHERSCAN_API_KEY');
+    expect(report.networks[1].error.code).toBe('NETWORK_ERROR');
+    expect(report).toMatchObject({ consistent: true, reference: undefined });
+  });
+});
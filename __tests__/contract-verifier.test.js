@@ -1,3 +1,4 @@
+const axios = require('axios');
 const ContractVerifier = require('../src/index');
 const fs = require('fs-extra');
 const path = require('path');
@@ -31,7 +32,7 @@ describe('ContractVerifier', () => {
   describe('Address Validation', () => {
     test('should validate correct Ethereum addresses', () => {
       const validAddresses = [
-        '0x742d35Cc6634C0532925a3b8D82d8C20C2f84c3c',
+        '0x742d35cC6634C0532925a3b8D82d8c20c2f84c3c',
         '0x0000000000000000000000000000000000000000',
         '0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF'
       ];
@@ -46,7 +47,8 @@ describe('ContractVerifier', () => {
         '0x123',
         '742d35Cc6634C0532925a3b8D82d8C20C2f84c3c',
         '0x742d35Cc6634C0532925a3b8D82d8C20C2f84c3',
-        '0x742d35Cc6634C0532925a3b8D82d8C20C2f84c3cc',
+        '0x742d35cC6634C0532925a3b8D82d8c20c2f84c3cc',
+        '0x742d35Cc6634C0532925a3b8D82d8C20C2f84c3c',
         '',
         null,
         undefined
@@ -71,6 +73,31 @@ describe('ContractVerifier', () => {
     });
   });
 
+  describe('Source Preparation', () => {
+    test('should submit single files as solidity-single-file', async () => {
+      const source = await verifier.prepareSource({
+        sourcePath: './examples/SimpleStorage.sol',
+        contractName: 'SimpleStorage'
+      });
+      expect(source.codeFormat).toBe('solidity-single-file');
+      expect(source.contractName).toBe('SimpleStorage');
+    });
+
+    test('should build standard JSON input from sources', async () => {
+      const content = await fs.readFile(path.join(__dirname, '../examples/SimpleStorage.sol'), 'utf8');
+      const source = await verifier.prepareSource({
+        sources: { 'examples/SimpleStorage.sol': content },
+        contractName: 'SimpleStorage',
+        optimized: true,
+        runs: 500
+      });
+
+      expect(source.codeFormat).toBe('solidity-standard-json-input');
+      expect(source.contractName).toBe('examples/SimpleStorage.sol:SimpleStorage');
+      expect(JSON.parse(source.sourceCode).settings.optimizer).toEqual({ enabled: true, runs: 500 });
+    });
+  });
+
   describe('Constructor Arguments', () => {
     test('should encode uint256 constructor argument', () => {
       const encoded = verifier.encodeConstructorArgs(['uint256'], [100]);
@@ -78,7 +105,7 @@ describe('ContractVerifier', () => {
     });
 
     test('should encode address constructor argument', () => {
-      const address = '0x742d35Cc6634C0532925a3b8D82d8C20C2f84c3c';
+      const address = '0x742d35cC6634C0532925a3b8D82d8c20c2f84c3c';
       const encoded = verifier.encodeConstructorArgs(['address'], [address]);
       expect(encoded).toBe('0x000000000000000000000000742d35cc6634c0532925a3b8d82d8c20c2f84c3c');
     });
@@ -86,12 +113,91 @@ describe('ContractVerifier', () => {
     test('should encode multiple constructor arguments', () => {
       const encoded = verifier.encodeConstructorArgs(
         ['uint256', 'address'], 
-        [100, '0x742d35Cc6634C0532925a3b8D82d8C20C2f84c3c']
+        [100, '0x742d35cC6634C0532925a3b8D82d8c20c2f84c3c']
       );
       expect(encoded).toBe('0x0000000000000000000000000000000000000000000000000000000000000064000000000000000000000000742d35cc6634c0532925a3b8d82d8c20c2f84c3c');
     });
   });
 
+  describe('Constructor Argument Decoding', () => {
+    const contractAbi = [{
+      type: 'constructor',
+      inputs: [{ name: 'value', type: 'uint256' }, { name: 'owner', type: 'address' }]
+    }];
+    const encoded = '0x0000000000000000000000000000000000000000000000000000000000000064000000000000000000000000742d35cc6634c0532925a3b8d82d8c20c2f84c3c';
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should decode from a type list or a contract ABI', () => {
+      const expected = ['100', '0x742d35cc6634c0532925a3b8d82d8c20c2f84c3c'];
+      expect(verifier.decodeConstructorArgs(['uint256', 'address'], encoded)).toEqual(expected);
+      expect(verifier.decodeConstructorArgs(contractAbi, encoded)).toEqual(expected);
+    });
+
+    test('should refuse to submit arguments that do not fit the constructor', async () => {
+      const checked = new ContractVerifier({ env: { ETHERSCAN_API_KEY: 'key' } });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const post = jest.spyOn(axios, 'post');
+
+      await expect(checked.verifyContract({
+        network: 'ethereum',
+        address: '0x742d35cC6634C0532925a3b8D82d8c20c2f84c3c',
+        sourcePath: path.join(__dirname, '../examples/SimpleStorage.sol'),
+        contractName: 'SimpleStorage',
+        compilerVersion: 'v0.8.19+commit.7dd6d404',
+        constructorArgs: encoded.slice(0, 66),
+        checkConstructorArgs: true,
+        abi: contractAbi
+      })).rejects.toMatchObject({
+        code: 'CONSTRUCTOR_ARGS_MISMATCH',
+        message: expect.stringContaining("don't match constructor(uint256,address)")
+      });
+      expect(post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Constructor Arguments from Creation', () => {
+    const bytecode = '0x6080604052348015600f57600080fd5b50';
+    const args = '0000000000000000000000000000000000000000000000000000000000000064';
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should look up the creation transaction by address', async () => {
+      const get = jest.spyOn(axios, 'get').mockImplementation(async (url, { params }) => {
+        if (params.action === 'getcontractcreation') {
+          return { data: { status: '1', result: [{ txHash: '0xabc', contractCreator: '0xdef' }] } };
+        }
+        return { data: { result: { hash: params.txhash, to: null, input: bytecode + args } } };
+      });
+
+      const derived = await verifier.getConstructorArgsFromCreation({
+        network: 'ethereum',
+        address: '0x742d35cC6634C0532925a3b8D82d8c20c2f84c3c',
+        creationBytecode: bytecode
+      });
+
+      expect(derived).toBe(args);
+      expect(get.mock.calls[1][1].params.txhash).toBe('0xabc');
+    });
+
+    test('should reject transactions that are not contract creations', async () => {
+      jest.spyOn(axios, 'get').mockResolvedValue({
+        data: { result: { to: '0x742d35cC6634C0532925a3b8D82d8c20c2f84c3c', input: '0x' } }
+      });
+
+      await expect(verifier.getConstructorArgsFromCreation({
+        network: 'ethereum',
+        txHash: '0xabc',
+        creationBytecode: bytecode
+      })).rejects.toThrow('only direct (EOA) deployment transactions are supported');
+    });
+  });
+
   describe('Configuration', () => {
     test('should handle missing API keys gracefully', () => {
       // Mock environment without API keys
@@ -0,0 +1,128 @@
+const axios = require('axios');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ContractVerifier = require('../src/index');
+const { satisfies, parsePragma, matchingVersions, settingsCandidates } = require('../src/detect');
+
+describe('Compiler settings detection', () => {
+  test('should match versions against pragma ranges', () => {
+    expect(satisfies('0.8.19', '^0.8.0')).toBe(true);
+    expect(satisfies('0.9.0', '^0.8.0')).toBe(false);
+    expect(satisfies('0.8.19', '>=0.7.0 <0.9.0')).toBe(true);
+    expect(satisfies('0.8.19', '>= 0.7.0 < 0.8.0')).toBe(false);
+    expect(satisfies('0.6.12', '^0.7.0 || ^0.6.12')).toBe(true);
+    expect(satisfies('0.8.20', '0.8.19')).toBe(false);
+    expect(satisfies('0.8.5', '~0.8.1')).toBe(true);
+  });
+
+  test('should read the solidity pragma', () => {
+    expect(parsePragma('// SPDX\npragma solidity ^0.8.19;\ncontract A {}')).toBe('^0.8.19');
+    expect(parsePragma('contract A {}')).toBeNull();
+  });
+
+  test('should list matching release versions newest first', () => {
+    const versions = [
+      'v0.8.17+commit.8df45f5f',
+      'v0.8.20-nightly.2023.5.1+commit.1234abcd',
+      'v0.8.19+commit.7dd6d404',
+      'v0.7.6+commit.7338295f'
+    ];
+    expect(matchingVersions(versions, '^0.8.0')).toEqual([
+      'v0.8.19+commit.7dd6d404',
+      'v0.8.17+commit.8df45f5f'
+    ]);
+  });
+
+  test('should try the optimizer off before runs values', () => {
+    const candidates = settingsCandidates({ evmVersions: ['default'], runs: [200, 1000] });
+    expect(candidates).toEqual([
+      { optimized: false, runs: 200, evmVersion: 'default' },
+      { optimized: true, runs: 200, evmVersion: 'default' },
+      { optimized: true, runs: 1000, evmVersion: 'default' }
+    ]);
+  });
+
+  describe('ContractVerifier.detectSettings', () => {
+    let cacheDir;
+    const options = {
+      network: 'ethereum',
+      address: '0x742d35cC6634C0532925a3b8D82d8c20c2f84c3c',
+      sourcePath: './examples/SimpleStorage.sol',
+      contractName: 'SimpleStorage',
+      versions: ['v0.8.20+commit.a1b79de6', 'v0.8.19+commit.7dd6d404'],
+      evmVersions: ['default'],
+      rpcUrl: 'http://127.0.0.1:8545'
+    };
+
+    beforeEach(async () => {
+      cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'detect-'));
+      // Stand-in compiler whose output depends on the optimizer runs
+      const solc = `#!/usr/bin/env node
+if (process.argv.includes('--version')) {
+  process.stdout.write('solc, the solidity compiler commandline interface\\nVersion: 0.8.19+commit.7dd6d404.Linux.g++\\n');
+  process.exit(0);
+}
+let input = '';
+process.stdin.on('data', chunk => { input += chunk; });
+process.stdin.on('end', () => {
+  const { sources, settings } = JSON.parse(input);
+  const file = Object.keys(sources)[0];
+  const code = settings.optimizer.enabled && settings.optimizer.runs === 1000 ? '600160020300' : '600100';
+  process.stdout.write(JSON.stringify({ contracts: { [file]: { SimpleStorage: { evm: { deployedBytecode: { object: code } } } } } }));
+});
+`;
+      await fs.writeFile(path.join(cacheDir, 'solc-v0.8.19+commit.7dd6d404'), solc, { mode: 0o755 });
+    });
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      delete process.env.SOLC_PATH;
+      await fs.remove(cacheDir);
+    });
+
+    test('should report the first candidate that reproduces the on-chain code', async () => {
+      jest.spyOn(axios, 'post').mockResolvedValue({ data: { result: '0x600160020300' } });
+
+      const verifier = new ContractVerifier();
+      const result = await verifier.detectSettings({ ...options, cacheDir });
+
+      expect(result.found).toBe(true);
+      expect(result.skippedVersions).toEqual(['v0.8.20+commit.a1b79de6']);
+      expect(result.settings).toEqual({
+        compilerVersion: 'v0.8.19+commit.7dd6d404',
+        optimized: true,
+        runs: 1000,
+        evmVersion: 'default'
+      });
+    });
+
+    test('should compile each version with its own binary even when SOLC_PATH is set', async () => {
+      jest.spyOn(axios, 'post').mockResolvedValue({ data: { result: '0x600160020300' } });
+      // SOLC_PATH names the 0.8.19 binary; 0.8.20 must not be reported as matching through it
+      process.env.SOLC_PATH = path.join(cacheDir, 'solc-v0.8.19+commit.7dd6d404');
+
+      const verifier = new ContractVerifier({ silent: true });
+      const result = await verifier.detectSettings({ ...options, cacheDir });
+
+      expect(result.skippedVersions).toEqual(['v0.8.20+commit.a1b79de6']);
+      expect(result.settings.compilerVersion).toBe('v0.8.19+commit.7dd6d404');
+    });
+
+    test('should only try the version of an explicit solc binary', async () => {
+      jest.spyOn(axios, 'post').mockResolvedValue({ data: { result: '0x600160020300' } });
+      const solcPath = path.join(cacheDir, 'solc-v0.8.19+commit.7dd6d404');
+
+      const verifier = new ContractVerifier({ silent: true });
+      const result = await verifier.detectSettings({ ...options, solcPath });
+
+      expect(result.skippedVersions).toEqual([]);
+      expect(result.settings).toMatchObject({ compilerVersion: 'v0.8.19+commit.7dd6d404', optimized: true, runs: 1000 });
+
+      const oldSource = path.join(cacheDir, 'Old.sol');
+      await fs.writeFile(oldSource, 'pragma solidity ^0.7.0;\ncontract SimpleStorage {}');
+      await expect(verifier.detectSettings({ ...options, sourcePath: oldSource, solcPath }))
+        .rejects.toThrow('is v0.8.19+commit.7dd6d404');
+    });
+  });
+});
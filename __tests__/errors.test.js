@@ -0,0 +1,133 @@
+const axios = require('axios');
+const path = require('path');
+const ContractVerifier = require('../src/index');
+const errors = require('../src/errors');
+
+describe('Error taxonomy', () => {
+  const address = '0x742d35cC6634C0532925a3b8D82d8c20c2f84c3c';
+  const verifyOptions = {
+    network: 'ethereum',
+    address,
+    sourcePath: path.join(__dirname, '../examples/SimpleStorage.sol'),
+    contractName: 'SimpleStorage',
+    compilerVersion: 'v0.8.19+commit.7dd6d404'
+  };
+
+  function createVerifier() {
+    const verifier = new ContractVerifier({ env: { ETHERSCAN_API_KEY: 'key' } });
+    jest.spyOn(verifier, 'sleep').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    return verifier;
+  }
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should classify known explorer result strings', () => {
+    const cases = [
+      ['Invalid API Key', errors.InvalidApiKeyError],
+      ['Missing/Invalid API Key', errors.InvalidApiKeyError],
+      ['Max rate limit reached', errors.RateLimitError],
+      ['Contract source code already verified', errors.AlreadyVerifiedError],
+      ['Fail - Unable to verify. Compiled contract deployment bytecode does NOT match the transaction deployment bytecode.', errors.BytecodeMismatchError],
+      [`Unable to locate ContractCode at ${address}`, errors.ContractNotFoundError],
+      ['Invalid or not supported solc version, see https://etherscan.io/solcversions for list', errors.CompilerVersionError],
+      ['Fail - Unable to verify. Invalid constructor arguments provided.', errors.ConstructorArgsMismatchError]
+    ];
+
+    cases.forEach(([result, ErrorClass]) => {
+      expect(errors.classify({ status: '0', message: 'NOTOK', result })).toBe(ErrorClass);
+    });
+    expect(errors.classify({ status: '0', result: 'Pending in queue' })).toBeUndefined();
+  });
+
+  test('should keep the code, hint and raw response', () => {
+    const response = { status: '0', message: 'NOTOK', result: 'Invalid API Key' };
+    const error = errors.fromExplorerResponse(response, 'Verification failed');
+
+    expect(error).toBeInstanceOf(errors.InvalidApiKeyError);
+    expect(error).toBeInstanceOf(errors.ContractVerifierError);
+    expect(error).toMatchObject({
+      name: 'InvalidApiKeyError',
+      code: 'INVALID_API_KEY',
+      message: 'Verification failed: Invalid API Key',
+      response
+    });
+    expect(error.hint).toContain('API key');
+
+    expect(errors.fromExplorerResponse({ status: '0', result: 'Something new' })).toMatchObject({ code: 'EXPLORER_ERROR' });
+    expect(errors.fromHttpError({ message: 'socket hang up', request: {} })).toBeInstanceOf(errors.NetworkError);
+    expect(errors.fromHttpError({ message: 'Too Many Requests', response: { status: 429 } })).toBeInstanceOf(errors.RateLimitError);
+    expect(ContractVerifier.errors).toBe(errors);
+  });
+
+  test('should map failures to distinct exit codes', () => {
+    const { EXIT_CODES, exitCode } = errors;
+
+    expect(exitCode(new errors.InvalidInputError('bad'))).toBe(EXIT_CODES.INVALID_INPUT);
+    expect(exitCode(new errors.MissingApiKeyError('no key'))).toBe(EXIT_CODES.AUTHENTICATION);
+    expect(exitCode(new errors.NetworkError('offline'))).toBe(EXIT_CODES.NETWORK);
+    expect(exitCode(new errors.ContractNotFoundError('missing'))).toBe(EXIT_CODES.CONTRACT_NOT_FOUND);
+    expect(exitCode({ status: 'failed', error: new errors.BytecodeMismatchError('mismatch') })).toBe(EXIT_CODES.VERIFICATION_FAILED);
+    expect(exitCode({ status: 'timeout' })).toBe(EXIT_CODES.TIMEOUT);
+    expect(exitCode(new Error('anything else'))).toBe(EXIT_CODES.FAILURE);
+    expect(new Set(Object.values(EXIT_CODES)).size).toBe(Object.keys(EXIT_CODES).length);
+  });
+
+  test('should treat an already verified contract as success', async () => {
+    const verifier = createVerifier();
+    jest.spyOn(axios, 'post').mockResolvedValue({
+      data: { status: '0', message: 'NOTOK', result: 'Contract source code already verified' }
+    });
+
+    const result = await verifier.verifyContract(verifyOptions);
+
+    expect(result).toMatchObject({ success: true, status: 'already-verified' });
+  });
+
+  test('should throw typed errors for rejected submissions', async () => {
+    const verifier = createVerifier();
+    jest.spyOn(axios, 'post').mockResolvedValue({
+      data: { status: '0', message: 'NOTOK', result: 'Invalid or not supported solc version' }
+    });
+
+    const error = await verifier.verifyContract(verifyOptions).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(errors.CompilerVersionError);
+    expect(error.response.result).toBe('Invalid or not supported solc version');
+  });
+
+  test('should attach typed errors to failed verification results', async () => {
+    const verifier = createVerifier();
+    jest.spyOn(axios, 'get').mockResolvedValueOnce({
+      data: { status: '0', message: 'NOTOK', result: 'Fail - Unable to verify. Invalid constructor arguments provided.' }
+    }).mockResolvedValueOnce({
+      data: { status: '0', message: 'NOTOK', result: 'Already Verified' }
+    });
+
+    const failed = await verifier.pollVerificationStatus('ethereum', 'guid');
+    expect(failed).toMatchObject({ success: false, status: 'failed' });
+    expect(failed.error).toBeInstanceOf(errors.ConstructorArgsMismatchError);
+
+    expect(await verifier.pollVerificationStatus('ethereum', 'guid'))
+      .toMatchObject({ success: true, status: 'already-verified' });
+  });
+
+  test('should report an invalid key instead of an unverified contract', async () => {
+    const verifier = createVerifier();
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: { status: '0', message: 'NOTOK', result: 'Invalid API Key' } });
+
+    await expect(verifier.getVerificationStatus('ethereum', address)).rejects.toBeInstanceOf(errors.InvalidApiKeyError);
+  });
+
+  test('should type missing API keys and source files', async () => {
+    const verifier = new ContractVerifier({ env: {} });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(verifier.verifyContract(verifyOptions)).rejects.toMatchObject({ code: 'MISSING_API_KEY' });
+    await expect(createVerifier().verifyContract({ ...verifyOptions, sourcePath: '/missing/Contract.sol' }))
+      .rejects.toMatchObject({ code: 'SOURCE_NOT_FOUND' });
+  });
+});
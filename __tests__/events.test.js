@@ -0,0 +1,62 @@
+const axios = require('axios');
+const path = require('path');
+const ContractVerifier = require('../src/index');
+
+describe('Logger and events', () => {
+  const address = '0x742d35cC6634C0532925a3b8D82d8c20c2f84c3c';
+  const verifyOptions = {
+    network: 'ethereum',
+    address,
+    sourcePath: path.join(__dirname, '../examples/SimpleStorage.sol'),
+    contractName: 'SimpleStorage',
+    compilerVersion: 'v0.8.19+commit.7dd6d404'
+  };
+
+  function record(verifier) {
+    const events = [];
+    ['submitted', 'pending', 'verified', 'failed'].forEach(name => {
+      verifier.on(name, payload => events.push([name, payload]));
+    });
+    return events;
+  }
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should emit progress events for a verification', async () => {
+    const verifier = new ContractVerifier({ env: { ETHERSCAN_API_KEY: 'key' }, silent: true });
+    jest.spyOn(verifier, 'sleep').mockResolvedValue();
+    const log = jest.spyOn(console, 'log');
+    const events = record(verifier);
+
+    jest.spyOn(axios, 'post').mockResolvedValue({ data: { status: '1', result: 'guid-1' } });
+    jest.spyOn(axios, 'get')
+      .mockResolvedValueOnce({ data: { status: '0', result: 'Pending in queue' } })
+      .mockResolvedValueOnce({ data: { status: '1', result: 'Pass - Verified' } });
+
+    const result = await verifier.verifyContract(verifyOptions);
+
+    expect(result).toMatchObject({ success: true, status: 'verified', guid: 'guid-1' });
+    expect(events.map(([name]) => name)).toEqual(['submitted', 'pending', 'verified']);
+    expect(events[0][1]).toMatchObject({ network: 'ethereum', address, contractName: 'SimpleStorage', guid: 'guid-1' });
+    expect(events[1][1]).toMatchObject({ guid: 'guid-1', attempt: 1, status: 'Pending in queue' });
+    expect(log).not.toHaveBeenCalled();
+  });
+
+  test('should emit failed with the error when verification throws', async () => {
+    const logger = { log: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const verifier = new ContractVerifier({ env: { ETHERSCAN_API_KEY: 'key' }, logger });
+    const events = record(verifier);
+
+    jest.spyOn(axios, 'post').mockResolvedValue({ data: { status: '0', message: 'NOTOK', result: 'Invalid API Key' } });
+
+    await expect(verifier.verifyContract(verifyOptions)).rejects.toThrow('Invalid API Key');
+
+    expect(events).toHaveLength(1);
+    expect(events[0][0]).toBe('failed');
+    expect(events[0][1].error.code).toBe('INVALID_API_KEY');
+    expect(logger.log).toHaveBeenCalledWith(expect.stringContaining('Verifying contract SimpleStorage'));
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('Invalid API Key'));
+  });
+});
@@ -0,0 +1,144 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {
+  loadFoundryContract,
+  broadcastPath,
+  readBroadcast,
+  deploymentConstructorArgs,
+  parseArgument
+} = require('../src/foundry');
+
+describe('Foundry integration', () => {
+  let projectDir;
+  const bytecode = '0x6080604052348015600f57600080fd5b50';
+  const args = '0'.repeat(62) + '2a';
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'foundry-'));
+    await fs.outputFile(path.join(projectDir, 'src/Token.sol'), 'import "solmate/ERC20.sol";\ncontract Token {}');
+    await fs.outputFile(path.join(projectDir, 'lib/solmate/src/ERC20.sol'), 'contract ERC20 {}');
+    await fs.outputJson(path.join(projectDir, 'out/Token.sol/Token.json'), {
+      abi: [{ type: 'constructor', inputs: [{ name: 'supply', type: 'uint256' }] }],
+      bytecode: { object: bytecode, linkReferences: {} },
+      deployedBytecode: { object: '0x6080' },
+      metadata: {
+        compiler: { version: '0.8.19+commit.7dd6d404' },
+        language: 'Solidity',
+        settings: {
+          remappings: ['solmate/=lib/solmate/src/'],
+          optimizer: { enabled: true, runs: 10000 },
+          metadata: { bytecodeHash: 'ipfs' },
+          compilationTarget: { 'src/Token.sol': 'Token' },
+          evmVersion: 'paris',
+          libraries: { 'src/Math.sol:Math': '0x00000000000000000000000000000000000000aa' }
+        },
+        sources: {
+          'src/Token.sol': { keccak256: '0x1' },
+          'lib/solmate/src/ERC20.sol': { keccak256: '0x2' }
+        }
+      }
+    });
+    await fs.outputJson(broadcastPath(projectDir, 'Deploy.s.sol', 1), {
+      chain: 1,
+      transactions: [
+        {
+          hash: '0x01',
+          transactionType: 'CREATE',
+          contractName: 'Token',
+          contractAddress: '0x00000000000000000000000000000000000000b1',
+          arguments: ['42'],
+          transaction: { from: '0x1', input: bytecode + args }
+        },
+        {
+          hash: '0x02',
+          transactionType: 'CALL',
+          contractName: 'Token',
+          transaction: { from: '0x1', input: '0x' }
+        },
+        {
+          hash: '0x03',
+          transactionType: 'CREATE2',
+          contractName: 'Token',
+          contractAddress: '0x00000000000000000000000000000000000000b2',
+          arguments: ['42'],
+          transaction: { from: '0x1', input: '0x' + 'ab'.repeat(32) + bytecode.slice(2) + args }
+        }
+      ]
+    });
+  });
+
+  afterEach(async () => {
+    await fs.remove(projectDir);
+  });
+
+  test('should rebuild standard JSON input from artifact metadata', async () => {
+    const build = await loadFoundryContract(projectDir, 'Token');
+
+    expect(build.contractName).toBe('src/Token.sol:Token');
+    expect(build.compilerVersion).toBe('v0.8.19+commit.7dd6d404');
+    expect(build.optimized).toBe(true);
+    expect(build.runs).toBe(10000);
+    expect(build.evmVersion).toBe('paris');
+
+    const { settings, sources } = build.standardJsonInput;
+    expect(Object.keys(sources)).toEqual(['src/Token.sol', 'lib/solmate/src/ERC20.sol']);
+    expect(settings).not.toHaveProperty('compilationTarget');
+    expect(settings.remappings).toEqual(['solmate/=lib/solmate/src/']);
+    expect(settings.libraries).toEqual({ 'src/Math.sol': { Math: '0x00000000000000000000000000000000000000aa' } });
+  });
+
+  test('should read CREATE and CREATE2 deployments from a broadcast', async () => {
+    const run = await readBroadcast(broadcastPath(projectDir, 'script/Deploy.s.sol', 1));
+    expect(run.chainId).toBe(1);
+    expect(run.deployments.map(d => d.type)).toEqual(['CREATE', 'CREATE2']);
+
+    const build = await loadFoundryContract(projectDir, 'src/Token.sol:Token');
+    run.deployments.forEach(deployment => {
+      expect(deploymentConstructorArgs(deployment, build)).toBe(args);
+    });
+  });
+
+  test('should fall back to the recorded constructor arguments', async () => {
+    const build = await loadFoundryContract(projectDir, 'Token');
+    const deployment = { type: 'CREATE', input: '0x60006000', arguments: ['42'] };
+    expect(deploymentConstructorArgs(deployment, build)).toBe(args);
+  });
+
+  test('should report factory children and skip entries without a transaction', async () => {
+    const file = path.join(projectDir, 'run.json');
+    await fs.outputJson(file, {
+      chain: 1,
+      transactions: [
+        {
+          hash: '0xf1',
+          transactionType: 'CREATE',
+          contractName: 'Token',
+          contractAddress: '0x00000000000000000000000000000000000000c1',
+          transaction: { from: '0x1', input: bytecode + args },
+          additionalContracts: [{ transactionType: 'CREATE', address: '0x00000000000000000000000000000000000000c2', initCode: '0x60' }]
+        },
+        { hash: '0xf2', transactionType: 'CREATE', contractName: 'Token', contractAddress: '0x00000000000000000000000000000000000000c3' }
+      ]
+    });
+
+    const run = await readBroadcast(file);
+    expect(run.deployments.map(d => d.address)).toEqual(['0x00000000000000000000000000000000000000c1']);
+    expect(run.skipped).toEqual([expect.objectContaining({ hash: '0xf2', reason: 'no transaction recorded' })]);
+    expect(run.additionalContracts).toEqual([{ type: 'CREATE', address: '0x00000000000000000000000000000000000000c2', hash: '0xf1' }]);
+  });
+
+  test('should parse quoted strings in recorded arrays and tuples', () => {
+    expect(parseArgument('["a", "b"]')).toEqual(['a', 'b']);
+    expect(parseArgument('["hello, world", "x y"]')).toEqual(['hello, world', 'x y']);
+    expect(parseArgument('(1, "a \\" b", [0x01, 0x02])')).toEqual(['1', 'a " b', ['0x01', '0x02']]);
+    expect(parseArgument('[(1, "one"), (2, "two")]')).toEqual([['1', 'one'], ['2', 'two']]);
+    expect(parseArgument('[]')).toEqual([]);
+    expect(parseArgument('"plain"')).toBe('plain');
+    expect(() => parseArgument('["open')).toThrow('Unterminated string');
+  });
+
+  test('should report missing artifacts', async () => {
+    await expect(loadFoundryContract(projectDir, 'Missing')).rejects.toThrow('not found');
+  });
+});
@@ -0,0 +1,113 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { loadHardhatContract, listContracts } = require('../src/hardhat');
+
+describe('Hardhat build-info', () => {
+  let projectDir;
+
+  const buildInfo = {
+    _format: 'hh-sol-build-info-1',
+    solcVersion: '0.8.19',
+    solcLongVersion: '0.8.19+commit.7dd6d404',
+    input: {
+      language: 'Solidity',
+      sources: {
+        'contracts/Token.sol': { content: 'import "./Base.sol";\ncontract Token is Base {}' },
+        'contracts/Base.sol': { content: 'import "@oz/Context.sol";\ncontract Base {}' },
+        '@oz/Context.sol': { content: 'contract Context {}' },
+        'contracts/Unrelated.sol': { content: 'contract Unrelated {}' }
+      },
+      settings: {
+        optimizer: { enabled: true, runs: 1000 },
+        evmVersion: 'paris',
+        outputSelection: {}
+      }
+    },
+    output: {
+      contracts: {
+        'contracts/Token.sol': {
+          Token: { abi: [], evm: { bytecode: { object: '6080' }, deployedBytecode: { object: '6080' } } }
+        },
+        'contracts/Unrelated.sol': {
+          Unrelated: { abi: [], evm: { bytecode: { object: '6000' }, deployedBytecode: { object: '6000' } } }
+        }
+      }
+    }
+  };
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'hardhat-'));
+    await fs.outputJson(path.join(projectDir, 'artifacts/build-info/abc123.json'), buildInfo);
+    await fs.outputJson(path.join(projectDir, 'artifacts/contracts/Token.sol/Token.dbg.json'), {
+      _format: 'hh-sol-dbg-1',
+      buildInfo: '../../build-info/abc123.json'
+    });
+  });
+
+  afterEach(async () => {
+    await fs.remove(projectDir);
+  });
+
+  test('should load compiler settings through the dbg file', async () => {
+    const build = await loadHardhatContract(projectDir, 'contracts/Token.sol:Token');
+
+    expect(build.contractName).toBe('contracts/Token.sol:Token');
+    expect(build.compilerVersion).toBe('v0.8.19+commit.7dd6d404');
+    expect(build.optimized).toBe(true);
+    expect(build.runs).toBe(1000);
+    expect(build.evmVersion).toBe('paris');
+    expect(build.creationBytecode).toBe('6080');
+    expect(Object.keys(build.standardJsonInput.sources).sort()).toEqual([
+      '@oz/Context.sol',
+      'contracts/Base.sol',
+      'contracts/Token.sol'
+    ]);
+  });
+
+  test('should find a contract by bare name by scanning build-info', async () => {
+    const build = await loadHardhatContract(projectDir, 'Unrelated');
+    expect(build.contractName).toBe('contracts/Unrelated.sol:Unrelated');
+    expect(Object.keys(build.standardJsonInput.sources)).toEqual(['contracts/Unrelated.sol']);
+  });
+
+  test('should prefer the most recently written of several builds', async () => {
+    const older = path.join(projectDir, 'artifacts/build-info/abc123.json');
+    const newer = path.join(projectDir, 'artifacts/build-info/0ff1ce.json');
+    await fs.outputJson(newer, {
+      ...buildInfo,
+      solcLongVersion: '0.8.20+commit.a1b79de6',
+      input: { ...buildInfo.input, settings: { ...buildInfo.input.settings, optimizer: { enabled: false } } }
+    });
+    await fs.utimes(older, new Date(2000, 0, 1), new Date(2000, 0, 1));
+
+    const build = await loadHardhatContract(projectDir, 'Unrelated');
+    expect(build.compilerVersion).toBe('v0.8.20+commit.a1b79de6');
+    expect(build.optimized).toBe(false);
+
+    await fs.utimes(newer, new Date(1999, 0, 1), new Date(1999, 0, 1));
+    expect((await loadHardhatContract(projectDir, 'Unrelated')).compilerVersion).toBe('v0.8.19+commit.7dd6d404');
+  });
+
+  test('should report contracts missing from the build', async () => {
+    await expect(loadHardhatContract(projectDir, 'Missing')).rejects.toThrow('not found in Hardhat build-info');
+  });
+
+  test('should list every deployable contract', async () => {
+    expect(await listContracts(projectDir)).toEqual([
+      { contractName: 'contracts/Token.sol:Token', creationBytecode: '6080' },
+      { contractName: 'contracts/Unrelated.sol:Unrelated', creationBytecode: '6000' }
+    ]);
+  });
+
+  test('should list the bytecode of the most recent build', async () => {
+    const stale = path.join(projectDir, 'artifacts/build-info/0ff1ce.json');
+    await fs.outputJson(stale, {
+      ...buildInfo,
+      output: { contracts: { 'contracts/Token.sol': { Token: { abi: [], evm: { bytecode: { object: '60ff' } } } } } }
+    });
+    await fs.utimes(stale, new Date(2000, 0, 1), new Date(2000, 0, 1));
+
+    expect(await listContracts(projectDir)).toContainEqual({ contractName: 'contracts/Token.sol:Token', creationBytecode: '6080' });
+  });
+});
@@ -0,0 +1,139 @@
+const axios = require('axios');
+const ContractVerifier = require('../src/index');
+const {
+  isRateLimited,
+  isRetryableError,
+  backoffDelay,
+  TokenBucket,
+  HttpClient
+} = require('../src/http');
+
+describe('HTTP client', () => {
+  const rateLimited = { data: { status: '0', message: 'NOTOK', result: 'Max rate limit reached' } };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should classify retryable failures', () => {
+    expect(isRateLimited(rateLimited.data)).toBe(true);
+    expect(isRateLimited({ status: '0', message: 'NOTOK', result: 'Invalid API Key' })).toBe(false);
+    expect(isRateLimited({ status: '1', result: 'Pass - Verified' })).toBe(false);
+
+    expect(isRetryableError({ response: { status: 503 } })).toBe(true);
+    expect(isRetryableError({ response: { status: 429 } })).toBe(true);
+    expect(isRetryableError({ response: { status: 400 } })).toBe(false);
+    expect(isRetryableError({ request: {}, code: 'ECONNRESET' })).toBe(true);
+    expect(isRetryableError(new Error('bad input'))).toBe(false);
+
+    // Submissions are only re-sent when they never reached the server
+    const submission = { idempotent: false };
+    expect(isRetryableError({ request: {}, code: 'ECONNREFUSED' }, submission)).toBe(true);
+    expect(isRetryableError({ request: {}, code: 'ENOTFOUND' }, submission)).toBe(true);
+    expect(isRetryableError({ response: { status: 429 } }, submission)).toBe(true);
+    expect(isRetryableError({ request: {}, code: 'ECONNABORTED' }, submission)).toBe(false);
+    expect(isRetryableError({ request: {}, code: 'ECONNRESET' }, submission)).toBe(false);
+    expect(isRetryableError({ response: { status: 503 } }, submission)).toBe(false);
+  });
+
+  test('should not re-send a submission that timed out', async () => {
+    const client = new HttpClient({ sleep: async () => {}, random: () => 0 });
+    const post = jest.spyOn(axios, 'post')
+      .mockRejectedValueOnce({ message: 'connect ECONNREFUSED', code: 'ECONNREFUSED', request: {} })
+      .mockRejectedValueOnce({ message: 'timeout of 30000ms exceeded', code: 'ECONNABORTED', request: {} });
+
+    await expect(client.post('https://api.example/api', new URLSearchParams({ apikey: 'key' })))
+      .rejects.toMatchObject({ code: 'ECONNABORTED' });
+    expect(post).toHaveBeenCalledTimes(2);
+
+    const get = jest.spyOn(axios, 'get')
+      .mockRejectedValueOnce({ message: 'timeout of 30000ms exceeded', code: 'ECONNABORTED', request: {} })
+      .mockResolvedValueOnce({ data: { status: '1', result: 'Pass - Verified' } });
+    expect((await client.get('https://api.example/api')).data.status).toBe('1');
+    expect(get).toHaveBeenCalledTimes(2);
+  });
+
+  test('should back off exponentially with jitter', () => {
+    expect(backoffDelay(0, { baseDelay: 500, random: () => 0 })).toBe(250);
+    expect(backoffDelay(0, { baseDelay: 500, random: () => 1 })).toBe(500);
+    expect(backoffDelay(3, { baseDelay: 500, random: () => 1 })).toBe(4000);
+    expect(backoffDelay(10, { baseDelay: 500, maxDelay: 10000, random: () => 1 })).toBe(10000);
+  });
+
+  test('should wait for tokens once the bucket is empty', async () => {
+    let now = 0;
+    const waits = [];
+    const bucket = new TokenBucket(5, {
+      now: () => now,
+      sleep: async ms => {
+        waits.push(ms);
+        now += ms;
+      }
+    });
+
+    for (let i = 0; i < 7; i++) {
+      await bucket.take();
+    }
+
+    expect(waits).toEqual([200, 200]);
+  });
+
+  test('should retry server errors and rate limit responses', async () => {
+    const sleep = jest.fn().mockResolvedValue();
+    const client = new HttpClient({ sleep, random: () => 0 });
+    const get = jest.spyOn(axios, 'get')
+      .mockRejectedValueOnce({ message: 'Service Unavailable', response: { status: 503 } })
+      .mockResolvedValueOnce(rateLimited)
+      .mockResolvedValueOnce({ data: { status: '1', result: 'ok' } });
+
+    const response = await client.get('https://api.example/api', { params: { apikey: 'key' } });
+
+    expect(response.data.result).toBe('ok');
+    expect(get).toHaveBeenCalledTimes(3);
+    expect(sleep.mock.calls.map(call => call[0])).toEqual([250, 500]);
+  });
+
+  test('should not retry client errors and give up after the retry budget', async () => {
+    const client = new HttpClient({ sleep: async () => {}, retries: 2 });
+
+    const badRequest = jest.spyOn(axios, 'post').mockRejectedValue({ message: 'Bad Request', response: { status: 400 } });
+    await expect(client.post('https://api.example/api', new URLSearchParams({ apikey: 'key' }))).rejects.toMatchObject({ message: 'Bad Request' });
+    expect(badRequest).toHaveBeenCalledTimes(1);
+
+    const down = jest.spyOn(axios, 'get').mockRejectedValue({ message: 'Bad Gateway', response: { status: 502 } });
+    await expect(client.get('https://api.example/api')).rejects.toMatchObject({ message: 'Bad Gateway' });
+    expect(down).toHaveBeenCalledTimes(3);
+  });
+
+  test('should share a limiter per API key', () => {
+    const client = new HttpClient();
+    expect(client.limiter('key:a')).toBe(client.limiter('key:a'));
+    expect(client.limiter('key:a')).not.toBe(client.limiter('key:b'));
+  });
+
+  test('should take polling intervals and timeouts from the options', async () => {
+    const verifier = new ContractVerifier({ env: { ETHERSCAN_API_KEY: 'key' }, pollInterval: 1000, pollTimeout: 3000 });
+    const sleep = jest.spyOn(verifier, 'sleep').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const get = jest.spyOn(axios, 'get').mockResolvedValue({ data: { status: '0', result: 'Pending in queue' } });
+
+    expect(verifier.pollingSchedule()).toEqual({ interval: 1000, maxAttempts: 3 });
+    expect(verifier.pollingSchedule({ pollInterval: 2000, pollTimeout: 10000 })).toEqual({ interval: 2000, maxAttempts: 5 });
+
+    const result = await verifier.pollVerificationStatus('ethereum', 'guid');
+    expect(result.status).toBe('timeout');
+    expect(get).toHaveBeenCalledTimes(3);
+    expect(sleep).toHaveBeenCalledWith(1000);
+  });
+
+  test('should stop polling on errors that retries could not fix', async () => {
+    const verifier = new ContractVerifier({ env: { ETHERSCAN_API_KEY: 'key' } });
+    jest.spyOn(verifier, 'sleep').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const get = jest.spyOn(axios, 'get').mockRejectedValue({ message: 'Request failed with status code 403', response: { status: 403 } });
+
+    const result = await verifier.pollVerificationStatus('ethereum', 'guid');
+    expect(result).toMatchObject({ success: false, status: 'error' });
+    expect(get).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,97 @@
+const axios = require('axios');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ContractVerifier = require('../src/index');
+const { JobStore, settingsHash } = require('../src/jobs');
+
+describe('Verification jobs', () => {
+  const address = '0x742d35cC6634C0532925a3b8D82d8c20c2f84c3c';
+  const verifyOptions = {
+    network: 'ethereum',
+    address,
+    sourcePath: path.join(__dirname, '../examples/SimpleStorage.sol'),
+    contractName: 'SimpleStorage',
+    compilerVersion: 'v0.8.19+commit.7dd6d404'
+  };
+  let dir;
+  let stateFile;
+
+  function createVerifier() {
+    const verifier = new ContractVerifier({ env: { ETHERSCAN_API_KEY: 'key' }, stateFile, silent: true });
+    jest.spyOn(verifier, 'sleep').mockResolvedValue();
+    return verifier;
+  }
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'jobs-'));
+    stateFile = path.join(dir, '.contract-verifier/state.json');
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dir);
+  });
+
+  test('should hash settings without the API key', () => {
+    const submission = { apikey: 'a', contractaddress: address, sourceCode: 'contract A {}', runs: '200' };
+    expect(settingsHash('ethereum', submission)).toBe(settingsHash('ethereum', { ...submission, apikey: 'b' }));
+    expect(settingsHash('ethereum', submission)).not.toBe(settingsHash('ethereum', { ...submission, runs: '1000' }));
+    expect(settingsHash('ethereum', submission)).not.toBe(settingsHash('polygon', submission));
+  });
+
+  test('should record and complete jobs without losing concurrent writes', async () => {
+    const store = new JobStore(stateFile);
+
+    await Promise.all(['a', 'b', 'c'].map(guid => store.record({ guid, network: 'ethereum', address })));
+    await store.complete('b', { status: 'verified', message: 'Contract verified successfully' });
+
+    const jobs = await store.list();
+    expect(jobs.map(job => job.guid).sort()).toEqual(['a', 'b', 'c']);
+    expect(await store.find('b')).toMatchObject({ status: 'verified', completedAt: expect.any(String) });
+    expect(await store.list({ status: 'pending' })).toHaveLength(2);
+  });
+
+  test('should record submissions and skip them once verified', async () => {
+    const verifier = createVerifier();
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({ data: { status: '1', result: 'guid-1' } });
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: { status: '1', result: 'Pass - Verified' } });
+
+    expect(await verifier.verifyContract(verifyOptions)).toMatchObject({ success: true, guid: 'guid-1' });
+    expect(await verifier.listJobs()).toEqual([
+      expect.objectContaining({ guid: 'guid-1', network: 'ethereum', contractName: 'SimpleStorage', status: 'verified' })
+    ]);
+
+    const repeat = await createVerifier().verifyContract(verifyOptions);
+    expect(repeat).toMatchObject({ success: true, status: 'skipped', guid: 'guid-1' });
+    expect(post).toHaveBeenCalledTimes(1);
+  });
+
+  test('should resume a timed out job instead of resubmitting', async () => {
+    const verifier = createVerifier();
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({ data: { status: '1', result: 'guid-2' } });
+    const get = jest.spyOn(axios, 'get').mockResolvedValue({ data: { status: '0', result: 'Pending in queue' } });
+
+    expect(await verifier.verifyContract({ ...verifyOptions, pollTimeout: 10000 })).toMatchObject({ status: 'timeout' });
+    expect((await verifier.jobs.find('guid-2')).status).toBe('timeout');
+
+    get.mockResolvedValue({ data: { status: '1', result: 'Pass - Verified' } });
+    const resumed = await createVerifier().verifyContract(verifyOptions);
+
+    expect(resumed).toMatchObject({ success: true, status: 'verified', guid: 'guid-2' });
+    expect(post).toHaveBeenCalledTimes(1);
+  });
+
+  test('should poll a GUID again with resumeJob and checkGuid', async () => {
+    const store = new JobStore(stateFile);
+    await store.record({ guid: 'guid-3', network: 'polygon', address });
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: { status: '0', result: 'Fail - Unable to verify' } });
+
+    const verifier = createVerifier();
+    expect(await verifier.resumeJob('guid-3')).toMatchObject({ success: false, status: 'failed', guid: 'guid-3' });
+    expect((await store.find('guid-3')).status).toBe('failed');
+
+    expect(await verifier.checkGuid('ethereum', 'unrecorded')).toMatchObject({ status: 'failed', guid: 'unrecorded' });
+    await expect(verifier.resumeJob('missing')).rejects.toMatchObject({ code: 'INVALID_INPUT' });
+  });
+});
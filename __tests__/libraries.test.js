@@ -0,0 +1,128 @@
+const axios = require('axios');
+const path = require('path');
+const ContractVerifier = require('../src/index');
+const {
+  parseLibrary,
+  normalizeLibraries,
+  toInputLibraries,
+  toExplorerFields,
+  fromLinkReferences,
+  countPlaceholders,
+  findUnlinked
+} = require('../src/libraries');
+
+describe('Library linking', () => {
+  const mathAddress = '0x00000000000000000000000000000000000000aa';
+  const address = '0x742d35cC6634C0532925a3b8D82d8c20c2f84c3c';
+  const sources = {
+    'contracts/Token.sol': { content: 'import "./Math.sol";\ncontract Token {}' },
+    'contracts/Math.sol': { content: 'library Math {}' }
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should parse library specs', () => {
+    expect(parseLibrary('Math=0x00000000000000000000000000000000000000aa')).toEqual({ file: undefined, name: 'Math', address: mathAddress });
+    expect(parseLibrary('contracts/Math.sol:Math=0x00000000000000000000000000000000000000aa'))
+      .toEqual({ file: 'contracts/Math.sol', name: 'Math', address: mathAddress });
+    expect(() => parseLibrary('Math')).toThrow('expected Name=0xAddress');
+    expect(() => parseLibrary('Math=0x1234')).toThrow('Invalid address for library Math');
+  });
+
+  test('should reject library addresses with a bad checksum', async () => {
+    const mistyped = '0x742d35Cc6634C0532925a3b8D82d8C20C2f84c3c';
+    const rskAddress = '0x5aaEB6053f3e94c9b9a09f33669435E7ef1bEAeD';
+
+    expect(() => parseLibrary(`Math=${mistyped}`)).toThrow('Invalid address for library Math checksum');
+    expect(() => normalizeLibraries({ 'contracts/Math.sol': { Math: mistyped } })).toThrow('expected 0x742d35cC6634C0532925a3b8D82d8c20c2f84c3c');
+    expect(parseLibrary(`Math=${rskAddress}`, { chainId: 30 }).address).toBe(rskAddress);
+
+    const verifier = new ContractVerifier({ env: { ETHERSCAN_API_KEY: 'key' }, silent: true });
+    const post = jest.spyOn(axios, 'post');
+    await expect(verifier.verifyContract({
+      network: 'ethereum',
+      address,
+      contractName: 'Token',
+      compilerVersion: 'v0.8.19+commit.7dd6d404',
+      sourceCode: 'contract Token {}',
+      libraries: [`Math=${mistyped}`]
+    })).rejects.toMatchObject({ code: 'INVALID_INPUT' });
+    expect(post).not.toHaveBeenCalled();
+  });
+
+  test('should normalize every accepted form', () => {
+    const expected = [{ file: 'contracts/Math.sol', name: 'Math', address: mathAddress }];
+    expect(normalizeLibraries({ 'contracts/Math.sol': { Math: mathAddress } })).toEqual(expected);
+    expect(normalizeLibraries({ 'contracts/Math.sol:Math': mathAddress })).toEqual(expected);
+    expect(normalizeLibraries([`contracts/Math.sol:Math=${mathAddress}`])).toEqual(expected);
+    expect(normalizeLibraries(undefined)).toEqual([]);
+  });
+
+  test('should locate the declaring file for settings.libraries', () => {
+    expect(toInputLibraries(normalizeLibraries({ Math: mathAddress }), sources))
+      .toEqual({ 'contracts/Math.sol': { Math: mathAddress } });
+  });
+
+  test('should build numbered explorer fields', () => {
+    expect(toExplorerFields(normalizeLibraries({ Math: mathAddress })))
+      .toEqual({ libraryname1: 'Math', libraryaddress1: mathAddress });
+
+    const eleven = Array.from({ length: 11 }, (_, i) => `Lib${i}=${mathAddress}`);
+    expect(() => toExplorerFields(normalizeLibraries(eleven))).toThrow('At most 10 libraries');
+  });
+
+  test('should find libraries that are still unlinked', () => {
+    const required = fromLinkReferences({
+      'contracts/Math.sol': { Math: [{ start: 10, length: 20 }] },
+      'contracts/Strings.sol': { Strings: [{ start: 50, length: 20 }] }
+    });
+
+    expect(findUnlinked(required, normalizeLibraries({ Math: mathAddress }))).toEqual([{ file: 'contracts/Strings.sol', name: 'Strings' }]);
+    expect(countPlaceholders(`6080__$${'a'.repeat(34)}$__60__$${'a'.repeat(34)}$__00`)).toBe(1);
+  });
+
+  test('should link libraries into standard JSON and refuse unlinked ones', async () => {
+    const verifier = new ContractVerifier({ env: { ETHERSCAN_API_KEY: 'key' } });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({ data: { status: '0', result: 'stop' } });
+
+    const options = {
+      network: 'ethereum',
+      address,
+      contractName: 'Token',
+      compilerVersion: 'v0.8.19+commit.7dd6d404',
+      sources: { 'contracts/Token.sol': sources['contracts/Token.sol'].content, 'contracts/Math.sol': 'library Math {}' },
+      linkReferences: { 'contracts/Math.sol': { Math: [{ start: 10, length: 20 }] } }
+    };
+
+    await expect(verifier.verifyContract(options)).rejects.toThrow('Unlinked libraries: contracts/Math.sol:Math');
+    expect(post).not.toHaveBeenCalled();
+
+    await expect(verifier.verifyContract({ ...options, libraries: [`Math=${mathAddress}`] })).rejects.toThrow('Verification failed');
+    const input = JSON.parse(post.mock.calls[0][1].get('sourceCode'));
+    expect(input.settings.libraries).toEqual({ 'contracts/Math.sol': { Math: mathAddress } });
+  });
+
+  test('should send library fields with single-file sources', async () => {
+    const verifier = new ContractVerifier({ env: { ETHERSCAN_API_KEY: 'key' } });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({ data: { status: '0', result: 'stop' } });
+
+    await expect(verifier.verifyContract({
+      network: 'ethereum',
+      address,
+      sourcePath: path.join(__dirname, '../examples/SimpleStorage.sol'),
+      contractName: 'SimpleStorage',
+      compilerVersion: 'v0.8.19+commit.7dd6d404',
+      libraries: { Math: mathAddress }
+    })).rejects.toThrow('Verification failed');
+
+    const data = post.mock.calls[0][1];
+    expect(data.get('libraryname1')).toBe('Math');
+    expect(data.get('libraryaddress1')).toBe(mathAddress);
+  });
+});
@@ -0,0 +1,98 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ContractVerifier = require('../src/index');
+const { expandJobs, validateManifest } = require('../src/manifest');
+const { mapLimit } = require('../src/concurrency');
+
+const ADDRESS_A = '0x00000000000000000000000000000000000000a1';
+const ADDRESS_B = '0x00000000000000000000000000000000000000b2';
+
+describe('Verification manifest', () => {
+  const manifest = {
+    defaults: { compilerVersion: 'v0.8.19+commit.7dd6d404', optimized: true, runs: 200 },
+    contracts: [
+      {
+        name: 'Token',
+        source: 'contracts/Token.sol',
+        runs: 1000,
+        constructorArgs: { types: ['uint256'], values: [100] },
+        networks: {
+          ethereum: ADDRESS_A,
+          polygon: { address: ADDRESS_B, evmVersion: 'paris' }
+        }
+      }
+    ]
+  };
+
+  test('should expand one job per contract and network', () => {
+    const jobs = expandJobs(manifest, '/project');
+
+    expect(jobs).toHaveLength(2);
+    expect(jobs[0].options).toEqual({
+      contractName: 'Token',
+      compilerVersion: 'v0.8.19+commit.7dd6d404',
+      optimized: true,
+      runs: 1000,
+      sourcePath: path.resolve('/project', 'contracts/Token.sol'),
+      constructorArgs: { types: ['uint256'], values: [100] },
+      network: 'ethereum',
+      address: ADDRESS_A
+    });
+    expect(jobs[1].options.evmVersion).toBe('paris');
+    expect(expandJobs(manifest, '/project', { networks: ['polygon'] })).toHaveLength(1);
+  });
+
+  test('should reject incomplete manifests', () => {
+    expect(() => validateManifest({})).toThrow('"contracts" must be a non-empty array');
+    expect(() => validateManifest({ contracts: [{ name: 'A', networks: { ethereum: ADDRESS_A } }] }))
+      .toThrow('needs one of "source"');
+    expect(() => validateManifest({ contracts: [{ name: 'A', source: 'A.sol' }] })).toThrow('has no "networks"');
+  });
+
+  test('should bound concurrency and keep result order', async () => {
+    let active = 0;
+    let peak = 0;
+
+    const results = await mapLimit([30, 10, 20, 5], 2, async (delay, index) => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      active--;
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2, 3]);
+    expect(peak).toBe(2);
+  });
+
+  describe('ContractVerifier.verifyAll', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'manifest-'));
+      await fs.outputJson(path.join(dir, 'contract-verifier.config.json'), manifest);
+    });
+
+    afterEach(async () => {
+      await fs.remove(dir);
+    });
+
+    test('should skip verified contracts and collect failures', async () => {
+      const verifier = new ContractVerifier();
+      jest.spyOn(verifier, 'getVerificationStatus').mockImplementation(async network => ({
+        verified: network === 'ethereum'
+      }));
+      const verify = jest.spyOn(verifier, 'verifyContract').mockRejectedValue(new Error('Invalid API Key'));
+
+      const results = await verifier.verifyAll({ manifestPath: path.join(dir, 'contract-verifier.config.json') });
+
+      expect(results.map(r => [r.network, r.status])).toEqual([
+        ['ethereum', 'skipped'],
+        ['polygon', 'error']
+      ]);
+      expect(results[1].message).toBe('Invalid API Key');
+      expect(verify.mock.calls[0][0].constructorArgs).toBe('0x' + '0'.repeat(62) + '64');
+    });
+  });
+});
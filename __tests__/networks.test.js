@@ -0,0 +1,134 @@
+const fs = require('fs-extra');
+const axios = require('axios');
+const os = require('os');
+const path = require('path');
+const ContractVerifier = require('../src/index');
+const { NetworkRegistry, createRegistry } = require('../src/networks');
+
+describe('Network registry', () => {
+  test('should resolve keys, aliases and chain IDs', () => {
+    const registry = new NetworkRegistry({});
+    expect(registry.resolve('ethereum')).toBe('ethereum');
+    expect(registry.resolve('mainnet')).toBe('ethereum');
+    expect(registry.resolve('MATIC')).toBe('polygon');
+    expect(registry.resolve(1)).toBe('ethereum');
+    expect(registry.resolve('84532')).toBe('base-sepolia');
+    expect(registry.resolve('unknown')).toBeUndefined();
+  });
+
+  test('should ship built-in testnets', () => {
+    const registry = new NetworkRegistry({});
+    ['sepolia', 'holesky', 'amoy', 'bsc-testnet', 'arbitrum-sepolia', 'optimism-sepolia', 'base-sepolia']
+      .forEach(key => expect(registry.get(key).testnet).toBe(true));
+  });
+
+  test('should read API keys from the configured env var', () => {
+    const registry = new NetworkRegistry({ ETHERSCAN_API_KEY: 'abc' });
+    expect(registry.get('ethereum').apiKey).toBe('abc');
+    expect(registry.get('sepolia').apiKey).toBe('abc');
+    expect(registry.get('polygon').apiKey).toBeUndefined();
+  });
+
+  test('should register networks from env vars', () => {
+    const registry = createRegistry({
+      env: {
+        CONTRACT_VERIFIER_NETWORK_GNOSIS_CHIADO_API_URL: 'https://chiado.example/api',
+        CONTRACT_VERIFIER_NETWORK_GNOSIS_CHIADO_CHAIN_ID: '10200',
+        CONTRACT_VERIFIER_NETWORK_GNOSIS_CHIADO_API_KEY_ENV: 'CHIADO_KEY',
+        CONTRACT_VERIFIER_NETWORK_GNOSIS_CHIADO_ALIASES: 'chiado',
+        CONTRACT_VERIFIER_NETWORK_GNOSIS_CHIADO_EIP1191: 'true',
+        CHIADO_KEY: 'secret'
+      }
+    });
+
+    const network = registry.get('chiado');
+    expect(network).toMatchObject({
+      name: 'gnosis-chiado',
+      chainId: 10200,
+      url: 'https://chiado.example/api',
+      apiKey: 'secret',
+      eip1191: true
+    });
+  });
+
+  test('should load networks from a config file', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'networks-'));
+    const file = path.join(dir, 'networks.json');
+    await fs.writeJson(file, {
+      networks: {
+        devnet: { name: 'Devnet', chainId: 31337, url: 'http://localhost:4000/api', aliases: ['local'] },
+        ethereum: { url: 'https://proxy.example/api' }
+      }
+    });
+
+    const registry = createRegistry({ env: {}, networksFile: file });
+    expect(registry.get('local').chainId).toBe(31337);
+    expect(registry.get('ethereum')).toMatchObject({ url: 'https://proxy.example/api', chainId: 1 });
+
+    await fs.remove(dir);
+  });
+
+  test('should validate registered networks', () => {
+    const registry = new NetworkRegistry({});
+    expect(() => registry.register('broken', { name: 'Broken' })).toThrow('needs an API url');
+    expect(() => registry.register('broken', { url: 'http://x', chainId: 'abc' })).toThrow('invalid chainId');
+  });
+
+  test('should merge a partial override into the existing network', () => {
+    const registry = new NetworkRegistry({});
+    registry.register('anvil', { url: 'http://localhost:8545/api', chainId: 31337, apiKey: 'local', aliases: ['dev'] });
+    const network = registry.register('anvil', { explorerUrl: 'http://localhost:8545' });
+
+    expect(network).toMatchObject({ url: 'http://localhost:8545/api', chainId: 31337, apiKey: 'local', explorerUrl: 'http://localhost:8545' });
+    expect(registry.get('dev')).toBe(network);
+    expect(registry.register('anvil', { apiKey: 'other' }).apiKey).toBe('other');
+  });
+
+  test('should expose registration through ContractVerifier', () => {
+    const verifier = new ContractVerifier();
+    verifier.registerNetwork('anvil', { url: 'http://localhost:8545/api', chainId: 31337 });
+
+    expect(verifier.getSupportedNetworks()).toContain('anvil');
+    expect(verifier.getNetworkByChainId(31337)).toBe('anvil');
+    expect(verifier.getNetworkInfo('31337').url).toBe('http://localhost:8545/api');
+  });
+});
+
+describe('Etherscan V2 endpoint', () => {
+  test('should use the unified endpoint and key when ETHERSCAN_API_KEY is set', () => {
+    const verifier = new ContractVerifier({ env: { ETHERSCAN_API_KEY: 'unified' } });
+
+    expect(verifier.getApiEndpoint('polygon')).toEqual({
+      url: 'https://api.etherscan.io/v2/api?chainid=137',
+      apiKey: 'unified',
+      version: 'v2'
+    });
+    expect(verifier.getApiEndpoint('base-sepolia').url).toBe('https://api.etherscan.io/v2/api?chainid=84532');
+  });
+
+  test('should fall back to per-chain endpoints', () => {
+    const verifier = new ContractVerifier({ env: { POLYGONSCAN_API_KEY: 'poly' } });
+    expect(verifier.getApiEndpoint('polygon')).toEqual({
+      url: 'https://api.polygonscan.com/api',
+      apiKey: 'poly',
+      version: 'v1'
+    });
+
+    const forced = new ContractVerifier({ env: { ETHERSCAN_API_KEY: 'unified', POLYGONSCAN_API_KEY: 'poly' }, apiVersion: 'v1' });
+    expect(forced.getApiEndpoint('polygon').apiKey).toBe('poly');
+
+    const custom = new ContractVerifier({ env: { ETHERSCAN_API_KEY: 'unified' } });
+    custom.registerNetwork('anvil', { url: 'http://localhost:8545/api', chainId: 31337, apiKey: 'local' });
+    expect(custom.getApiEndpoint('anvil')).toMatchObject({ url: 'http://localhost:8545/api', apiKey: 'local', version: 'v1' });
+  });
+
+  test('should send verification requests to the V2 endpoint', async () => {
+    const verifier = new ContractVerifier({ env: { ETHERSCAN_API_KEY: 'unified' } });
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({ data: { status: '1', result: 'guid' } });
+
+    await verifier.submitVerification('arbitrum', { apikey: 'unified' });
+    expect(post.mock.calls[0][0]).toBe('https://api.etherscan.io/v2/api?chainid=42161');
+
+    post.mockRestore();
+  });
+});
@@ -0,0 +1,96 @@
+const axios = require('axios');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ContractVerifier = require('../src/index');
+const { compareBytecode, usesPush0 } = require('../src/precheck');
+
+const CODE = '6080604052348015600f57600080fd5b50';
+const metadata = hash => 'a165627a7a72305820' + hash.repeat(64) + '0029';
+
+describe('Bytecode precheck', () => {
+  test('should match code that differs only in metadata', () => {
+    const result = compareBytecode(CODE + metadata('a'), '0x' + CODE + metadata('b'));
+    expect(result.match).toBe(true);
+    expect(result.exact).toBe(false);
+  });
+
+  test('should ignore immutable values', () => {
+    const compiled = '7f' + '0'.repeat(64) + CODE;
+    const onchain = '7f' + 'ab'.repeat(32) + CODE;
+    const immutableReferences = { 3: [{ start: 1, length: 32 }] };
+
+    expect(compareBytecode(compiled, onchain).match).toBe(false);
+    expect(compareBytecode(compiled, onchain, { immutableReferences }).match).toBe(true);
+  });
+
+  test('should report differing regions and hints', () => {
+    const result = compareBytecode(CODE + '00', CODE + '5f00');
+    expect(result.match).toBe(false);
+    expect(result.compiledLength).toBe(CODE.length / 2 + 1);
+    expect(result.onchainLength).toBe(CODE.length / 2 + 2);
+    expect(result.regions).toEqual([{ start: CODE.length / 2, end: CODE.length / 2 + 2 }]);
+    expect(result.hints[0]).toMatch(/PUSH0/);
+    expect(result.hints[1]).toMatch(/smaller than on-chain/);
+  });
+
+  test('should skip push data when looking for PUSH0', () => {
+    expect(usesPush0('605f')).toBe(false);
+    expect(usesPush0('5f')).toBe(true);
+  });
+
+  test('should report an empty account', () => {
+    const result = compareBytecode(CODE, '0x');
+    expect(result.match).toBe(false);
+    expect(result.hints[0]).toMatch(/No code at this address/);
+  });
+});
+
+describe('ContractVerifier.precheck', () => {
+  let tmpDir;
+  let solcPath;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'precheck-'));
+    solcPath = path.join(tmpDir, 'solc');
+    // Stand-in compiler that echoes a fixed runtime for every requested source
+    await fs.writeFile(solcPath, `#!/usr/bin/env node
+let input = '';
+process.stdin.on('data', chunk => { input += chunk; });
+process.stdin.on('end', () => {
+  const { sources } = JSON.parse(input);
+  const contracts = {};
+  for (const file of Object.keys(sources)) {
+    contracts[file] = { SimpleStorage: { evm: { deployedBytecode: { object: '${CODE}${metadata('a')}', immutableReferences: {} } } } };
+  }
+  process.stdout.write(JSON.stringify({ contracts }));
+});
+`);
+    await fs.chmod(solcPath, 0o755);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(tmpDir);
+  });
+
+  test('should compile locally and compare with eth_getCode', async () => {
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({
+      data: { jsonrpc: '2.0', id: 1, result: '0x' + CODE + metadata('c') }
+    });
+
+    const verifier = new ContractVerifier();
+    const result = await verifier.precheck({
+      network: 'ethereum',
+      address: '0x742d35cC6634C0532925a3b8D82d8c20c2f84c3c',
+      sourcePath: './examples/SimpleStorage.sol',
+      contractName: 'SimpleStorage',
+      compilerVersion: 'v0.8.19+commit.7dd6d404',
+      rpcUrl: 'http://127.0.0.1:8545',
+      solcPath
+    });
+
+    expect(result.match).toBe(true);
+    expect(post.mock.calls[0][1].method).toBe('eth_getCode');
+  });
+});
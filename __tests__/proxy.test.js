@@ -0,0 +1,104 @@
+const axios = require('axios');
+const ContractVerifier = require('../src/index');
+const { SLOTS, slotAddress, detectProxy } = require('../src/proxy');
+
+describe('Proxy verification', () => {
+  const proxyAddress = '0x742d35cc6634c0532925a3b8d82d8c20c2f84c3c';
+  const implementation = '0x00000000000000000000000000000000000000aa';
+  const beacon = '0x00000000000000000000000000000000000000bb';
+  const word = address => `0x${address.slice(2).padStart(64, '0')}`;
+  const empty = `0x${'0'.repeat(64)}`;
+
+  function reader(slots, calls = {}) {
+    return {
+      getStorageAt: async slot => slots[slot] || empty,
+      call: async to => calls[to] || '0x'
+    };
+  }
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should read addresses from storage words', () => {
+    expect(slotAddress(word(implementation))).toBe(implementation);
+    expect(slotAddress(empty)).toBeNull();
+    expect(slotAddress('0x')).toBeNull();
+  });
+
+  test('should detect EIP-1967, beacon and EIP-1822 proxies', async () => {
+    expect(await detectProxy(reader({ [SLOTS.implementation]: word(implementation) })))
+      .toMatchObject({ isProxy: true, type: 'eip1967', implementation });
+
+    expect(await detectProxy(reader({ [SLOTS.beacon]: word(beacon) }, { [beacon]: word(implementation) })))
+      .toMatchObject({ isProxy: true, type: 'eip1967-beacon', implementation, beacon });
+
+    expect(await detectProxy(reader({ [SLOTS.proxiable]: word(implementation) })))
+      .toMatchObject({ isProxy: true, type: 'eip1822', implementation });
+
+    expect((await detectProxy(reader({}))).isProxy).toBe(false);
+  });
+
+  test('should link a proxy once its implementation is verified', async () => {
+    const verifier = new ContractVerifier({ env: { ETHERSCAN_API_KEY: 'key' } });
+    jest.spyOn(verifier, 'sleep').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    jest.spyOn(axios, 'get').mockImplementation(async (url, { params }) => {
+      if (params.action === 'eth_getStorageAt') {
+        return { data: { result: params.position === SLOTS.implementation ? word(implementation) : empty } };
+      }
+      if (params.action === 'getsourcecode') {
+        return { data: { result: [{ SourceCode: 'contract Impl {}', ContractName: 'Impl' }] } };
+      }
+      if (params.action === 'checkproxyverification') {
+        return { data: { status: '1', result: `The proxy's (${proxyAddress}) implementation contract is found at ${implementation}` } };
+      }
+      throw new Error(`Unexpected action ${params.action}`);
+    });
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({ data: { status: '1', result: 'proxy-guid' } });
+
+    const result = await verifier.verifyProxy({ network: 'ethereum', address: proxyAddress });
+
+    expect(result).toMatchObject({ success: true, implementation, implementationResult: { status: 'skipped' } });
+    const data = post.mock.calls[0][1];
+    expect(data.get('action')).toBe('verifyproxycontract');
+    expect(data.get('expectedimplementation')).toBe(implementation);
+  });
+
+  test('should require the implementation source when it is not verified', async () => {
+    const verifier = new ContractVerifier({ env: { ETHERSCAN_API_KEY: 'key' } });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(axios, 'get').mockImplementation(async (url, { params }) => {
+      if (params.action === 'getsourcecode') {
+        return { data: { result: [{ SourceCode: '' }] } };
+      }
+      return { data: { result: params.position === SLOTS.implementation ? word(implementation) : empty } };
+    });
+
+    await expect(verifier.verifyProxy({ network: 'ethereum', address: proxyAddress }))
+      .rejects.toThrow(`Implementation ${implementation} is not verified`);
+  });
+
+  test('should reject an implementation address with a bad checksum', async () => {
+    const verifier = new ContractVerifier({ env: { ETHERSCAN_API_KEY: 'key' }, silent: true });
+    const get = jest.spyOn(axios, 'get');
+
+    await expect(verifier.verifyProxy({
+      network: 'ethereum',
+      address: proxyAddress,
+      implementation: '0x742d35Cc6634C0532925a3b8D82d8C20C2f84c3c'
+    })).rejects.toMatchObject({ code: 'INVALID_INPUT', message: expect.stringContaining('Invalid implementation address checksum') });
+    expect(get).not.toHaveBeenCalled();
+  });
+
+  test('should report the implementation in the verification status', async () => {
+    const verifier = new ContractVerifier({ env: { ETHERSCAN_API_KEY: 'key' } });
+    jest.spyOn(axios, 'get').mockResolvedValue({
+      data: { result: [{ SourceCode: 'contract Proxy {}', ContractName: 'Proxy', Proxy: '1', Implementation: implementation }] }
+    });
+
+    expect(await verifier.getVerificationStatus('ethereum', proxyAddress))
+      .toMatchObject({ verified: true, proxy: true, implementation });
+  });
+});
@@ -0,0 +1,101 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { parseImports, resolveSources, flatten } = require('../src/resolver');
+
+describe('Import resolver', () => {
+  let root;
+
+  const write = (file, content) => fs.outputFile(path.join(root, file), content);
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'resolver-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  test('should parse import statements and ignore comments', () => {
+    const imports = parseImports([
+      'import "./A.sol";',
+      'import {B, C as D} from "../B.sol";',
+      'import * as E from "@lib/E.sol";',
+      '// import "./Commented.sol";',
+      '/* import "./Block.sol"; */',
+      'string constant URL = "http://example.com"; import "./F.sol" as F;'
+    ].join('\n'));
+
+    expect(imports.map(i => i.path)).toEqual(['./A.sol', '../B.sol', '@lib/E.sol', './F.sol']);
+    expect(imports.map(i => i.aliased)).toEqual([false, true, true, true]);
+  });
+
+  test('should collect relative, node_modules and remapped imports', async () => {
+    await write('contracts/Token.sol', '// SPDX-License-Identifier: MIT\npragma solidity ^0.8.19;\nimport "./utils/Math.sol";\nimport "@oz/Ownable.sol";\nimport "solmate/ERC20.sol";\ncontract Token {}\n');
+    await write('contracts/utils/Math.sol', '// SPDX-License-Identifier: MIT\npragma solidity ^0.8.0;\nlibrary Math {}\n');
+    await write('node_modules/@oz/Ownable.sol', '// SPDX-License-Identifier: Apache-2.0\npragma solidity ^0.8.0;\nimport "./Context.sol";\ncontract Ownable {}\n');
+    await write('node_modules/@oz/Context.sol', 'pragma solidity ^0.8.0;\nabstract contract Context {}\n');
+    await write('lib/solmate/src/ERC20.sol', 'pragma solidity >=0.8.0;\npragma abicoder v2;\nabstract contract ERC20 {}\n');
+    await write('remappings.txt', 'solmate/=lib/solmate/src/\n');
+
+    const resolved = await resolveSources(path.join(root, 'contracts/Token.sol'), { root });
+
+    expect(resolved.entry).toBe('contracts/Token.sol');
+    expect(Object.keys(resolved.sources)).toEqual([
+      'contracts/utils/Math.sol',
+      '@oz/Context.sol',
+      '@oz/Ownable.sol',
+      'lib/solmate/src/ERC20.sol',
+      'contracts/Token.sol'
+    ]);
+    expect(resolved.remappings).toEqual(['solmate/=lib/solmate/src/']);
+
+    const flat = flatten(resolved);
+    expect(flat.startsWith('// SPDX-License-Identifier: MIT AND Apache-2.0\npragma solidity ^0.8.19;\npragma abicoder v2;\n')).toBe(true);
+    expect(flat.match(/SPDX-License-Identifier/g)).toHaveLength(1);
+    expect(flat.match(/pragma solidity/g)).toHaveLength(1);
+    expect(flat).not.toMatch(/import /);
+    expect(flat.indexOf('library Math')).toBeLessThan(flat.indexOf('contract Token'));
+  });
+
+  test('should remove the real import, not a commented-out copy of it', async () => {
+    await write('Lib.sol', 'library Lib {}\n');
+    await write('A.sol', '/* import "./Lib.sol"; */\n// import "./Lib.sol";\nimport "./Lib.sol";\ncontract A {}\n');
+
+    const flat = flatten(await resolveSources(path.join(root, 'A.sol'), { root }));
+    expect(flat).toContain('/* import "./Lib.sol"; */\n// import "./Lib.sol";\n\ncontract A {}');
+    expect(flat.match(/^import /gm)).toBeNull();
+  });
+
+  test('should leave pragmas and SPDX lines inside comments in place', async () => {
+    await write('A.sol', [
+      '// SPDX-License-Identifier: MIT',
+      'pragma solidity ^0.8.19;',
+      '/**',
+      '// SPDX-License-Identifier: GPL-3.0',
+      'pragma solidity ^0.4.0;',
+      '*/',
+      '// pragma abicoder v1;',
+      'contract A {}',
+      ''
+    ].join('\n'));
+
+    const flat = flatten(await resolveSources(path.join(root, 'A.sol'), { root }));
+    expect(flat.startsWith('// SPDX-License-Identifier: MIT\npragma solidity ^0.8.19;\n\n')).toBe(true);
+    expect(flat).toContain('/**\n// SPDX-License-Identifier: GPL-3.0\npragma solidity ^0.4.0;\n*/\n// pragma abicoder v1;\ncontract A {}');
+    expect(flat).not.toMatch(/^pragma abicoder/m);
+  });
+
+  test('should report missing imports', async () => {
+    await write('A.sol', 'import "./Missing.sol";\ncontract A {}\n');
+    await expect(resolveSources(path.join(root, 'A.sol'), { root }))
+      .rejects.toThrow('Cannot resolve import "./Missing.sol" in A.sol');
+  });
+
+  test('should detect circular imports', async () => {
+    await write('A.sol', 'import "./B.sol";\ncontract A {}\n');
+    await write('B.sol', 'import "./A.sol";\ncontract B {}\n');
+    await expect(resolveSources(path.join(root, 'A.sol'), { root }))
+      .rejects.toThrow('Circular import detected: A.sol -> B.sol -> A.sol');
+  });
+});
@@ -0,0 +1,115 @@
+const axios = require('axios');
+const ContractVerifier = require('../src/index');
+const { HttpClient } = require('../src/http');
+const { buildFiles, verify, checkByAddresses } = require('../src/sourcify');
+
+describe('Sourcify backend', () => {
+  const address = '0x742d35cC6634C0532925a3b8D82d8c20c2f84c3c';
+  const metadata = JSON.stringify({
+    language: 'Solidity',
+    settings: { compilationTarget: { 'contracts/Token.sol': 'Token' } },
+    sources: { 'contracts/Token.sol': { keccak256: '0x1' } }
+  });
+  const input = {
+    language: 'Solidity',
+    sources: { 'contracts/Token.sol': { content: 'contract Token {}' } },
+    settings: { optimizer: { enabled: false, runs: 200 } }
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should build metadata.json plus the listed sources', () => {
+    expect(buildFiles(metadata, input.sources)).toEqual({
+      'metadata.json': metadata,
+      'contracts/Token.sol': 'contract Token {}'
+    });
+    expect(() => buildFiles(metadata, {})).toThrow('Source contracts/Token.sol listed in the metadata is missing');
+  });
+
+  test('should report full and partial matches', async () => {
+    const post = jest.spyOn(axios, 'post')
+      .mockResolvedValueOnce({ data: { result: [{ address, chainId: '1', status: 'perfect' }] } })
+      .mockResolvedValueOnce({ data: { result: [{ address, chainId: '1', status: 'partial' }] } });
+
+    expect((await verify('http://localhost:5555', { address, chainId: 1, files: {} })).match).toBe('full');
+    expect((await verify('http://localhost:5555', { address, chainId: 1, files: {} })).match).toBe('partial');
+    expect(post.mock.calls[0][0]).toBe('http://localhost:5555/verify');
+    expect(post.mock.calls[0][1]).toMatchObject({ address, chain: '1' });
+  });
+
+  test('should surface Sourcify error messages', async () => {
+    jest.spyOn(axios, 'post').mockRejectedValue({
+      message: 'Request failed with status code 400',
+      response: { data: { error: 'The deployed and recompiled bytecode don\'t match.' } }
+    });
+
+    await expect(verify('http://localhost:5555', { address, chainId: 1, files: {} }))
+      .rejects.toThrow('Sourcify request failed: The deployed and recompiled bytecode don\'t match.');
+  });
+
+  test('should check existing matches by address', async () => {
+    const get = jest.spyOn(axios, 'get').mockResolvedValue({
+      data: [
+        { address, chainIds: [{ chainId: '1', status: 'partial' }] },
+        { address: '0x0000000000000000000000000000000000000001', status: 'false' }
+      ]
+    });
+
+    const statuses = await checkByAddresses('http://localhost:5555', [address, '0x0000000000000000000000000000000000000001'], 1);
+    expect(statuses).toEqual({
+      [address.toLowerCase()]: 'partial',
+      '0x0000000000000000000000000000000000000001': null
+    });
+    expect(get.mock.calls[0][1].params).toEqual({ addresses: `${address},0x0000000000000000000000000000000000000001`, chainIds: '1' });
+  });
+
+  test('should verify through each backend separately', async () => {
+    const verifier = new ContractVerifier({ env: {}, sourcifyUrl: 'http://localhost:5555/' });
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({
+      data: { result: [{ address, chainId: '1', status: 'perfect' }] }
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const results = await verifier.verifyWithBackends({
+      backend: 'all',
+      network: 'ethereum',
+      address,
+      contractName: 'Token',
+      standardJsonInput: input,
+      contractMetadata: metadata
+    });
+
+    expect(results[0]).toMatchObject({ backend: 'etherscan', success: false, status: 'error' });
+    expect(results[0].message).toContain('API key not found');
+    expect(results[1]).toMatchObject({ backend: 'sourcify', success: true, match: 'full' });
+    expect(post).toHaveBeenCalledTimes(1);
+    expect(post.mock.calls[0][0]).toBe('http://localhost:5555/verify');
+    expect(Object.keys(post.mock.calls[0][1].files)).toEqual(['metadata.json', 'contracts/Token.sol']);
+
+    await expect(verifier.verifyWithBackends({ backend: 'blockscout' })).rejects.toThrow('Unknown backend');
+  });
+
+  test('should read Sourcify status through the verifier', async () => {
+    const verifier = new ContractVerifier({ env: { SOURCIFY_URL: 'http://localhost:5555' } });
+    jest.spyOn(axios, 'get').mockResolvedValue({
+      data: [{ address, chainIds: [{ chainId: '11155111', status: 'perfect' }] }]
+    });
+
+    expect(await verifier.getSourcifyStatus('sepolia', address)).toEqual({ verified: true, match: 'full' });
+  });
+
+  test('should retry Sourcify lookups through the verifier\'s HTTP client', async () => {
+    const httpClient = new HttpClient({ sleep: async () => {} });
+    const verifier = new ContractVerifier({ env: { SOURCIFY_URL: 'http://localhost:5555' }, httpClient });
+    const get = jest.spyOn(axios, 'get')
+      .mockRejectedValueOnce({ message: 'Bad Gateway', response: { status: 502 } })
+      .mockResolvedValueOnce({ data: [{ address, chainIds: [{ chainId: '11155111', status: 'partial' }] }] });
+
+    expect(await verifier.getSourcifyStatus('sepolia', address)).toEqual({ verified: true, match: 'partial' });
+    expect(get).toHaveBeenCalledTimes(2);
+    expect(httpClient.limiters.has('host:localhost:5555')).toBe(true);
+  });
+});
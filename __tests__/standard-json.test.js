@@ -0,0 +1,49 @@
+const {
+  buildStandardJsonInput,
+  validateStandardJsonInput,
+  qualifyContractName
+} = require('../src/standard-json');
+
+describe('Standard JSON input', () => {
+  const sources = {
+    'contracts/Token.sol': 'import "./Base.sol";\ncontract Token is Base {}',
+    'contracts/Base.sol': 'abstract contract Base {}'
+  };
+
+  test('should build input with compiler settings', () => {
+    const input = buildStandardJsonInput(sources, {
+      optimized: true,
+      runs: 1000,
+      evmVersion: 'paris',
+      remappings: ['@oz/=lib/oz/'],
+      viaIR: true,
+      metadata: { bytecodeHash: 'none' }
+    });
+
+    expect(input.language).toBe('Solidity');
+    expect(input.sources['contracts/Base.sol']).toEqual({ content: sources['contracts/Base.sol'] });
+    expect(input.settings.optimizer).toEqual({ enabled: true, runs: 1000 });
+    expect(input.settings.evmVersion).toBe('paris');
+    expect(input.settings.remappings).toEqual(['@oz/=lib/oz/']);
+    expect(input.settings.viaIR).toBe(true);
+    expect(input.settings.metadata).toEqual({ bytecodeHash: 'none' });
+  });
+
+  test('should omit the default evm version', () => {
+    const input = buildStandardJsonInput(sources);
+    expect(input.settings).not.toHaveProperty('evmVersion');
+    expect(input.settings.optimizer).toEqual({ enabled: false, runs: 200 });
+  });
+
+  test('should qualify contract names with their source path', () => {
+    expect(qualifyContractName(sources, 'Token')).toBe('contracts/Token.sol:Token');
+    expect(qualifyContractName(sources, 'contracts/Base.sol:Base')).toBe('contracts/Base.sol:Base');
+    expect(() => qualifyContractName(sources, 'Missing')).toThrow('not found');
+    expect(() => qualifyContractName(sources, 'other/X.sol:X')).toThrow('not found in standard JSON input');
+  });
+
+  test('should reject input without source contents', () => {
+    expect(() => validateStandardJsonInput({})).toThrow('missing "sources"');
+    expect(() => validateStandardJsonInput({ sources: { 'A.sol': { urls: [] } } })).toThrow('has no content');
+  });
+});
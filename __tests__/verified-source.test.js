@@ -0,0 +1,168 @@
+const axios = require('axios');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ContractVerifier = require('../src/index');
+const { fromEtherscan, fromBlockscout, parseLibraryField, writeSourceTree } = require('../src/verified-source');
+const { unifiedDiff, compareSources } = require('../src/source-diff');
+
+describe('Verified source', () => {
+  const address = '0x742d35cC6634C0532925a3b8D82d8c20c2f84c3c';
+  const input = {
+    language: 'Solidity',
+    sources: {
+      'contracts/Token.sol': { content: 'import "./Lib.sol";\ncontract Token {}\n' },
+      'contracts/Lib.sol': { content: 'library Lib {}\n' }
+    },
+    settings: { optimizer: { enabled: true, runs: 200 }, evmVersion: 'paris' }
+  };
+  const record = {
+    SourceCode: `{${JSON.stringify(input)}}`,
+    ABI: '[{"type":"constructor","inputs":[]}]',
+    ContractName: 'Token',
+    CompilerVersion: 'v0.8.19+commit.7dd6d404',
+    OptimizationUsed: '1',
+    Runs: '200',
+    ConstructorArguments: '',
+    EVMVersion: 'Default',
+    Library: '',
+    LicenseType: 'MIT',
+    Proxy: '0',
+    Implementation: ''
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should unwrap standard JSON input from getsourcecode', () => {
+    const source = fromEtherscan(record);
+
+    expect(Object.keys(source.sources)).toEqual(['contracts/Token.sol', 'contracts/Lib.sol']);
+    expect(source.settings).toEqual(input.settings);
+    expect(source.abi).toEqual([{ type: 'constructor', inputs: [] }]);
+    expect(source).toMatchObject({ contractName: 'Token', language: 'Solidity', licenseType: 'MIT', proxy: false });
+  });
+
+  test('should read flattened sources with their settings and libraries', () => {
+    const source = fromEtherscan({
+      ...record,
+      SourceCode: 'contract Token {}',
+      EVMVersion: 'London',
+      Library: 'Math:0x1111111111111111111111111111111111111111;Strings:2222222222222222222222222222222222222222',
+      Proxy: '1',
+      Implementation: address
+    });
+
+    expect(source.sources).toEqual({ 'Token.sol': 'contract Token {}' });
+    expect(source.settings).toEqual({
+      optimizer: { enabled: true, runs: 200 },
+      evmVersion: 'london',
+      libraries: {
+        'Token.sol': {
+          Math: '0x1111111111111111111111111111111111111111',
+          Strings: '0x2222222222222222222222222222222222222222'
+        }
+      }
+    });
+    expect(source).toMatchObject({ proxy: true, implementation: address });
+    expect(parseLibraryField('')).toEqual({});
+  });
+
+  test('should read Blockscout smart-contract records', () => {
+    const source = fromBlockscout({
+      is_verified: true,
+      name: 'Token',
+      compiler_version: 'v0.8.19+commit.7dd6d404',
+      language: 'solidity',
+      file_path: 'contracts/Token.sol',
+      source_code: 'contract Token {}',
+      additional_sources: [{ file_path: 'contracts/Lib.sol', source_code: 'library Lib {}' }],
+      compiler_settings: { optimizer: { enabled: false, runs: 200 } },
+      evm_version: 'shanghai',
+      abi: []
+    });
+
+    expect(Object.keys(source.sources)).toEqual(['contracts/Token.sol', 'contracts/Lib.sol']);
+    expect(source.settings).toEqual({ optimizer: { enabled: false, runs: 200 }, evmVersion: 'shanghai' });
+  });
+
+  test('should write sources inside the output directory only', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fetch-'));
+    const source = { ...fromEtherscan(record), sources: { '../../escape.sol': 'x', '/abs/A.sol': 'y' } };
+
+    const files = await writeSourceTree(dir, source);
+
+    expect(files).toEqual(['sources/escape.sol', 'sources/abs/A.sol', 'settings.json', 'abi.json']);
+    expect(await fs.readJson(path.join(dir, 'settings.json'))).toMatchObject({
+      contractName: 'Token',
+      settings: input.settings,
+      sourcePaths: ['../../escape.sol', '/abs/A.sol']
+    });
+    await fs.remove(dir);
+  });
+
+  test('should produce unified diffs', () => {
+    const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'].join('\n');
+    const after = ['a', 'b', 'c', 'D', 'e', 'f', 'g', 'h', 'i'].join('\n');
+
+    expect(unifiedDiff(before, before)).toBe('');
+    expect(unifiedDiff(before, after, { fromLabel: 'verified', toLabel: 'local' })).toBe([
+      '--- verified',
+      '+++ local',
+      '@@ -1,8 +1,9 @@',
+      ' a', ' b', ' c', '-d', '+D', ' e', ' f', ' g', ' h', '+i'
+    ].join('\n'));
+  });
+
+  test('should compare files and settings', () => {
+    const verified = fromEtherscan(record);
+    const local = {
+      contractName: 'contracts/Token.sol:Token',
+      compilerVersion: 'v0.8.19+commit.7dd6d404',
+      sources: {
+        'src/Token.sol': 'import "./Lib.sol";\r\ncontract Token {}\r\n',
+        'contracts/Lib.sol': 'library Lib { }\n',
+        'contracts/Extra.sol': ''
+      },
+      settings: { optimizer: { enabled: true, runs: 1000 }, evmVersion: 'paris' }
+    };
+
+    const comparison = compareSources(local, verified);
+
+    expect(comparison.match).toBe(false);
+    expect(comparison.files.map(({ path: file, status }) => [file, status])).toEqual([
+      ['contracts/Lib.sol', 'changed'],
+      ['src/Token.sol', 'same'],
+      ['contracts/Extra.sol', 'local-only']
+    ]);
+    expect(comparison.files[0].diff).toContain('-library Lib {}\n+library Lib { }');
+    expect(comparison.settings).toEqual([{ field: 'optimizer.runs', local: 1000, verified: 200 }]);
+  });
+
+  test('should fetch and diff a verified contract', async () => {
+    const verifier = new ContractVerifier({ env: { ETHERSCAN_API_KEY: 'key' }, silent: true });
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: { status: '1', message: 'OK', result: [record] } });
+
+    const comparison = await verifier.diffVerifiedSource({
+      network: 'ethereum',
+      address,
+      contractName: 'Token',
+      compilerVersion: 'v0.8.19+commit.7dd6d404',
+      sources: Object.fromEntries(Object.entries(input.sources).map(([file, { content }]) => [file, content])),
+      optimized: true,
+      runs: 200,
+      evmVersion: 'paris'
+    });
+
+    expect(comparison).toMatchObject({ match: true, settings: [] });
+    expect(comparison.verified).toMatchObject({ network: 'ethereum', address, contractName: 'Token' });
+  });
+
+  test('should report unverified contracts', async () => {
+    const verifier = new ContractVerifier({ env: { ETHERSCAN_API_KEY: 'key' }, silent: true });
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: { status: '1', result: [{ SourceCode: '', ABI: 'Contract source code not verified' }] } });
+
+    await expect(verifier.fetchVerifiedSource('ethereum', address)).rejects.toMatchObject({ code: 'NOT_VERIFIED' });
+  });
+});
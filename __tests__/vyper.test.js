@@ -0,0 +1,137 @@
+const axios = require('axios');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ContractVerifier = require('../src/index');
+const {
+  isVyperVersion,
+  parseImports,
+  optimizeSetting,
+  modulePath,
+  resolveSources,
+  buildVyperJsonInput,
+  fetchVyperVersions
+} = require('../src/vyper');
+
+describe('Vyper support', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vyper-'));
+    await fs.outputFile(path.join(dir, 'contracts/Vault.vy'), [
+      '# pragma version ^0.3.10',
+      'from vyper.interfaces import ERC20',
+      'from interfaces import IStrategy',
+      'import interfaces.IOracle as IOracle',
+      'from . import math',
+      '',
+      '@external',
+      'def deposit(amount: uint256):',
+      '    pass'
+    ].join('\n'));
+    await fs.outputFile(path.join(dir, 'contracts/math.vy'), '@internal\ndef double(x: uint256) -> uint256:\n    return x * 2');
+    await fs.outputFile(path.join(dir, 'interfaces/IStrategy.vyi'), '@external\ndef harvest():\n    ...');
+    await fs.outputJson(path.join(dir, 'interfaces/IOracle.json'), { abi: [{ type: 'function', name: 'price', inputs: [], outputs: [] }] });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(dir);
+  });
+
+  test('should recognise Vyper compiler versions', () => {
+    expect(isVyperVersion('vyper:0.3.10')).toBe(true);
+    expect(isVyperVersion('vyper:0.4.0rc6')).toBe(true);
+    expect(isVyperVersion('v0.3.10')).toBe(false);
+
+    const verifier = new ContractVerifier({ env: {} });
+    expect(verifier.isValidCompilerVersion('vyper:0.3.10')).toBe(true);
+    expect(verifier.isValidCompilerVersion('v0.8.19+commit.7dd6d404')).toBe(true);
+    expect(verifier.isValidCompilerVersion('vyper-0.3.10')).toBe(false);
+  });
+
+  test('should parse imports and skip compiler built-ins', () => {
+    expect(parseImports('from vyper.interfaces import ERC20\nfrom interfaces import IStrategy, IPool\nimport lib.math as math\nfrom .. import owned'))
+      .toEqual(['lib.math', 'interfaces.IStrategy', 'interfaces.IPool', '..owned']);
+    expect(modulePath('..owned', 'contracts/tokens/Token.vy')).toBe('contracts/owned');
+    expect(modulePath('.math', 'contracts/Vault.vy')).toBe('contracts/math');
+    expect(modulePath('interfaces.IStrategy', 'contracts/Vault.vy')).toBe('interfaces/IStrategy');
+  });
+
+  test('should ignore imports in comments and docstrings', () => {
+    const source = [
+      '# import interfaces.IOld as IOld',
+      '"""',
+      '@notice Use it like this:',
+      '    from interfaces import IExample',
+      '"""',
+      'import lib.math as math  # import lib.unused',
+      "NAME: constant(String[8]) = '# import x'"
+    ].join('\n');
+
+    expect(parseImports(source)).toEqual(['lib.math']);
+  });
+
+  test('should map the optimized flag onto settings.optimize', () => {
+    expect(optimizeSetting(true, 'vyper:0.3.10')).toBe('gas');
+    expect(optimizeSetting(false, 'vyper:0.4.0')).toBe('none');
+    expect(optimizeSetting(false, 'vyper:0.3.7')).toBe(false);
+    expect(optimizeSetting(undefined, 'vyper:0.3.10')).toBeUndefined();
+
+    const resolved = { entry: 'Vault.vy', files: { 'Vault.vy': '' } };
+    expect(buildVyperJsonInput(resolved, { optimized: false, compilerVersion: 'vyper:0.3.10' }).settings.optimize).toBe('none');
+    expect(buildVyperJsonInput(resolved, { optimized: true, optimize: 'codesize' }).settings.optimize).toBe('codesize');
+    expect(buildVyperJsonInput(resolved, {}).settings).not.toHaveProperty('optimize');
+  });
+
+  test('should bundle sources and .vyi/.json interfaces into vyper-json', async () => {
+    const resolved = await resolveSources(path.join(dir, 'contracts/Vault.vy'), { root: dir });
+    const input = buildVyperJsonInput(resolved, { evmVersion: 'shanghai' });
+
+    expect(input.language).toBe('Vyper');
+    expect(Object.keys(input.sources).sort()).toEqual(['contracts/Vault.vy', 'contracts/math.vy']);
+    expect(Object.keys(input.interfaces).sort()).toEqual(['interfaces/IOracle.json', 'interfaces/IStrategy.vyi']);
+    expect(input.interfaces['interfaces/IOracle.json'].abi[0].name).toBe('price');
+    expect(input.settings.evmVersion).toBe('shanghai');
+  });
+
+  test('should report unresolved imports', async () => {
+    await fs.outputFile(path.join(dir, 'contracts/Broken.vy'), 'from interfaces import IMissing');
+    await expect(resolveSources(path.join(dir, 'contracts/Broken.vy'), { root: dir }))
+      .rejects.toThrow('Cannot resolve import "interfaces.IMissing"');
+  });
+
+  test('should submit Vyper contracts as vyper-json', async () => {
+    const verifier = new ContractVerifier({ env: { ETHERSCAN_API_KEY: 'key' } });
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({ data: { status: '0', message: 'NOTOK', result: 'rejected' } });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(verifier.verifyContract({
+      network: 'ethereum',
+      address: '0x742d35cC6634C0532925a3b8D82d8c20c2f84c3c',
+      sourcePath: path.join(dir, 'contracts/Vault.vy'),
+      root: dir,
+      contractName: 'Vault',
+      compilerVersion: 'vyper:0.3.10'
+    })).rejects.toThrow('Verification failed');
+
+    const data = post.mock.calls[0][1];
+    expect(data.get('codeformat')).toBe('vyper-json');
+    expect(data.get('contractname')).toBe('contracts/Vault.vy:Vault');
+    expect(data.get('compilerversion')).toBe('vyper:0.3.10');
+    expect(JSON.parse(data.get('sourceCode')).interfaces['interfaces/IStrategy.vyi']).toBeDefined();
+  });
+
+  test('should list released Vyper compilers', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue({
+      data: [
+        { tag_name: 'v0.4.1rc1', prerelease: true },
+        { tag_name: 'v0.4.0', prerelease: false },
+        { tag_name: 'v0.3.10', prerelease: false }
+      ]
+    });
+
+    expect(await fetchVyperVersions()).toEqual(['vyper:0.4.0', 'vyper:0.3.10']);
+  });
+});
@@ -0,0 +1,166 @@
+const axios = require('axios');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const ContractVerifier = require('../src/index');
+const { create2Address, findCreations, matchArtifact, CREATE2_FACTORY } = require('../src/watch');
+
+describe('Watch mode', () => {
+  const rpcUrl = 'http://localhost:8545';
+  const deployer = '0xf39fd6e51aad88f6f4ce6ab8827279cfffb92266';
+  const deployed = '0x5fbdb2315678afecb367f032d93f642f64180aa3';
+  const bytecode = '0x6080604052348015600f57600080fd5b50';
+  const args = '0'.repeat(62) + '2a';
+  const networks = {
+    anvil: { name: 'Anvil', chainId: 31337, url: 'http://localhost:4000/api', apiKey: 'key' }
+  };
+  let projectDir;
+
+  // Answers JSON-RPC calls from `handlers` and explorer submissions with `submit`
+  function mockNode(handlers, submit) {
+    return jest.spyOn(axios, 'post').mockImplementation(async (url, body) => {
+      if (url === rpcUrl) {
+        return { data: { jsonrpc: '2.0', id: body.id, result: handlers[body.method](...body.params) } };
+      }
+      return { data: submit() };
+    });
+  }
+
+  beforeEach(async () => {
+    projectDir = await fs.mkdtemp(path.join(os.tmpdir(), 'watch-'));
+    await fs.outputFile(path.join(projectDir, 'src/Token.sol'), 'contract Token {}');
+    await fs.outputJson(path.join(projectDir, 'out/Token.sol/Token.json'), {
+      abi: [{ type: 'constructor', inputs: [{ name: 'supply', type: 'uint256' }] }],
+      bytecode: { object: bytecode, linkReferences: {} },
+      deployedBytecode: { object: '0x6080' },
+      metadata: {
+        compiler: { version: '0.8.19+commit.7dd6d404' },
+        language: 'Solidity',
+        settings: { optimizer: { enabled: false, runs: 200 }, compilationTarget: { 'src/Token.sol': 'Token' } },
+        sources: { 'src/Token.sol': { keccak256: '0x1' } }
+      }
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(projectDir);
+  });
+
+  test('should compute CREATE2 addresses', () => {
+    expect(create2Address('0x0000000000000000000000000000000000000000', '0x' + '00'.repeat(32), '0x00'))
+      .toBe('0x4d1a2e2bb4f88f0250f26ffff098b0b30b26bf38');
+    expect(create2Address('0xdeadbeef00000000000000000000000000000000', '0x000000000000000000000000feed000000000000000000000000000000000000', '0x00'))
+      .toBe('0xd04116cdd17bebe565eb2422f2497e06cc1c9833');
+  });
+
+  test('should find creations from the watched deployers', () => {
+    const salt = 'ab'.repeat(32);
+    const block = {
+      transactions: [
+        { hash: '0x1', from: deployer, to: null, input: bytecode + args },
+        { hash: '0x2', from: '0x0000000000000000000000000000000000000001', to: null, input: bytecode },
+        { hash: '0x3', from: deployer, to: CREATE2_FACTORY, input: `0x${salt}${bytecode.slice(2)}` },
+        { hash: '0x4', from: deployer, to: deployed, input: '0xa9059cbb' }
+      ]
+    };
+
+    const creations = findCreations(block, { deployers: [deployer] });
+
+    expect(creations.map(creation => [creation.txHash, creation.kind])).toEqual([['0x1', 'create'], ['0x3', 'create2']]);
+    expect(creations[1].address).toBe(create2Address(CREATE2_FACTORY, salt, bytecode));
+    expect(findCreations(block)).toHaveLength(3);
+  });
+
+  test('should match the longest artifact and split off constructor arguments', () => {
+    const artifacts = [
+      { contractName: 'src/A.sol:A', creationBytecode: '0x6080' },
+      { contractName: 'src/Token.sol:Token', creationBytecode: bytecode }
+    ];
+
+    expect(matchArtifact(artifacts, bytecode + args)).toEqual({ artifact: artifacts[1], constructorArgs: args });
+    expect(matchArtifact(artifacts, '0x6001600155')).toBeUndefined();
+  });
+
+  test('should verify a deployment seen in a new block', async () => {
+    const verifier = new ContractVerifier({ env: {}, networks, silent: true });
+    jest.spyOn(verifier, 'sleep').mockImplementation(() => new Promise(resolve => setImmediate(resolve)));
+    const submissions = [];
+    mockNode({
+      eth_chainId: () => '0x7a69',
+      eth_blockNumber: () => '0x1',
+      eth_getBlockByNumber: () => ({
+        number: '0x1',
+        transactions: [{ hash: '0xabc', from: deployer, to: null, input: bytecode + args }]
+      }),
+      eth_getTransactionReceipt: () => ({ status: '0x1', contractAddress: deployed })
+    }, () => {
+      submissions.push(1);
+      return submissions.length === 1
+        ? { status: '0', message: 'NOTOK', result: `Unable to locate ContractCode at ${deployed}` }
+        : { status: '1', result: 'guid-1' };
+    });
+    const verify = jest.spyOn(verifier, 'verifyContract');
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: { status: '1', result: 'Pass - Verified' } });
+
+    const watcher = await verifier.watch({ rpcUrl, framework: 'foundry', projectDir, deployers: [deployer], fromBlock: 1 });
+    const [result] = await once(watcher, 'result');
+    await watcher.stop();
+
+    expect(result).toMatchObject({ network: 'anvil', address: deployed, contractName: 'src/Token.sol:Token', success: true, status: 'verified' });
+    expect(submissions).toHaveLength(2);
+    expect(verify).toHaveBeenLastCalledWith(expect.objectContaining({
+      network: 'anvil',
+      address: deployed,
+      constructorArgs: args,
+      compilerVersion: 'v0.8.19+commit.7dd6d404'
+    }));
+  });
+
+  test('should not verify a deployment twice when a block is retried', async () => {
+    const verifier = new ContractVerifier({ env: {}, networks, silent: true });
+    jest.spyOn(verifier, 'sleep').mockImplementation(() => new Promise(resolve => setImmediate(resolve)));
+    const second = '0xe7f1725e7734ce288f8367e1bb143e90bb3f0512';
+    let receiptCalls = 0;
+    mockNode({
+      eth_chainId: () => '0x7a69',
+      eth_blockNumber: () => '0x1',
+      eth_getBlockByNumber: () => ({
+        number: '0x1',
+        transactions: [
+          { hash: '0xabc', from: deployer, to: null, input: bytecode + args },
+          { hash: '0xdef', from: deployer, to: null, input: bytecode + args }
+        ]
+      }),
+      eth_getTransactionReceipt: hash => {
+        // The node fails once, after the first creation was queued
+        if (hash === '0xdef' && receiptCalls++ === 0) {
+          throw new Error('node restarting');
+        }
+        return { status: '0x1', contractAddress: hash === '0xabc' ? deployed : second };
+      }
+    });
+    const verify = jest.spyOn(verifier, 'verifyContract').mockResolvedValue({ success: true, status: 'verified' });
+
+    const watcher = await verifier.watch({ rpcUrl, framework: 'foundry', projectDir, fromBlock: 1 });
+    const results = [];
+    watcher.on('result', result => results.push(result));
+    await once(watcher, 'poll-error');
+    while (results.length < 2) {
+      await once(watcher, 'result');
+    }
+    await watcher.stop();
+
+    expect(results.map(result => result.address).sort()).toEqual([deployed, second].sort());
+    expect(verify).toHaveBeenCalledTimes(2);
+  });
+
+  test('should refuse a node on a different chain', async () => {
+    const verifier = new ContractVerifier({ env: {}, networks, silent: true });
+    mockNode({ eth_chainId: () => '0x1' });
+
+    await expect(verifier.watch({ rpcUrl, network: 'anvil', framework: 'foundry', projectDir }))
+      .rejects.toMatchObject({ code: 'INVALID_INPUT', message: expect.stringContaining('chain 1') });
+  });
+});
@@ -3,115 +3,581 @@
 const { Command } = require('commander');
 const ContractVerifier = require('../src/index');
 const path = require('path');
+const { splitTypes, parseType, formatType, constructorInputs } = require('../src/abi');
+const { formatComparison } = require('../src/precheck');
+const { formatDiff } = require('../src/source-diff');
+const { InvalidInputError, SourceNotFoundError, EXIT_CODES, exitCode } = require('../src/errors');
+const { STATE_FILE } = require('../src/jobs');
 
 const program = new Command();
 
+// Accumulate repeatable options such as --remap
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
 program
   .name('contract-verifier')
   .description('CLI tool to verify smart contracts on block explorers')
   .version('1.0.0');
 
-program
+// Options describing where the source and compiler settings come from,
+// shared by commands that compile or submit a contract
+function addSourceOptions(command, { contractRequired = true } = {}) {
+  const contractOption = [
+    '-c, --contract <name>',
+    'Contract name (must match the contract name in source, or path/File.sol:Name)'
+  ];
+
+  command = contractRequired ? command.requiredOption(...contractOption) : command.option(...contractOption);
+
+  return command
+    .option('-s, --source <path>', 'Path to source file (.sol, or .vy for Vyper)')
+    .option('--standard-json <path>', 'Path to a solc standard JSON input file (for contracts with imports)')
+    .option('--bundle <mode>', 'Resolve imports of --source and submit them as "flatten", "standard-json" or "multi-part" (Blockscout)')
+    .option('--remap <mapping>', 'Import remapping (prefix=target), repeatable; remappings.txt is read automatically', collect, [])
+    .option('--root <dir>', 'Project root used to resolve imports', '.')
+    .option('--library <name=address>', 'Linked library address (Name=0x... or path/File.sol:Name=0x...), repeatable', collect, [])
+    .option('--via-ir', 'Compile through the IR pipeline (standard JSON bundles)', false)
+    .option('-v, --version <version>', 'Compiler version (e.g., v0.8.19+commit.e7d8d7db or vyper:0.3.10)')
+    .option('--hardhat <projectDir>', 'Read solc input and settings from a Hardhat project\'s build-info (use -c path/File.sol:Name)')
+    .option('--foundry <projectDir>', 'Read compiler settings and sources from a Foundry project\'s out/ metadata')
+    .option('--optimized', 'Enable optimization')
+    .option('--no-optimized', 'Disable optimization (Vyper compiles optimized for gas unless this is given)')
+    .option('--runs <runs>', 'Optimization runs', '200')
+    .option('--evm-version <version>', 'EVM version (default, london, berlin, etc.)', 'default');
+}
+
+// Polling and rate limit options for commands that submit verifications;
+// unset values fall back to the environment and the library defaults
+function addClientOptions(command) {
+  return command
+    .option('--poll-interval <seconds>', 'Seconds between verification status checks (default: 5)')
+    .option('--poll-timeout <seconds>', 'Seconds to wait for a verification result (default: 60)')
+    .option('--rate-limit <n>', 'Explorer requests per second per API key (default: 5)')
+    .option('--state-file <path>', `Where submitted jobs are recorded (default: ${STATE_FILE})`)
+    .option('--no-state', 'Neither record jobs nor reuse earlier ones');
+}
+
+function clientOptions(options) {
+  const seconds = value => (value === undefined ? undefined : parseFloat(value) * 1000);
+  return {
+    pollInterval: seconds(options.pollInterval),
+    pollTimeout: seconds(options.pollTimeout),
+    rateLimit: options.rateLimit === undefined ? undefined : parseFloat(options.rateLimit),
+    stateFile: options.state === false
+      ? false
+      : options.stateFile || process.env.CONTRACT_VERIFIER_STATE_FILE || STATE_FILE
+  };
+}
+
+// Typed errors (and failed results) carry a remediation hint
+function printHint(error) {
+  if (error && error.hint) {
+    console.error(`💡 ${error.hint}`);
+  }
+}
+
+// --json writes a single result object to stdout; errors keep their code,
+// hint and the explorer's raw response
+function errorJson(error) {
+  return { code: error.code || 'ERROR', message: error.message, hint: error.hint, response: error.response };
+}
+
+function printJson(result) {
+  console.log(JSON.stringify(result, (key, value) => (value instanceof Error ? errorJson(value) : value), 2));
+}
+
+// Report a thrown error and exit with the code for its failure class
+function fail(error, options = {}) {
+  if (options.json) {
+    printJson({ success: false, status: 'error', ...errorJson(error) });
+  } else {
+    console.error(`❌ Error: ${error.message}`);
+    printHint(error);
+  }
+  process.exit(exitCode(error));
+}
+
+// Validate the shared network/address/source options and turn them into
+// options for verifyContract() and precheck()
+async function loadSourceOptions(verifier, options) {
+  // Validate network (keys, aliases and chain IDs are accepted)
+  if (!verifier.getNetworkInfo(options.network)) {
+    throw new InvalidInputError(`Unsupported network "${options.network}"`, {
+      hint: `Supported networks: ${verifier.getSupportedNetworks().join(', ')}`
+    });
+  }
+
+  // Validate address (and its checksum when it's mixed-case)
+  verifier.validateAddress(options.address, options.network);
+
+  const sourceOptions = {
+    network: options.network,
+    address: options.address,
+    contractName: options.contract,
+    libraries: options.library.length > 0 ? options.library : undefined
+  };
+
+  // Hardhat and Foundry builds carry the source, compiler version and settings
+  if (options.hardhat) {
+    return { ...sourceOptions, ...await verifier.loadHardhatContract(options.hardhat, options.contract) };
+  }
+  if (options.foundry) {
+    return { ...sourceOptions, ...await verifier.loadFoundryContract(options.foundry, options.contract) };
+  }
+
+  // Validate compiler version
+  if (!verifier.isValidCompilerVersion(options.version)) {
+    throw new InvalidInputError(`Invalid compiler version format "${options.version}"`, {
+      hint: 'Version must be in format: v0.8.19+commit.e7d8d7db (or vyper:0.3.10 for Vyper)'
+    });
+  }
+
+  if (!options.source && !options.standardJson) {
+    throw new InvalidInputError('Either --source or --standard-json is required');
+  }
+
+  // Resolve source path
+  const sourcePath = path.resolve(options.source || options.standardJson);
+
+  // Check if source file exists
+  if (!await require('fs-extra').pathExists(sourcePath)) {
+    throw new SourceNotFoundError(`Source file not found at "${sourcePath}"`);
+  }
+
+  return {
+    ...sourceOptions,
+    sourcePath: options.source ? sourcePath : undefined,
+    standardJsonPath: options.standardJson ? sourcePath : undefined,
+    bundle: options.bundle,
+    root: path.resolve(options.root),
+    remappings: options.remap,
+    viaIR: options.viaIr,
+    compilerVersion: options.version,
+    optimized: options.optimized,
+    runs: parseInt(options.runs),
+    evmVersion: options.evmVersion
+  };
+}
+
+addClientOptions(addSourceOptions(program
   .command('verify')
   .description('Verify a smart contract on a block explorer')
-  .requiredOption('-n, --network <network>', 'Network (ethereum, polygon, bsc, arbitrum, optimism, base)')
-  .requiredOption('-a, --address <address>', 'Contract address (0x...)')
-  .requiredOption('-s, --source <path>', 'Path to source file (.sol)')
-  .requiredOption('-c, --contract <name>', 'Contract name (must match the contract name in source)')
-  .requiredOption('-v, --version <version>', 'Compiler version (e.g., v0.8.19+commit.e7d8d7db)')
+  .requiredOption('-n, --network <network>', 'Network name, alias or chain ID (see "contract-verifier networks")')
+  .requiredOption('-a, --address <address>', 'Contract address (0x...)'))
   .option('--args <args>', 'Constructor arguments (hex encoded)', '')
-  .option('--optimized', 'Enable optimization', false)
-  .option('--runs <runs>', 'Optimization runs', '200')
-  .option('--evm-version <version>', 'EVM version (default, london, berlin, etc.)', 'default')
+  .option('--creation-tx <hash>', 'Derive constructor arguments from this deployment transaction')
+  .option('--auto-args', 'Derive constructor arguments from the contract\'s deployment transaction', false)
+  .option('--bytecode <path>', 'Compiled creation bytecode (hex file or Hardhat/Foundry artifact), used with --creation-tx/--auto-args')
+  .option('--precheck', 'Compile locally and compare with the on-chain bytecode before submitting', false)
+  .option('--rpc <url>', 'JSON-RPC endpoint for reading on-chain code (defaults to the explorer API)')
+  .option('--solc <path>', 'Path to the solc binary used by --precheck')
+  .option('--force', 'Submit even if --precheck finds a bytecode mismatch', false)
+  .option('--check-args', 'Decode the constructor arguments against the constructor ABI before submitting', false)
+  .option('--abi <path>', 'ABI or artifact JSON used by --check-args (defaults to the Hardhat/Foundry build)')
+  .option('--backend <backend>', 'Where to verify: etherscan, sourcify or all', 'etherscan')
+  .option('--sourcify-url <url>', 'Sourcify server URL (defaults to SOURCIFY_URL or https://sourcify.dev/server)')
+  .option('--metadata <path>', 'Contract metadata.json for Sourcify (defaults to the Hardhat/Foundry build or a local compile)')
+  .option('--json', 'Print a single JSON result object instead of progress output', false))
   .action(async (options) => {
+    const log = options.json ? () => {} : console.log;
+
     try {
-      const verifier = new ContractVerifier();
-      
-      // Validate network
-      const supportedNetworks = verifier.getSupportedNetworks();
-      if (!supportedNetworks.includes(options.network)) {
-        console.error(`❌ Error: Unsupported network "${options.network}"`);
-        console.error(`✅ Supported networks: ${supportedNetworks.join(', ')}`);
-        process.exit(1);
+      if (!['etherscan', 'sourcify', 'all'].includes(options.backend)) {
+        throw new InvalidInputError(`Unknown backend "${options.backend}" (expected etherscan, sourcify or all)`);
       }
 
-      // Validate address
-      if (!verifier.isValidAddress(options.address)) {
-        console.error(`❌ Error: Invalid contract address "${options.address}"`);
-        console.error(`✅ Address must be a valid Ethereum address (42 characters starting with 0x)`);
-        process.exit(1);
+      const verifier = new ContractVerifier({ sourcifyUrl: options.sourcifyUrl, silent: options.json, ...clientOptions(options) });
+      const verifyOptions = await loadSourceOptions(verifier, options);
+
+      // Load compiled bytecode when deriving constructor arguments
+      if (options.creationTx || options.autoArgs) {
+        if (!options.bytecode && !verifyOptions.creationBytecode) {
+          throw new InvalidInputError('--bytecode is required with --creation-tx or --auto-args');
+        }
+        if (options.args) {
+          throw new InvalidInputError('--args cannot be combined with --creation-tx or --auto-args');
+        }
+        if (options.bytecode) {
+          verifyOptions.creationBytecode = await verifier.readBytecodeFile(path.resolve(options.bytecode));
+        }
       }
 
-      // Validate compiler version
-      if (!verifier.isValidCompilerVersion(options.version)) {
-        console.error(`❌ Error: Invalid compiler version format "${options.version}"`);
-        console.error(`✅ Version must be in format: v0.8.19+commit.e7d8d7db`);
-        process.exit(1);
+      log('🚀 Starting contract verification...\n');
+
+      const submitOptions = {
+        ...verifyOptions,
+        constructorArgs: options.args,
+        creationTxHash: options.creationTx,
+        deriveConstructorArgs: options.autoArgs,
+        precheck: options.precheck,
+        rpcUrl: options.rpc,
+        solcPath: options.solc,
+        force: options.force,
+        checkConstructorArgs: options.checkArgs,
+        abi: options.abi ? await verifier.readAbiFile(path.resolve(options.abi)) : verifyOptions.abi,
+        metadataPath: options.metadata ? path.resolve(options.metadata) : undefined
+      };
+
+      if (options.backend !== 'etherscan') {
+        const results = await verifier.verifyWithBackends({ ...submitOptions, backend: options.backend });
+        const failed = results.find(result => !result.success);
+
+        if (options.json) {
+          printJson({ success: !failed, network: options.network, address: options.address, results });
+        } else {
+          console.log('');
+          results.forEach(result => {
+            const icon = result.success ? '✅' : '❌';
+            console.log(`${icon} ${result.backend}: ${result.message}`);
+          });
+        }
+        process.exit(failed ? exitCode(failed) : 0);
       }
 
-      // Resolve source path
-      const sourcePath = path.resolve(options.source);
+      const result = await verifier.verifyContract(submitOptions);
+
+      if (options.json) {
+        printJson({ network: options.network, address: options.address, ...result });
+      } else if (result.success) {
+        console.log('\n✅ Verification completed successfully!');
+        console.log('🎉 Your contract is now verified and publicly accessible!');
+      } else {
+        console.error(`\n❌ Verification failed: ${result.message}`);
+        if (result.error) {
+          printHint(result.error);
+        } else {
+          console.error('💡 Please check your inputs and try again');
+        }
+      }
+      process.exit(result.success ? 0 : exitCode(result));
+    } catch (error) {
+      fail(error, options);
+    }
+  });
 
-      // Check if source file exists
-      if (!await require('fs-extra').pathExists(sourcePath)) {
-        console.error(`❌ Error: Source file not found at "${sourcePath}"`);
-        process.exit(1);
+addSourceOptions(program
+  .command('precheck')
+  .description('Compile a contract locally and compare it with the on-chain bytecode')
+  .requiredOption('-n, --network <network>', 'Network name')
+  .requiredOption('-a, --address <address>', 'Contract address (0x...)'))
+  .option('--rpc <url>', 'JSON-RPC endpoint for reading on-chain code (defaults to the explorer API)')
+  .option('--solc <path>', 'Path to the solc binary (defaults to SOLC_PATH or the local compiler cache)')
+  .action(async (options) => {
+    try {
+      const verifier = new ContractVerifier();
+      const sourceOptions = await loadSourceOptions(verifier, options);
+      
+      const comparison = await verifier.precheck({
+        ...sourceOptions,
+        rpcUrl: options.rpc,
+        solcPath: options.solc
+      });
+      
+      console.log('');
+      formatComparison(comparison).forEach(line => {
+        console.log(`${comparison.match ? '✅' : '❌'} ${line}`);
+      });
+      
+      if (!comparison.match) {
+        process.exit(EXIT_CODES.VERIFICATION_FAILED);
       }
+    } catch (error) {
+      fail(error, options);
+    }
+  });
 
-      console.log('🚀 Starting contract verification...\n');
+program
+  .command('detect-settings')
+  .description('Find the compiler version and settings that reproduce the on-chain bytecode')
+  .requiredOption('-n, --network <network>', 'Network name')
+  .requiredOption('-a, --address <address>', 'Contract address (0x...)')
+  .option('-s, --source <path>', 'Path to source file (.sol)')
+  .option('--standard-json <path>', 'Path to a solc standard JSON input file')
+  .option('--bundle <mode>', 'Resolve imports of --source ("standard-json")')
+  .option('--remap <mapping>', 'Import remapping (prefix=target), repeatable', collect, [])
+  .option('--root <dir>', 'Project root used to resolve imports', '.')
+  .requiredOption('-c, --contract <name>', 'Contract name (or path/File.sol:Name)')
+  .option('--versions <list>', 'Comma-separated compiler versions to try instead of asking the explorer')
+  .option('--rpc <url>', 'JSON-RPC endpoint for reading on-chain code (defaults to the explorer API)')
+  .option('--max-attempts <n>', 'Maximum number of compilations', '300')
+  .option('--solc <path>', 'Only try this solc binary (by default each version comes from the local compiler cache)')
+  .action(async (options) => {
+    try {
+      const verifier = new ContractVerifier();
 
-      const result = await verifier.verifyContract({
+      if (!options.source && !options.standardJson) {
+        throw new InvalidInputError('Either --source or --standard-json is required');
+      }
+      
+      console.log(`🔍 Detecting compiler settings for ${options.address} on ${options.network}...\n`);
+      
+      const result = await verifier.detectSettings({
         network: options.network,
         address: options.address,
-        sourcePath: sourcePath,
+        sourcePath: options.source && path.resolve(options.source),
+        standardJsonPath: options.standardJson && path.resolve(options.standardJson),
+        bundle: options.bundle,
+        root: path.resolve(options.root),
+        remappings: options.remap,
         contractName: options.contract,
-        compilerVersion: options.version,
-        constructorArgs: options.args,
-        optimized: options.optimized,
-        runs: parseInt(options.runs),
-        evmVersion: options.evmVersion
+        versions: options.versions && options.versions.split(',').map(v => v.trim()),
+        rpcUrl: options.rpc,
+        solcPath: options.solc,
+        maxAttempts: parseInt(options.maxAttempts)
       });
+      
+      if (result.skippedVersions.length > 0) {
+        console.log(`⚠️  Skipped ${result.skippedVersions.length} version(s) without a local solc binary: ${result.skippedVersions.join(', ')}`);
+      }
+      
+      if (!result.found) {
+        console.error(`❌ ${result.message} (${result.attempts} attempts)`);
+        process.exit(EXIT_CODES.VERIFICATION_FAILED);
+      }
+      
+      const { settings } = result;
+      console.log(`✅ Match found after ${result.attempts} attempt(s)${result.exact ? ' (including metadata)' : ''}`);
+      console.log(`🔧 Compiler Version: ${settings.compilerVersion}`);
+      console.log(`⚙️  Optimization: ${settings.optimized ? `Enabled (${settings.runs} runs)` : 'Disabled'}`);
+      console.log(`🧱 EVM Version: ${settings.evmVersion}`);
+      console.log(`\n💡 Verify with: --version ${settings.compilerVersion}${settings.optimized ? ` --optimized --runs ${settings.runs}` : ''} --evm-version ${settings.evmVersion}`);
+    } catch (error) {
+      fail(error, options);
+    }
+  });
 
-      if (result.success) {
-        console.log('\n✅ Verification completed successfully!');
-        console.log('🎉 Your contract is now verified and publicly accessible!');
-        process.exit(0);
-      } else {
-        console.error(`\n❌ Verification failed: ${result.message}`);
-        console.error('💡 Please check your inputs and try again');
-        process.exit(1);
+// Print rows as aligned columns
+function printTable(headers, rows) {
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => String(row[i]).length)));
+  const format = row => row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+
+  console.log(format(headers));
+  console.log(widths.map(width => '-'.repeat(width)).join('  '));
+  rows.forEach(row => console.log(format(row)));
+}
+
+addClientOptions(program
+  .command('verify-all')
+  .description('Verify every contract and network listed in a manifest')
+  .option('--config <path>', 'Manifest file (defaults to contract-verifier.config.json/.js)')
+  .option('--concurrency <n>', 'Number of verifications to run at once')
+  .option('--network <networks>', 'Only these networks (comma-separated)')
+  .option('--contract <names>', 'Only these contracts (comma-separated)'))
+  .action(async (options) => {
+    try {
+      const verifier = new ContractVerifier(clientOptions(options));
+      
+      console.log('🚀 Running verification manifest...\n');
+      
+      const results = await verifier.verifyAll({
+        manifestPath: options.config,
+        concurrency: options.concurrency && parseInt(options.concurrency),
+        networks: options.network && options.network.split(',').map(n => n.trim()),
+        contracts: options.contract && options.contract.split(',').map(c => c.trim())
+      });
+      
+      console.log('\n📊 Results:\n');
+      printTable(
+        ['Contract', 'Network', 'Address', 'Result'],
+        results.map(result => [
+          result.contract,
+          result.network,
+          result.address || '-',
+          result.success
+            ? (result.status === 'skipped' ? '⏭️  already verified' : '✅ verified')
+            : `❌ ${result.message}`
+        ])
+      );
+      
+      const failed = results.filter(result => !result.success);
+      if (failed.length > 0) {
+        console.error(`\n❌ ${failed.length} of ${results.length} verification(s) failed`);
+        process.exit(exitCode(failed[0]));
       }
+      console.log(`\n🎉 All ${results.length} verification(s) succeeded!`);
     } catch (error) {
-      console.error(`\n❌ Error: ${error.message}`);
+      fail(error, options);
+    }
+  });
+
+addClientOptions(program
+  .command('verify-broadcast')
+  .description('Verify every contract deployed by a Foundry script run')
+  .option('--script <name>', 'Script file name (e.g., Deploy.s.sol)')
+  .option('--chain <chainId>', 'Chain ID of the broadcast to read')
+  .option('--broadcast <path>', 'Path to a broadcast run JSON file (instead of --script/--chain)')
+  .option('--root <dir>', 'Foundry project root', '.')
+  .option('-n, --network <network>', 'Network to verify on (defaults to the broadcast\'s chain ID)'))
+  .action(async (options) => {
+    try {
+      const verifier = new ContractVerifier(clientOptions(options));
+
+      if (!options.broadcast && (!options.script || !options.chain)) {
+        throw new InvalidInputError('Either --broadcast or both --script and --chain are required');
+      }
+      
+      console.log('🚀 Verifying broadcast deployments...\n');
+      
+      const results = await verifier.verifyBroadcast({
+        projectDir: path.resolve(options.root),
+        script: options.script,
+        chainId: options.chain,
+        broadcastFile: options.broadcast && path.resolve(options.broadcast),
+        network: options.network
+      });
+      
+      console.log('\n📊 Results:');
+      results.forEach(result => {
+        const icon = result.success ? '✅' : '❌';
+        console.log(`${icon} ${String(result.contractName || '(unknown)').padEnd(24)} ${result.address} ${result.success ? 'verified' : result.message}`);
+      });
       
-      // Provide helpful error suggestions
-      if (error.message.includes('API key')) {
-        console.error('💡 Make sure to set your API keys in the .env file');
-        console.error('   Run: contract-verifier setup');
-      } else if (error.message.includes('Source file')) {
-        console.error('💡 Check that the source file path is correct');
-      } else if (error.message.includes('Network error')) {
-        console.error('💡 Check your internet connection and try again');
+      const failed = results.filter(result => !result.success);
+      if (failed.length > 0) {
+        console.error(`\n❌ ${failed.length} of ${results.length} contract(s) failed verification`);
+        process.exit(exitCode(failed[0]));
+      }
+      console.log(`\n🎉 All ${results.length} contract(s) verified!`);
+    } catch (error) {
+      fail(error, options);
+    }
+  });
+
+addClientOptions(program
+  .command('watch')
+  .description('Verify contracts as they are deployed to a JSON-RPC node (Anvil, Hardhat node or a testnet)')
+  .requiredOption('--rpc <url>', 'JSON-RPC endpoint to watch for new blocks')
+  .option('-n, --network <network>', 'Network to verify on (defaults to the node\'s chain ID)')
+  .option('--hardhat <projectDir>', 'Match deployments against a Hardhat project\'s build-info')
+  .option('--foundry <projectDir>', 'Match deployments against a Foundry project\'s out/ artifacts')
+  .option('--out-dir <dir>', 'Foundry output directory', 'out')
+  .option('--deployer <address>', 'Only verify contracts deployed by this address, repeatable', collect, [])
+  .option('--from-block <n>', 'Start at this block instead of the next new one')
+  .option('--interval <seconds>', 'Seconds between checks for new blocks', '2')
+  .option('--retries <n>', 'Retries while the explorer hasn\'t indexed a deployment yet', '5')
+  .option('--retry-delay <seconds>', 'Seconds between those retries', '10'))
+  .action(async (options) => {
+    try {
+      if (!options.hardhat === !options.foundry) {
+        throw new InvalidInputError('Pass exactly one of --hardhat or --foundry');
       }
+
+      const verifier = new ContractVerifier(clientOptions(options));
+      const watcher = await verifier.watch({
+        rpcUrl: options.rpc,
+        network: options.network,
+        framework: options.hardhat ? 'hardhat' : 'foundry',
+        projectDir: options.hardhat || options.foundry,
+        outDir: options.outDir,
+        deployers: options.deployer,
+        fromBlock: options.fromBlock === undefined ? undefined : parseInt(options.fromBlock),
+        blockInterval: parseFloat(options.interval) * 1000,
+        retries: parseInt(options.retries),
+        retryDelay: parseFloat(options.retryDelay) * 1000
+      });
+
+      watcher.on('result', result => {
+        const icon = result.success ? '✅' : '❌';
+        console.log(`${icon} ${result.contractName} at ${result.address}: ${result.success ? result.status : result.message}`);
+        printHint(result.error);
+      });
+
+      console.log('💡 Press Ctrl+C to stop\n');
+
+      // The first Ctrl+C lets queued verifications finish, a second one exits
+      let stopping = false;
+      process.on('SIGINT', async () => {
+        if (stopping) {
+          process.exit(130);
+        }
+        stopping = true;
+        console.log('\n🛑 Stopping - waiting for queued verifications (Ctrl+C again to quit now)...');
+        await watcher.stop();
+        process.exit(0);
+      });
+    } catch (error) {
+      fail(error, options);
+    }
+  });
+
+program
+  .command('flatten')
+  .description('Resolve the imports of a source file and combine them into a single file')
+  .requiredOption('-s, --source <path>', 'Path to the entry source file (.sol)')
+  .option('-o, --output <path>', 'Write the flattened source to a file instead of stdout')
+  .option('--remap <mapping>', 'Import remapping (prefix=target), repeatable', collect, [])
+  .option('--root <dir>', 'Project root used to resolve imports', '.')
+  .action(async (options) => {
+    try {
+      const verifier = new ContractVerifier();
+      
+      const flattened = await verifier.flattenSource(path.resolve(options.source), {
+        root: path.resolve(options.root),
+        remappings: options.remap
+      });
       
-      process.exit(1);
+      if (options.output) {
+        await require('fs-extra').outputFile(options.output, flattened);
+        console.log(`✅ Flattened source written to ${options.output}`);
+      } else {
+        process.stdout.write(flattened);
+      }
+    } catch (error) {
+      fail(error, options);
     }
   });
 
 program
   .command('networks')
   .description('List supported networks')
-  .action(() => {
+  .option('--json', 'Print the networks as JSON', false)
+  .action((options) => {
     const verifier = new ContractVerifier();
     const networks = verifier.getSupportedNetworks();
+
+    if (options.json) {
+      printJson({
+        networks: networks.map(network => {
+          const info = verifier.getNetworkInfo(network);
+          return {
+            network,
+            name: info.name,
+            chainId: info.chainId || null,
+            testnet: Boolean(info.testnet),
+            aliases: info.aliases,
+            explorerUrl: info.explorerUrl,
+            apiKeyConfigured: Boolean(verifier.getApiEndpoint(network).apiKey) || !verifier.requiresApiKey(info)
+          };
+        })
+      });
+      return;
+    }
     
-    console.log('📡 Supported Networks:\n');
-    networks.forEach(network => {
-      const info = verifier.getNetworkInfo(network);
-      console.log(`• ${network.padEnd(10)} - ${info.name}`);
-    });
+    const print = (title, keys) => {
+      console.log(`${title}\n`);
+      keys.forEach(network => {
+        const info = verifier.getNetworkInfo(network);
+        const key = verifier.getApiEndpoint(network).apiKey || !verifier.requiresApiKey(info) ? '🔑' : '⚠️ ';
+        const aliases = info.aliases.length > 0 ? ` (${info.aliases.join(', ')})` : '';
+        console.log(`${key} ${network.padEnd(18)} ${String(info.chainId || '-').padStart(9)}  ${info.name}${aliases}`);
+      });
+      console.log('');
+    };
+    
+    print('📡 Supported Networks:', networks.filter(network => !verifier.getNetworkInfo(network).testnet));
+    print('🧪 Testnets:', networks.filter(network => verifier.getNetworkInfo(network).testnet));
     
-    console.log('\n💡 Make sure to set the corresponding API keys in your .env file');
+    const missing = [...new Set(networks
+      .filter(network => !verifier.getApiEndpoint(network).apiKey && verifier.requiresApiKey(verifier.getNetworkInfo(network)))
+      .map(network => verifier.apiKeyHint(verifier.getNetworkInfo(network))))];
+    
+    console.log('🔑 = API key configured, ⚠️  = API key missing');
+    if (missing.length > 0) {
+      console.log(`💡 Set ${missing.join(', ')} in your .env file to enable the missing networks`);
+    }
+    console.log('💡 Add custom networks in contract-verifier.networks.json or with CONTRACT_VERIFIER_NETWORK_<NAME>_API_URL');
   });
 
 program
@@ -120,8 +586,9 @@ program
   .action(() => {
     console.log('🔧 Setup Instructions:\n');
     console.log('1. Create a .env file in your project root');
-    console.log('2. Add your API keys:\n');
-    console.log('   ETHERSCAN_API_KEY=your_etherscan_api_key');
+    console.log('2. Add your Etherscan API key - it works for every built-in network through the Etherscan V2 API:\n');
+    console.log('   ETHERSCAN_API_KEY=your_etherscan_api_key\n');
+    console.log('   To use the legacy per-chain APIs instead, set CONTRACT_VERIFIER_API_VERSION=v1 and add:\n');
     console.log('   POLYGONSCAN_API_KEY=your_polygonscan_api_key');
     console.log('   BSCSCAN_API_KEY=your_bscscan_api_key');
     console.log('   ARBISCAN_API_KEY=your_arbiscan_api_key');
@@ -138,16 +605,227 @@ program
     console.log('   contract-verifier verify --network ethereum --address 0x... --source ./Contract.sol --contract MyContract --version v0.8.19+commit.e7d8d7db');
   });
 
+addClientOptions(addSourceOptions(program
+  .command('verify-proxy')
+  .description('Link a proxy to its implementation on the explorer, verifying the implementation first if needed')
+  .requiredOption('-n, --network <network>', 'Network name, alias or chain ID')
+  .requiredOption('-a, --address <address>', 'Proxy contract address (0x...)'), { contractRequired: false })
+  .option('--rpc <url>', 'JSON-RPC endpoint for reading the proxy slots (defaults to the explorer API)')
+  .option('--implementation <address>', 'Expected implementation address (defaults to the one in the proxy slots)')
+  .option('--args <args>', 'Implementation constructor arguments (hex encoded)', ''))
+  .action(async (options) => {
+    try {
+      const verifier = new ContractVerifier(clientOptions(options));
+      // Implementation source options are only needed when it isn't verified yet
+      const sourceOptions = options.contract
+        ? await loadSourceOptions(verifier, options)
+        : { network: options.network, address: options.address };
+
+      const result = await verifier.verifyProxy({
+        ...sourceOptions,
+        constructorArgs: options.args,
+        rpcUrl: options.rpc,
+        implementation: options.implementation
+      });
+
+      if (result.success) {
+        console.log(`\n✅ ${result.message}`);
+      } else {
+        console.error(`\n❌ ${result.message}`);
+        printHint(result.error);
+        process.exit(exitCode(result));
+      }
+    } catch (error) {
+      fail(error, options);
+    }
+  });
+
+// Print the outcome of polling a GUID and exit with its code
+function printGuidResult(result, options) {
+  if (options.json) {
+    printJson(result);
+  } else if (result.success) {
+    console.log(`\n✅ ${result.message} (GUID ${result.guid})`);
+  } else {
+    console.error(`\n❌ ${result.message} (GUID ${result.guid})`);
+    printHint(result.error);
+  }
+  process.exit(result.success ? 0 : exitCode(result));
+}
+
+const jobs = program
+  .command('jobs')
+  .description('List or resume recorded verification jobs');
+
+jobs
+  .command('list')
+  .description('List verification jobs recorded in the state file')
+  .option('--state-file <path>', `Job state file (default: ${STATE_FILE})`)
+  .option('-n, --network <network>', 'Only jobs on this network')
+  .option('-a, --address <address>', 'Only jobs for this address')
+  .option('--status <status>', 'Only jobs with this status (pending, verified, failed, timeout, ...)')
+  .option('--json', 'Print the jobs as JSON', false)
+  .action(async (options) => {
+    try {
+      const verifier = new ContractVerifier({ stateFile: options.stateFile || process.env.CONTRACT_VERIFIER_STATE_FILE || STATE_FILE });
+      const list = await verifier.listJobs({
+        network: options.network && verifier.registry.resolve(options.network),
+        address: options.address,
+        status: options.status
+      });
+
+      if (options.json) {
+        printJson({ stateFile: verifier.jobs.filePath, jobs: list });
+        return;
+      }
+
+      if (list.length === 0) {
+        console.log(`📭 No jobs recorded in ${verifier.jobs.filePath}`);
+        return;
+      }
+
+      printTable(
+        ['GUID', 'Network', 'Address', 'Contract', 'Status', 'Submitted'],
+        list.map(job => [job.guid, job.network, job.address, job.contractName || '-', job.status, job.submittedAt])
+      );
+    } catch (error) {
+      fail(error, options);
+    }
+  });
+
+addClientOptions(jobs
+  .command('resume <guid>')
+  .description('Poll a recorded job again without resubmitting it')
+  .option('--json', 'Print a single JSON result object', false))
+  .action(async (guid, options) => {
+    try {
+      const verifier = new ContractVerifier({ silent: options.json, ...clientOptions(options) });
+      const result = await verifier.resumeJob(guid);
+      printGuidResult(result, options);
+    } catch (error) {
+      fail(error, options);
+    }
+  });
+
+addClientOptions(program
+  .command('check-guid')
+  .description('Poll the status of a verification GUID, e.g. one printed by an earlier run')
+  .requiredOption('-n, --network <network>', 'Network the GUID was submitted on')
+  .requiredOption('-g, --guid <guid>', 'Verification GUID')
+  .option('--json', 'Print a single JSON result object', false))
+  .action(async (options) => {
+    try {
+      const verifier = new ContractVerifier({ silent: options.json, ...clientOptions(options) });
+      if (!verifier.getNetworkInfo(options.network)) {
+        throw new InvalidInputError(`Unsupported network "${options.network}"`);
+      }
+      const result = await verifier.checkGuid(options.network, options.guid);
+      printGuidResult(result, options);
+    } catch (error) {
+      fail(error, options);
+    }
+  });
+
+// status --all-networks: one row per network, flagging chains whose verified
+// source or settings differ from the rest
+async function printStatusMatrix(options) {
+  const verifier = new ContractVerifier({ silent: options.json });
+  const report = await verifier.getVerificationStatusMulti(options.address, {
+    networks: options.networks ? options.networks.split(',').map(network => network.trim()).filter(Boolean) : undefined,
+    testnets: options.testnets,
+    concurrency: parseInt(options.concurrency)
+  });
+
+  if (options.json) {
+    printJson(report);
+  } else {
+    const icons = { verified: '✅', unverified: '❌', skipped: '⏭️ ', error: '⚠️ ' };
+    console.log('');
+    console.log(`   ${'network'.padEnd(18)} ${'status'.padEnd(11)} ${'contract'.padEnd(20)} ${'compiler'.padEnd(26)} source`);
+    report.networks.forEach(row => {
+      const differs = row.differs && row.differs.length > 0;
+      const icon = differs ? '🔶' : icons[row.status];
+      const detail = row.status === 'verified'
+        ? `${String(row.contractName).padEnd(20)} ${String(row.compilerVersion).padEnd(26)} ${row.sourceHash.slice(0, 12)}`
+        : row.message || (row.error ? row.error.message : '');
+      console.log(`${icon} ${row.network.padEnd(18)} ${row.status.padEnd(11)} ${detail}`);
+
+      if (differs) {
+        (row.changedFiles || []).forEach(file => console.log(`      ${file.status}: ${file.path}`));
+        (row.settingsDiff || []).forEach(({ field, value, reference }) => {
+          console.log(`      ${field}: ${value === undefined ? '(none)' : value} (${report.reference} has ${reference === undefined ? '(none)' : reference})`);
+        });
+      }
+    });
+    console.log('');
+
+    const verifiedCount = report.networks.filter(row => row.verified).length;
+    const failed = report.networks.filter(row => row.status === 'error').length;
+    if (failed > 0) {
+      console.log(`⚠️  ${failed} network(s) could not be checked`);
+    }
+    if (report.consistent) {
+      console.log(`✅ Verified on ${verifiedCount} network(s)${verifiedCount > 1 ? ' with the same source and settings' : ''}`);
+    } else {
+      console.log(`🔶 Verified source or settings differ from ${report.reference} on: ${report.inconsistent.join(', ')}`);
+    }
+  }
+
+  if (!report.consistent) {
+    process.exit(EXIT_CODES.VERIFICATION_FAILED);
+  }
+}
+
 program
   .command('status')
   .description('Check verification status of a contract')
-  .requiredOption('-n, --network <network>', 'Network name')
+  .option('-n, --network <network>', 'Network name (required unless --all-networks is given)')
   .requiredOption('-a, --address <address>', 'Contract address')
+  .option('--all-networks', 'Check the address on every configured network and compare the verified sources', false)
+  .option('--networks <list>', 'Comma-separated networks to check with --all-networks')
+  .option('--no-testnets', 'Leave testnets out of --all-networks')
+  .option('--concurrency <n>', 'Networks to query at once with --all-networks', '4')
+  .option('--backend <backend>', 'Explorer to check: etherscan or sourcify', 'etherscan')
+  .option('--sourcify-url <url>', 'Sourcify server URL')
+  .option('--rpc <url>', 'JSON-RPC endpoint used to read proxy slots when the explorer has no proxy link')
+  .option('--json', 'Print the status as a JSON object', false)
   .action(async (options) => {
     try {
-      const verifier = new ContractVerifier();
+      if (options.allNetworks) {
+        await printStatusMatrix(options);
+        return;
+      }
+      if (!options.network) {
+        throw new InvalidInputError('--network is required unless --all-networks is given');
+      }
+
+      const verifier = new ContractVerifier({ sourcifyUrl: options.sourcifyUrl, silent: options.json });
+      const target = { network: options.network, address: options.address, backend: options.backend };
+
+      if (options.json) {
+        const status = options.backend === 'sourcify'
+          ? await verifier.getSourcifyStatus(options.network, options.address)
+          : await verifier.getVerificationStatus(options.network, options.address);
+        // The full source is left to fetch-source-style tooling
+        const { sourceCode, ...summary } = status;
+
+        if (options.rpc && options.backend !== 'sourcify' && !(status.proxy && status.implementation)) {
+          const detected = await verifier.detectProxy(options.network, options.address, options.rpc);
+          summary.detectedProxy = detected.isProxy ? detected : null;
+        }
+        printJson({ ...target, ...summary });
+        return;
+      }
       
       console.log(`🔍 Checking verification status for ${options.address} on ${options.network}...\n`);
+
+      if (options.backend === 'sourcify') {
+        const status = await verifier.getSourcifyStatus(options.network, options.address);
+        console.log(status.verified
+          ? `✅ Contract is verified on Sourcify (${status.match} match)`
+          : '❌ Contract is not verified on Sourcify');
+        return;
+      }
       
       const status = await verifier.getVerificationStatus(options.network, options.address);
       
@@ -159,13 +837,88 @@ program
         if (status.optimizationUsed) {
           console.log(`🔄 Runs: ${status.runs}`);
         }
+        if (status.proxy && status.implementation) {
+          console.log(`🔀 Proxy -> implementation ${status.implementation}`);
+        }
       } else {
         console.log('❌ Contract is not verified');
         console.log(`💡 ${status.message}`);
       }
+
+      if (options.rpc && !(status.proxy && status.implementation)) {
+        const detected = await verifier.detectProxy(options.network, options.address, options.rpc);
+        if (detected.isProxy) {
+          console.log(`🔀 Proxy (${detected.type}) -> implementation ${detected.implementation}`);
+          console.log('💡 Not linked on the explorer yet - run "contract-verifier verify-proxy"');
+        }
+      }
+    } catch (error) {
+      fail(error, options);
+    }
+  });
+
+program
+  .command('fetch-source')
+  .description('Download a verified contract\'s sources, settings and ABI into a directory')
+  .requiredOption('-n, --network <network>', 'Network name')
+  .requiredOption('-a, --address <address>', 'Contract address')
+  .option('-o, --out <dir>', 'Output directory (default: verified/<network>/<address>)')
+  .option('--json', 'Print the saved files as JSON', false)
+  .action(async (options) => {
+    try {
+      const verifier = new ContractVerifier({ silent: options.json });
+      const directory = options.out || path.join('verified', options.network, options.address);
+      const saved = await verifier.saveVerifiedSource(options.network, options.address, directory);
+
+      if (options.json) {
+        const { sources, abi, ...summary } = saved;
+        printJson(summary);
+        return;
+      }
+
+      console.log(`📄 Contract Name: ${saved.contractName}`);
+      console.log(`🔧 Compiler Version: ${saved.compilerVersion}`);
+      saved.files.forEach(file => console.log(`   ${path.join(directory, file)}`));
+    } catch (error) {
+      fail(error, options);
+    }
+  });
+
+addSourceOptions(program
+  .command('diff')
+  .description('Compare local sources and settings with the verified contract on chain')
+  .requiredOption('-n, --network <network>', 'Network name')
+  .requiredOption('-a, --address <address>', 'Contract address (0x...)'))
+  .option('--name-only', 'List differing files without their line diffs', false)
+  .option('--json', 'Print the comparison as JSON', false)
+  .action(async (options) => {
+    try {
+      const verifier = new ContractVerifier({ silent: options.json });
+      const sourceOptions = await loadSourceOptions(verifier, options);
+      const comparison = await verifier.diffVerifiedSource(sourceOptions);
+
+      if (options.json) {
+        printJson({
+          network: options.network,
+          address: options.address,
+          match: comparison.match,
+          files: comparison.files,
+          settings: comparison.settings
+        });
+      } else {
+        formatDiff(comparison).forEach(line => {
+          console.log(`${comparison.match ? '✅' : '❌'} ${line}`);
+        });
+        if (!options.nameOnly) {
+          comparison.files.filter(file => file.diff).forEach(file => console.log(`\n${file.diff}`));
+        }
+      }
+
+      if (!comparison.match) {
+        process.exit(EXIT_CODES.VERIFICATION_FAILED);
+      }
     } catch (error) {
-      console.error(`❌ Error: ${error.message}`);
-      process.exit(1);
+      fail(error, options);
     }
   });
 
@@ -173,13 +926,24 @@ program
   .command('versions')
   .description('Get available compiler versions')
   .option('-n, --network <network>', 'Network name', 'ethereum')
+  .option('--vyper', 'List Vyper compilers instead of solc', false)
+  .option('--json', 'Print every version as JSON', false)
   .action(async (options) => {
     try {
-      const verifier = new ContractVerifier();
+      const verifier = new ContractVerifier({ silent: options.json });
       
-      console.log(`📋 Fetching compiler versions for ${options.network}...\n`);
+      if (!options.json) {
+        console.log(`📋 Fetching ${options.vyper ? 'Vyper ' : ''}compiler versions for ${options.network}...\n`);
+      }
       
-      const versions = await verifier.getCompilerVersions(options.network);
+      const versions = options.vyper
+        ? await verifier.getVyperVersions(options.network)
+        : await verifier.getCompilerVersions(options.network);
+
+      if (options.json) {
+        printJson({ network: options.network, language: options.vyper ? 'vyper' : 'solidity', versions });
+        return;
+      }
       
       console.log('Available compiler versions:');
       versions.slice(0, 20).forEach((version, index) => {
@@ -190,42 +954,140 @@ program
         console.log(`... and ${versions.length - 20} more versions`);
       }
     } catch (error) {
-      console.error(`❌ Error: ${error.message}`);
-      process.exit(1);
+      fail(error, options);
     }
   });
 
 program
   .command('encode-args')
   .description('Encode constructor arguments')
-  .requiredOption('-t, --types <types>', 'Argument types (comma-separated, e.g., uint256,address)')
-  .requiredOption('-v, --values <values>', 'Argument values (comma-separated)')
+  .requiredOption('-t, --types <types>', 'Argument types (comma-separated, e.g., uint256,address,(uint8,bytes32)[])')
+  .requiredOption('-v, --values <values>', 'Argument values (comma-separated, or a JSON array for arrays and tuples)')
+  .option('-n, --network <network>', 'Network whose address checksums apply (EIP-1191 chains such as RSK)')
+  .option('--json', 'Print the types, values and encoding as JSON', false)
   .action((options) => {
     try {
       const verifier = new ContractVerifier();
+      if (options.network && !verifier.getNetworkInfo(options.network)) {
+        throw new InvalidInputError(`Unsupported network "${options.network}"`);
+      }
       
-      const types = options.types.split(',').map(t => t.trim());
-      const values = options.values.split(',').map(v => v.trim());
+      const types = splitTypes(options.types);
+      const values = parseArgValues(options.values);
+
+      if (options.json) {
+        printJson({ types, values, encoded: verifier.encodeConstructorArgs(types, values, options.network) });
+        return;
+      }
       
       console.log(`🔧 Encoding constructor arguments...\n`);
       console.log(`Types: ${types.join(', ')}`);
-      console.log(`Values: ${values.join(', ')}\n`);
+      console.log(`Values: ${values.map(v => JSON.stringify(v)).join(', ')}\n`);
       
-      const encoded = verifier.encodeConstructorArgs(types, values);
+      const encoded = verifier.encodeConstructorArgs(types, values, options.network);
       
       console.log(`✅ Encoded arguments: ${encoded}`);
       console.log(`\n💡 Use this value with the --args flag`);
     } catch (error) {
-      console.error(`❌ Error: ${error.message}`);
-      process.exit(1);
+      fail(error, options);
+    }
+  });
+
+program
+  .command('decode-args')
+  .description('Decode ABI-encoded constructor arguments')
+  .requiredOption('-d, --data <hex>', 'Encoded constructor arguments (hex)')
+  .option('-t, --types <types>', 'Argument types (comma-separated, e.g., uint256,address,(uint8,bytes32)[])')
+  .option('--abi <path>', 'ABI or Hardhat/Foundry artifact JSON to take the constructor types from')
+  .option('--json', 'Print the decoded arguments as JSON', false)
+  .action(async (options) => {
+    try {
+      const verifier = new ContractVerifier();
+
+      if (!options.types === !options.abi) {
+        throw new InvalidInputError('Pass exactly one of --types or --abi');
+      }
+
+      const params = options.types
+        ? splitTypes(options.types).map(type => ({ name: '', type }))
+        : constructorInputs(await verifier.readAbiFile(path.resolve(options.abi)));
+      const values = verifier.decodeConstructorArgs(params, options.data);
+      const args = params.map((param, i) => ({ name: param.name || undefined, type: formatType(parseType(param)), value: values[i] }));
+
+      if (options.json) {
+        printJson({ args });
+        return;
+      }
+
+      console.log(`🔓 Decoded ${args.length} constructor argument(s):\n`);
+      args.forEach((arg, i) => {
+        console.log(`${i + 1}. ${arg.name ? `${arg.name} ` : ''}(${arg.type}): ${JSON.stringify(arg.value)}`);
+      });
+    } catch (error) {
+      fail(error, options);
+    }
+  });
+
+program
+  .command('checksum <address>')
+  .description('Print the checksummed form of an address (EIP-55, or EIP-1191 on networks that use it)')
+  .option('-n, --network <network>', 'Network whose checksum scheme to use')
+  .option('--json', 'Print the result as JSON', false)
+  .action(async (address, options) => {
+    try {
+      const verifier = new ContractVerifier();
+
+      if (options.network && !verifier.getNetworkInfo(options.network)) {
+        throw new InvalidInputError(`Unsupported network "${options.network}"`, {
+          hint: `Supported networks: ${verifier.getSupportedNetworks().join(', ')}`
+        });
+      }
+
+      const checksummed = verifier.toChecksumAddress(address, options.network);
+      const chainId = verifier.checksumChainId(options.network);
+      const valid = verifier.isValidAddress(address, options.network);
+
+      if (options.json) {
+        printJson({ address: checksummed, standard: chainId ? 'EIP-1191' : 'EIP-55', chainId, inputValid: valid });
+        return;
+      }
+
+      console.log(checksummed);
+      if (!valid) {
+        console.error(`⚠️  ${address} has an invalid checksum`);
+      }
+      if (chainId) {
+        console.error(`ℹ️  EIP-1191 checksum for chain ${chainId}`);
+      }
+    } catch (error) {
+      fail(error, options);
     }
   });
 
+// Values given as a JSON array are used as-is so arrays and tuples survive;
+// anything else falls back to plain comma splitting
+function parseArgValues(input) {
+  const trimmed = input.trim();
+
+  if (trimmed.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      if (Array.isArray(parsed)) {
+        return parsed;
+      }
+    } catch (error) {
+      throw new InvalidInputError(`Invalid JSON values: ${error.message}`);
+    }
+  }
+
+  return input.split(',').map(v => v.trim());
+}
+
 // Handle unknown commands
 program.on('command:*', function (operands) {
   console.error(`❌ Unknown command: ${operands[0]}`);
   console.log('Run "contract-verifier --help" for available commands');
-  process.exit(1);
+  process.exit(EXIT_CODES.INVALID_INPUT);
 });
 
 // Show help if no arguments provided
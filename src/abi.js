@@ -0,0 +1,505 @@
+// Solidity ABI encoding and decoding (https://docs.soliditylang.org/en/latest/abi-spec.html)
+
+const { validateAddress } = require('./address');
+
+const WORD_SIZE = 32;
+
+// Split a comma-separated type list, ignoring commas nested inside tuples
+function splitTypes(input) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of input) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (depth !== 0) {
+    throw new Error(`Unbalanced parentheses in type list: ${input}`);
+  }
+
+  if (current.trim()) {
+    parts.push(current.trim());
+  }
+
+  return parts;
+}
+
+// Parse a type string (e.g. "uint256[]", "(address,bytes32)[2]") or an ABI
+// parameter object ({ type: 'tuple', components: [...] }) into a type node
+function parseType(type) {
+  if (type && typeof type === 'object') {
+    return parseParam(type);
+  }
+
+  if (typeof type !== 'string' || !type.trim()) {
+    throw new Error(`Invalid type: ${type}`);
+  }
+
+  const trimmed = type.trim();
+
+  if (trimmed.endsWith(']')) {
+    const open = trimmed.lastIndexOf('[');
+    const size = trimmed.slice(open + 1, -1);
+    if (size !== '' && !/^\d+$/.test(size)) {
+      throw new Error(`Invalid array size in type: ${trimmed}`);
+    }
+    return {
+      kind: 'array',
+      child: parseType(trimmed.slice(0, open)),
+      length: size === '' ? null : parseInt(size, 10)
+    };
+  }
+
+  const tupleMatch = trimmed.match(/^(?:tuple)?\((.*)\)$/);
+  if (tupleMatch) {
+    return {
+      kind: 'tuple',
+      components: splitTypes(tupleMatch[1]).map(parseType)
+    };
+  }
+
+  return parseElementary(trimmed);
+}
+
+function parseParam(param) {
+  const type = param.type;
+
+  if (typeof type !== 'string') {
+    throw new Error(`Invalid ABI parameter: ${JSON.stringify(param)}`);
+  }
+
+  if (type.startsWith('tuple')) {
+    const node = {
+      kind: 'tuple',
+      components: (param.components || []).map(parseParam),
+      names: (param.components || []).map(component => component.name || '')
+    };
+    return wrapArrays(node, type.slice('tuple'.length));
+  }
+
+  return parseType(type);
+}
+
+// Apply array suffixes such as "[2][]" to an already-parsed node
+function wrapArrays(node, suffix) {
+  const dims = suffix.match(/\[\d*\]/g) || [];
+  if (dims.join('') !== suffix) {
+    throw new Error(`Invalid array suffix: ${suffix}`);
+  }
+
+  return dims.reduce((child, dim) => {
+    const size = dim.slice(1, -1);
+    return { kind: 'array', child, length: size === '' ? null : parseInt(size, 10) };
+  }, node);
+}
+
+function parseElementary(type) {
+  if (type === 'address' || type === 'bool' || type === 'string' || type === 'bytes') {
+    return { kind: type };
+  }
+
+  let match = type.match(/^(u?int)(\d*)$/);
+  if (match) {
+    const bits = match[2] === '' ? 256 : parseInt(match[2], 10);
+    if (bits < 8 || bits > 256 || bits % 8 !== 0) {
+      throw new Error(`Invalid integer size: ${type}`);
+    }
+    return { kind: match[1], bits };
+  }
+
+  match = type.match(/^bytes(\d+)$/);
+  if (match) {
+    const size = parseInt(match[1], 10);
+    if (size < 1 || size > 32) {
+      throw new Error(`Invalid fixed bytes size: ${type}`);
+    }
+    return { kind: 'fixedBytes', size };
+  }
+
+  throw new Error(`Unsupported type: ${type}`);
+}
+
+// Canonical type string for a node, as used in signatures and error messages
+function formatType(node) {
+  switch (node.kind) {
+    case 'uint':
+    case 'int':
+      return `${node.kind}${node.bits}`;
+    case 'fixedBytes':
+      return `bytes${node.size}`;
+    case 'array':
+      return `${formatType(node.child)}[${node.length === null ? '' : node.length}]`;
+    case 'tuple':
+      return `(${node.components.map(formatType).join(',')})`;
+    default:
+      return node.kind;
+  }
+}
+
+function isDynamic(node) {
+  switch (node.kind) {
+    case 'string':
+    case 'bytes':
+      return true;
+    case 'array':
+      return node.length === null || isDynamic(node.child);
+    case 'tuple':
+      return node.components.some(isDynamic);
+    default:
+      return false;
+  }
+}
+
+// Number of bytes a node occupies in the head of its enclosing sequence
+function headSize(node) {
+  if (isDynamic(node)) {
+    return WORD_SIZE;
+  }
+  if (node.kind === 'array') {
+    return node.length * headSize(node.child);
+  }
+  if (node.kind === 'tuple') {
+    return node.components.reduce((sum, component) => sum + headSize(component), 0);
+  }
+  return WORD_SIZE;
+}
+
+function toBigInt(value, type) {
+  if (typeof value === 'bigint') {
+    return value;
+  }
+  if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value)) {
+      throw new Error(`Unsafe integer for ${type}: ${value} (pass large numbers as strings)`);
+    }
+    return BigInt(value);
+  }
+  if (typeof value === 'string' && /^-?(0x[0-9a-fA-F]+|\d+)$/.test(value.trim())) {
+    const trimmed = value.trim();
+    return trimmed.startsWith('-') ? -BigInt(trimmed.slice(1)) : BigInt(trimmed);
+  }
+  throw new Error(`Invalid ${type} value: ${value}`);
+}
+
+function toHexBytes(value, type) {
+  if (typeof value !== 'string' || !/^0x([0-9a-fA-F]{2})*$/.test(value)) {
+    throw new Error(`Invalid ${type} value: ${value} (expected 0x-prefixed hex)`);
+  }
+  return value.slice(2).toLowerCase();
+}
+
+function padRight(hex) {
+  const words = Math.ceil(hex.length / (WORD_SIZE * 2));
+  return hex.padEnd(words * WORD_SIZE * 2, '0');
+}
+
+function encodeWord(num) {
+  return num.toString(16).padStart(WORD_SIZE * 2, '0');
+}
+
+function encodeInteger(node, value) {
+  const type = formatType(node);
+  const num = toBigInt(value, type);
+  const bits = BigInt(node.bits);
+
+  if (node.kind === 'uint') {
+    if (num < 0n || num >= 1n << bits) {
+      throw new Error(`Value out of range for ${type}: ${value}`);
+    }
+    return encodeWord(num);
+  }
+
+  const limit = 1n << (bits - 1n);
+  if (num < -limit || num >= limit) {
+    throw new Error(`Value out of range for ${type}: ${value}`);
+  }
+  return encodeWord(num < 0n ? (1n << 256n) + num : num);
+}
+
+function encodeBool(value) {
+  if (value === true || value === 'true' || value === 1 || value === '1') {
+    return encodeWord(1n);
+  }
+  if (value === false || value === 'false' || value === 0 || value === '0') {
+    return encodeWord(0n);
+  }
+  throw new Error(`Invalid bool value: ${value}`);
+}
+
+// Mixed-case addresses must carry a valid checksum, EIP-1191 when the
+// options name a chain ID
+function encodeAddress(value, options) {
+  validateAddress(value, { chainId: options.chainId, label: 'address' });
+  return value.slice(2).toLowerCase().padStart(WORD_SIZE * 2, '0');
+}
+
+function encodeFixedBytes(node, value) {
+  const hex = toHexBytes(value, formatType(node));
+  if (hex.length !== node.size * 2) {
+    throw new Error(`Invalid ${formatType(node)} value: expected ${node.size} bytes, got ${hex.length / 2}`);
+  }
+  return hex.padEnd(WORD_SIZE * 2, '0');
+}
+
+function encodeDynamicBytes(hex) {
+  return encodeWord(BigInt(hex.length / 2)) + padRight(hex);
+}
+
+function tupleValues(node, value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  if (value && typeof value === 'object' && node.names && node.names.every(Boolean)) {
+    return node.names.map(name => {
+      if (!(name in value)) {
+        throw new Error(`Missing tuple field: ${name}`);
+      }
+      return value[name];
+    });
+  }
+  throw new Error(`Invalid tuple value for ${formatType(node)}: expected an array`);
+}
+
+function encodeNode(node, value, options) {
+  switch (node.kind) {
+    case 'uint':
+    case 'int':
+      return encodeInteger(node, value);
+    case 'bool':
+      return encodeBool(value);
+    case 'address':
+      return encodeAddress(value, options);
+    case 'fixedBytes':
+      return encodeFixedBytes(node, value);
+    case 'bytes':
+      return encodeDynamicBytes(toHexBytes(value, 'bytes'));
+    case 'string':
+      if (typeof value !== 'string') {
+        throw new Error(`Invalid string value: ${value}`);
+      }
+      return encodeDynamicBytes(Buffer.from(value, 'utf8').toString('hex'));
+    case 'array': {
+      if (!Array.isArray(value)) {
+        throw new Error(`Invalid ${formatType(node)} value: expected an array`);
+      }
+      if (node.length !== null && value.length !== node.length) {
+        throw new Error(`Invalid ${formatType(node)} value: expected ${node.length} elements, got ${value.length}`);
+      }
+      const body = encodeSequence(value.map(() => node.child), value, options);
+      return node.length === null ? encodeWord(BigInt(value.length)) + body : body;
+    }
+    case 'tuple': {
+      const values = tupleValues(node, value);
+      if (values.length !== node.components.length) {
+        throw new Error(`Invalid ${formatType(node)} value: expected ${node.components.length} elements, got ${values.length}`);
+      }
+      return encodeSequence(node.components, values, options);
+    }
+    default:
+      throw new Error(`Unsupported type: ${node.kind}`);
+  }
+}
+
+// Encode values as a head/tail sequence, placing dynamic data after the heads
+function encodeSequence(nodes, values, options) {
+  const headLength = nodes.reduce((sum, node) => sum + headSize(node), 0);
+  let head = '';
+  let tail = '';
+
+  nodes.forEach((node, i) => {
+    const encoded = encodeNode(node, values[i], options);
+    if (isDynamic(node)) {
+      head += encodeWord(BigInt(headLength + tail.length / 2));
+      tail += encoded;
+    } else {
+      head += encoded;
+    }
+  });
+
+  return head + tail;
+}
+
+// Encode a list of values for the given types, returning hex without 0x.
+// `options.chainId` selects EIP-1191 address checksums (e.g. RSK).
+function encode(types, values, options = {}) {
+  if (!Array.isArray(types) || !Array.isArray(values) || types.length !== values.length) {
+    throw new Error('Types and values arrays must have the same length');
+  }
+
+  return encodeSequence(types.map(parseType), values, options);
+}
+
+// Decoding is strict: every word is bounds-checked and padding must be zero,
+// so truncated or malformed data fails instead of decoding to garbage
+
+function readWord(data, position) {
+  if (position < 0 || position + WORD_SIZE > data.length) {
+    throw new Error(`Encoded data is too short: expected a word at byte ${position}, got ${data.length} bytes`);
+  }
+  return BigInt(`0x${data.toString('hex', position, position + WORD_SIZE)}`);
+}
+
+function readOffset(data, position) {
+  const value = readWord(data, position);
+  if (value > BigInt(data.length)) {
+    throw new Error(`Invalid offset or length ${value} at byte ${position} (data is ${data.length} bytes)`);
+  }
+  return Number(value);
+}
+
+function decodeInteger(node, word, position) {
+  const type = formatType(node);
+  const bits = BigInt(node.bits);
+
+  if (node.kind === 'uint') {
+    if (word >= 1n << bits) {
+      throw new Error(`Invalid ${type} value at byte ${position}: out of range`);
+    }
+    return word.toString();
+  }
+
+  const value = word >= 1n << 255n ? word - (1n << 256n) : word;
+  const limit = 1n << (bits - 1n);
+  if (value < -limit || value >= limit) {
+    throw new Error(`Invalid ${type} value at byte ${position}: out of range`);
+  }
+  return value.toString();
+}
+
+function decodeDynamicBytes(data, position) {
+  const length = readOffset(data, position);
+  const start = position + WORD_SIZE;
+  const end = start + Math.ceil(length / WORD_SIZE) * WORD_SIZE;
+  if (end > data.length) {
+    throw new Error(`Encoded data is too short: ${length} bytes at byte ${start} run past the end`);
+  }
+  return { bytes: data.subarray(start, start + length), end };
+}
+
+// Decode the node whose encoding starts at `position`, returning the value and
+// the byte after the last one it used
+function decodeNode(data, node, position) {
+  switch (node.kind) {
+    case 'uint':
+    case 'int':
+      return { value: decodeInteger(node, readWord(data, position), position), end: position + WORD_SIZE };
+    case 'bool': {
+      const word = readWord(data, position);
+      if (word > 1n) {
+        throw new Error(`Invalid bool value at byte ${position}`);
+      }
+      return { value: word === 1n, end: position + WORD_SIZE };
+    }
+    case 'address': {
+      const word = readWord(data, position);
+      if (word >= 1n << 160n) {
+        throw new Error(`Invalid address at byte ${position}: upper 12 bytes must be zero`);
+      }
+      return { value: `0x${word.toString(16).padStart(40, '0')}`, end: position + WORD_SIZE };
+    }
+    case 'fixedBytes': {
+      readWord(data, position);
+      const hex = data.toString('hex', position, position + WORD_SIZE);
+      if (!/^0*$/.test(hex.slice(node.size * 2))) {
+        throw new Error(`Invalid bytes${node.size} value at byte ${position}: padding must be zero`);
+      }
+      return { value: `0x${hex.slice(0, node.size * 2)}`, end: position + WORD_SIZE };
+    }
+    case 'bytes': {
+      const { bytes, end } = decodeDynamicBytes(data, position);
+      return { value: `0x${bytes.toString('hex')}`, end };
+    }
+    case 'string': {
+      const { bytes, end } = decodeDynamicBytes(data, position);
+      return { value: bytes.toString('utf8'), end };
+    }
+    case 'array': {
+      const count = node.length === null ? readOffset(data, position) : node.length;
+      const start = node.length === null ? position + WORD_SIZE : position;
+      if (start + count * headSize(node.child) > data.length) {
+        throw new Error(`Encoded data is too short for ${count} element(s) of ${formatType(node.child)} at byte ${start}`);
+      }
+      const { values, end } = decodeSequence(data, Array(count).fill(node.child), start);
+      return { value: values, end: Math.max(end, start) };
+    }
+    case 'tuple': {
+      const { values, end } = decodeSequence(data, node.components, position);
+      return { value: values, end };
+    }
+    default:
+      throw new Error(`Unsupported type: ${node.kind}`);
+  }
+}
+
+// Decode a head/tail sequence starting at `base`; offsets are relative to it
+function decodeSequence(data, nodes, base) {
+  const values = [];
+  let head = base;
+  let end = base + nodes.reduce((sum, node) => sum + headSize(node), 0);
+
+  for (const node of nodes) {
+    if (isDynamic(node)) {
+      const decoded = decodeNode(data, node, base + readOffset(data, head));
+      values.push(decoded.value);
+      end = Math.max(end, decoded.end);
+    } else {
+      values.push(decodeNode(data, node, head).value);
+    }
+    head += headSize(node);
+  }
+
+  return { values, end };
+}
+
+// Decode hex (with or without 0x) for the given types. Integers come back as
+// decimal strings, bytes as 0x hex and tuples as arrays.
+function decode(types, hex) {
+  if (!Array.isArray(types)) {
+    throw new Error('Types must be an array');
+  }
+
+  const clean = String(hex || '').trim().replace(/^0x/i, '');
+  if (!/^([0-9a-fA-F]{2})*$/.test(clean)) {
+    throw new Error('Encoded data is not valid hex');
+  }
+
+  const data = Buffer.from(clean, 'hex');
+  if (data.length % WORD_SIZE !== 0) {
+    throw new Error(`Encoded data is not 32-byte aligned (${data.length} bytes)`);
+  }
+
+  const { values, end } = decodeSequence(data, types.map(parseType), 0);
+  if (end < data.length) {
+    throw new Error(`Encoded data has ${data.length - end} unexpected trailing byte(s)`);
+  }
+
+  return values;
+}
+
+// Constructor inputs from a contract ABI; none when it has no constructor
+function constructorInputs(abi) {
+  if (!Array.isArray(abi)) {
+    throw new Error('Invalid ABI: expected an array');
+  }
+  const constructor = abi.find(item => item.type === 'constructor');
+  return constructor ? constructor.inputs || [] : [];
+}
+
+module.exports = {
+  encode,
+  decode,
+  constructorInputs,
+  parseType,
+  formatType,
+  splitTypes,
+  isDynamic
+};
@@ -0,0 +1,72 @@
+const { keccak256 } = require('./keccak');
+const { InvalidInputError } = require('./errors');
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+function isAddress(value) {
+  return typeof value === 'string' && ADDRESS_PATTERN.test(value);
+}
+
+// All-lowercase or all-uppercase addresses carry no checksum
+function hasChecksum(address) {
+  const body = address.slice(2);
+  return body !== body.toLowerCase() && body !== body.toUpperCase();
+}
+
+// EIP-55 mixed-case checksum. With a chain ID the EIP-1191 variant is used,
+// which hashes "<chainId>0x<address>" so the checksum differs per chain.
+function toChecksumAddress(address, chainId) {
+  if (!isAddress(address)) {
+    throw new InvalidInputError(`Invalid address: ${address}`, {
+      hint: 'Addresses are 0x followed by 40 hex characters'
+    });
+  }
+
+  const body = address.slice(2).toLowerCase();
+  const prefix = chainId ? `${chainId}0x` : '';
+  const hash = keccak256(`${prefix}${body}`).toString('hex');
+
+  let checksummed = '0x';
+  for (let i = 0; i < body.length; i++) {
+    checksummed += parseInt(hash[i], 16) >= 8 ? body[i].toUpperCase() : body[i];
+  }
+  return checksummed;
+}
+
+// True for well-formed addresses whose checksum (if any) is correct
+function isValidAddress(address, chainId) {
+  if (!isAddress(address)) {
+    return false;
+  }
+  return !hasChecksum(address) || toChecksumAddress(address, chainId) === address;
+}
+
+// Throw for malformed addresses and for mixed-case ones with a bad checksum,
+// suggesting the correct form; returns the address unchanged
+function validateAddress(address, options = {}) {
+  const label = options.label || 'address';
+
+  if (!isAddress(address)) {
+    throw new InvalidInputError(`Invalid ${label}: ${address}`, {
+      hint: 'Address must be a valid Ethereum address (42 characters starting with 0x)'
+    });
+  }
+  if (hasChecksum(address)) {
+    const expected = toChecksumAddress(address, options.chainId);
+    if (expected !== address) {
+      const scheme = options.chainId ? `EIP-1191 checksum for chain ${options.chainId}` : 'EIP-55 checksum';
+      throw new InvalidInputError(`Invalid ${label} checksum: ${address} (expected ${expected})`, {
+        hint: `The mixed-case letters don't match the ${scheme} - check for a typo, or use ${expected}`
+      });
+    }
+  }
+  return address;
+}
+
+module.exports = {
+  isAddress,
+  hasChecksum,
+  toChecksumAddress,
+  isValidAddress,
+  validateAddress
+};
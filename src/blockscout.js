@@ -0,0 +1,177 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const errors = require('./errors');
+
+// Blockscout's native API verification methods, by prepared source format
+const VERIFICATION_METHODS = {
+  'solidity-single-file': 'flattened-code',
+  'solidity-standard-json-input': 'standard-input',
+  'multi-part': 'multi-part',
+  'vyper-json': 'vyper-standard-input'
+};
+
+// Root of a Blockscout instance: the explorer URL, or the API url without /api
+function baseUrl(network) {
+  return (network.explorerUrl || network.url.replace(/\/api\/?$/, '')).replace(/\/+$/, '');
+}
+
+function usesNativeApi(network) {
+  return Boolean(network) && network.explorer === 'blockscout' && network.blockscoutApi !== 'etherscan';
+}
+
+function smartContractUrl(base, address) {
+  return `${base}/api/v2/smart-contracts/${address.toLowerCase()}`;
+}
+
+function verificationUrl(base, address, method) {
+  return `${smartContractUrl(base, address)}/verification/via/${method}`;
+}
+
+function formData(fields, files) {
+  const form = new FormData();
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) {
+      form.append(key, String(value));
+    }
+  }
+  files.forEach(([name, content, type], index) => {
+    form.append(`files[${index}]`, Buffer.from(content), { filename: name, contentType: type });
+  });
+  return form;
+}
+
+// Request body for a submission: JSON for flattened code, multipart uploads
+// for standard JSON input and multi-part sources
+function buildRequest(submission) {
+  const method = VERIFICATION_METHODS[submission.codeFormat];
+  if (!method) {
+    throw new Error(`Blockscout does not support code format ${submission.codeFormat}`);
+  }
+
+  const constructorArgs = (submission.constructorArgs || '').replace(/^0x/i, '');
+  const linked = {};
+  (submission.libraries || []).forEach(({ name, address }) => {
+    linked[name] = address;
+  });
+
+  const common = {
+    // Blockscout lists Vyper compilers as v0.3.10
+    compiler_version: String(submission.compilerVersion).replace(/^vyper:/, 'v'),
+    license_type: submission.licenseType || 'none'
+  };
+
+  if (method === 'flattened-code') {
+    return {
+      method,
+      body: {
+        ...common,
+        source_code: submission.sourceCode,
+        contract_name: submission.contractName,
+        is_optimization_enabled: Boolean(submission.optimized),
+        optimization_runs: Number(submission.runs),
+        evm_version: submission.evmVersion || 'default',
+        autodetect_constructor_args: !constructorArgs,
+        constructor_args: constructorArgs,
+        libraries: linked
+      }
+    };
+  }
+
+  if (method === 'standard-input' || method === 'vyper-standard-input') {
+    return {
+      method,
+      body: formData({
+        ...common,
+        contract_name: submission.contractName,
+        autodetect_constructor_args: !constructorArgs,
+        constructor_args: constructorArgs
+      }, [['input.json', submission.sourceCode, 'application/json']])
+    };
+  }
+
+  return {
+    method,
+    body: formData({
+      ...common,
+      evm_version: submission.evmVersion || 'default',
+      is_optimization_enabled: Boolean(submission.optimized),
+      optimization_runs: Number(submission.runs),
+      libraries: JSON.stringify(linked)
+    }, Object.entries(submission.sources).map(([name, content]) => [name, content, 'text/plain']))
+  };
+}
+
+function requestError(error) {
+  const data = error.response && error.response.data;
+  const message = data && (data.message || (data.errors && JSON.stringify(data.errors)));
+  const ErrorClass = errors.classify(message) || (error.response ? errors.ExplorerError : errors.NetworkError);
+  return new ErrorClass(`Blockscout request failed: ${message || error.message}`, { response: data });
+}
+
+// `http` is the verifier's HttpClient (retries and rate limiting); plain axios
+// when called on its own
+async function submit(base, address, submission, http = axios) {
+  const { method, body } = buildRequest(submission);
+  // Multipart forms go out as a buffer so a retried request sends them again
+  const config = body instanceof FormData ? { headers: body.getHeaders(), timeout: 30000 } : { timeout: 30000 };
+  const data = body instanceof FormData ? body.getBuffer() : body;
+
+  try {
+    const response = await http.post(verificationUrl(base, address, method), data, config);
+    return { method, message: response.data && response.data.message };
+  } catch (error) {
+    throw requestError(error);
+  }
+}
+
+// The raw smart-contract record for an address, or undefined when the
+// explorer doesn't know it
+async function fetchSmartContract(base, address, http = axios) {
+  try {
+    const response = await http.get(smartContractUrl(base, address), { timeout: 10000 });
+    return response.data || {};
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return undefined;
+    }
+    throw requestError(error);
+  }
+}
+
+// { verified, partial, contractName, compilerVersion } for an address
+async function getSmartContract(base, address, http = axios) {
+  const data = await fetchSmartContract(base, address, http);
+  if (!data) {
+    return { verified: false, partial: false };
+  }
+
+  return {
+    verified: Boolean(data.is_verified),
+    partial: Boolean(data.is_partially_verified),
+    contractName: data.name,
+    compilerVersion: data.compiler_version,
+    optimizationUsed: Boolean(data.optimization_enabled),
+    runs: data.optimization_runs,
+    sourceCode: data.source_code
+  };
+}
+
+async function getCompilerVersions(base, language = 'solidity', http = axios) {
+  try {
+    const response = await http.get(`${base}/api/v2/smart-contracts/verification/config`, { timeout: 10000 });
+    return response.data[`${language}_compiler_versions`] || [];
+  } catch (error) {
+    throw requestError(error);
+  }
+}
+
+module.exports = {
+  VERIFICATION_METHODS,
+  baseUrl,
+  usesNativeApi,
+  buildRequest,
+  submit,
+  fetchSmartContract,
+  getSmartContract,
+  getCompilerVersions
+};
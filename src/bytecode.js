@@ -0,0 +1,94 @@
+// Helpers for comparing compiled bytecode with on-chain data
+
+function normalizeHex(hex) {
+  if (typeof hex !== 'string') {
+    throw new Error(`Invalid bytecode: ${hex}`);
+  }
+  const stripped = hex.trim().replace(/^0x/i, '').toLowerCase();
+  if (!/^[0-9a-f_$]*$/.test(stripped)) {
+    throw new Error('Invalid bytecode: expected a hex string');
+  }
+  return stripped;
+}
+
+// Length in hex characters of the trailing CBOR metadata section (including
+// its 2-byte length suffix), or 0 when the code doesn't end with one
+function metadataLength(hex) {
+  if (hex.length < 4) {
+    return 0;
+  }
+  const length = (parseInt(hex.slice(-4), 16) + 2) * 2;
+  // solc metadata is a CBOR map starting with 0xa1-0xa5
+  const start = hex.length - length;
+  if (start < 0 || !/^a[1-5]$/.test(hex.slice(start, start + 2))) {
+    return 0;
+  }
+  return length;
+}
+
+function stripMetadata(hex) {
+  const normalized = normalizeHex(hex);
+  return normalized.slice(0, normalized.length - metadataLength(normalized));
+}
+
+const PLACEHOLDER_LENGTH = 40;
+
+// Compare two hex strings, treating unlinked library placeholders
+// (__$<hash>$__ or __Name____) in the compiled code as wildcards
+function matchesWithPlaceholders(compiled, actual) {
+  if (compiled.length !== actual.length) {
+    return false;
+  }
+  let i = 0;
+  while (i < compiled.length) {
+    if (compiled[i] === '_') {
+      i += PLACEHOLDER_LENGTH;
+      continue;
+    }
+    if (compiled[i] !== actual[i]) {
+      return false;
+    }
+    i++;
+  }
+  return true;
+}
+
+// Split a contract creation input into the compiled creation bytecode and the
+// trailing ABI-encoded constructor arguments (returned without 0x)
+function extractConstructorArgs(creationInput, creationBytecode) {
+  const input = normalizeHex(creationInput);
+  const bytecode = normalizeHex(creationBytecode);
+
+  if (!bytecode) {
+    throw new Error('Compiled creation bytecode is empty');
+  }
+
+  if (input.length < bytecode.length) {
+    throw new Error('Creation input is shorter than the compiled bytecode - is this the right contract?');
+  }
+
+  const prefix = input.slice(0, bytecode.length);
+  const compiledCode = stripMetadata(bytecode);
+
+  // The metadata hash changes with any source or path difference, so only the
+  // code before it has to match exactly
+  if (!matchesWithPlaceholders(compiledCode, prefix.slice(0, compiledCode.length))) {
+    throw new Error('Creation input does not start with the compiled bytecode - check the compiler settings and source');
+  }
+
+  const args = input.slice(bytecode.length);
+
+  if (args.length % 64 !== 0) {
+    throw new Error(`Constructor arguments are not 32-byte aligned (${args.length / 2} bytes)`);
+  }
+
+  return args;
+}
+
+module.exports = {
+  normalizeHex,
+  metadataLength,
+  stripMetadata,
+  matchesWithPlaceholders,
+  extractConstructorArgs
+};
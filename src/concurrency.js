@@ -0,0 +1,25 @@
+// Run an async worker over items with at most `limit` in flight, keeping
+// results in input order
+async function mapLimit(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function runNext() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const runners = [];
+  for (let i = 0; i < Math.min(Math.max(1, limit), items.length); i++) {
+    runners.push(runNext());
+  }
+  await Promise.all(runners);
+
+  return results;
+}
+
+module.exports = {
+  mapLimit
+};
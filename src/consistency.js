@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const { diffSources, diffSettings, settingsFields, normalizeContent } = require('./source-diff');
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+// Hash of the verified files (paths and contents, line endings normalized)
+function sourceHash(source) {
+  return sha256(Object.keys(source.sources).sort().map(file => [file, normalizeContent(source.sources[file])]));
+}
+
+// Hash of the settings that change the bytecode (see settingsFields)
+function settingsHash(source) {
+  const fields = settingsFields(source);
+  return sha256(Object.keys(fields).sort().map(field => [field, fields[field]]));
+}
+
+// Pick the most common source/settings combination among verified rows as
+// the reference (the first one wins ties) and flag every row that differs.
+// `sources` holds the fetched verified source per network.
+function flagDifferences(rows, sources) {
+  const verified = rows.filter(row => row.status === 'verified');
+  const counts = new Map();
+  verified.forEach(row => {
+    const key = `${row.sourceHash}:${row.settingsHash}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  let reference;
+  verified.forEach(row => {
+    const key = `${row.sourceHash}:${row.settingsHash}`;
+    if (!reference || counts.get(key) > counts.get(`${reference.sourceHash}:${reference.settingsHash}`)) {
+      reference = row;
+    }
+  });
+
+  for (const row of verified) {
+    row.differs = [];
+    if (row.sourceHash !== reference.sourceHash) {
+      row.differs.push('source');
+      row.changedFiles = diffSources(sources[row.network].sources, sources[reference.network].sources)
+        .filter(file => file.status !== 'same')
+        .map(({ path, status }) => ({ path, status }));
+    }
+    if (row.settingsHash !== reference.settingsHash) {
+      row.differs.push('settings');
+      row.settingsDiff = diffSettings(sources[row.network], sources[reference.network])
+        .map(({ field, local, verified: expected }) => ({ field, value: local, reference: expected }));
+    }
+  }
+
+  return reference ? reference.network : undefined;
+}
+
+module.exports = {
+  sourceHash,
+  settingsHash,
+  flagDifferences
+};
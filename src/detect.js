@@ -0,0 +1,126 @@
+// Candidate compiler settings for discovering how a contract was compiled
+
+const EVM_VERSIONS = [
+  'default',
+  'cancun',
+  'shanghai',
+  'paris',
+  'london',
+  'berlin',
+  'istanbul',
+  'petersburg',
+  'constantinople',
+  'byzantium'
+];
+
+const COMMON_RUNS = [200, 1, 100, 1000, 10000, 999999, 500, 20000, 1000000];
+
+function parseVersion(version) {
+  const match = String(version).replace(/^v/, '').match(/^(\d+)(?:\.(\d+))?(?:\.(\d+))?/);
+  if (!match) {
+    throw new Error(`Invalid version: ${version}`);
+  }
+  return [match[1], match[2], match[3]].map(part => parseInt(part || '0', 10));
+}
+
+function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) {
+      return left[i] - right[i];
+    }
+  }
+  return 0;
+}
+
+// Expand a single comparator (^0.8.0, >=0.7.0, 0.8.19, ...) into bounds
+function comparatorMatches(version, comparator) {
+  const match = comparator.match(/^(\^|~|>=|<=|>|<|=)?(.+)$/);
+  const op = match[1] || '=';
+  const target = match[2];
+  const [major, minor, patch] = parseVersion(target);
+  const cmp = compareVersions(version, target);
+
+  switch (op) {
+    case '^': {
+      // ^0.8.1 allows 0.8.x, ^0.0.3 allows only 0.0.3
+      let upper;
+      if (major > 0) upper = `${major + 1}.0.0`;
+      else if (minor > 0) upper = `0.${minor + 1}.0`;
+      else upper = `0.0.${patch + 1}`;
+      return cmp >= 0 && compareVersions(version, upper) < 0;
+    }
+    case '~':
+      return cmp >= 0 && compareVersions(version, `${major}.${minor + 1}.0`) < 0;
+    case '>=':
+      return cmp >= 0;
+    case '<=':
+      return cmp <= 0;
+    case '>':
+      return cmp > 0;
+    case '<':
+      return cmp < 0;
+    default:
+      return cmp === 0;
+  }
+}
+
+// Check a version against a pragma range such as ">=0.7.0 <0.9.0 || ^0.6.12"
+function satisfies(version, range) {
+  return range.split('||').some(part => {
+    const comparators = part.trim()
+      .replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1')
+      .split(/\s+/)
+      .filter(Boolean);
+    return comparators.every(comparator => comparatorMatches(version, comparator));
+  });
+}
+
+function parsePragma(source) {
+  const match = source.match(/^\s*pragma\s+solidity\s+([^;]+);/m);
+  return match ? match[1].trim() : null;
+}
+
+// Release versions from a solc version list that satisfy the pragma, newest first
+function matchingVersions(versions, pragma) {
+  const seen = new Set();
+
+  return versions
+    .filter(version => !/nightly/.test(version))
+    .filter(version => !pragma || satisfies(version, pragma))
+    .sort((a, b) => compareVersions(b, a))
+    .filter(version => {
+      const key = version.replace(/^v/, '').split('+')[0];
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// Settings to try for a version, most common first: default EVM version,
+// optimizer off, then the usual runs values
+function settingsCandidates(options = {}) {
+  const evmVersions = options.evmVersions || EVM_VERSIONS;
+  const runs = options.runs || COMMON_RUNS;
+  const candidates = [];
+
+  for (const evmVersion of evmVersions) {
+    candidates.push({ optimized: false, runs: 200, evmVersion });
+    for (const value of runs) {
+      candidates.push({ optimized: true, runs: value, evmVersion });
+    }
+  }
+
+  return candidates;
+}
+
+module.exports = {
+  EVM_VERSIONS,
+  COMMON_RUNS,
+  compareVersions,
+  satisfies,
+  parsePragma,
+  matchingVersions,
+  settingsCandidates
+};
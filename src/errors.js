@@ -0,0 +1,179 @@
+// Typed errors with a stable `code`, a remediation `hint` and, for explorer
+// failures, the raw `response` the explorer sent back
+class ContractVerifierError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = options.code || 'CONTRACT_VERIFIER_ERROR';
+    this.hint = options.hint;
+    this.response = options.response;
+  }
+}
+
+function defineError(name, code, hint) {
+  const ErrorClass = class extends ContractVerifierError {
+    constructor(message, options = {}) {
+      super(message, { code, hint, ...options });
+    }
+  };
+  Object.defineProperty(ErrorClass, 'name', { value: name });
+  ErrorClass.code = code;
+  return ErrorClass;
+}
+
+const ExplorerError = defineError('ExplorerError', 'EXPLORER_ERROR',
+  'Check the explorer response and your inputs, then try again');
+const MissingApiKeyError = defineError('MissingApiKeyError', 'MISSING_API_KEY',
+  'Set ETHERSCAN_API_KEY in your .env file (run: contract-verifier setup)');
+const InvalidApiKeyError = defineError('InvalidApiKeyError', 'INVALID_API_KEY',
+  'Check that the API key in your .env file is correct and active for this explorer');
+const RateLimitError = defineError('RateLimitError', 'RATE_LIMITED',
+  'Wait a moment and retry, or lower --rate-limit');
+const AlreadyVerifiedError = defineError('AlreadyVerifiedError', 'ALREADY_VERIFIED',
+  'Nothing to do - the contract is already verified');
+const BytecodeMismatchError = defineError('BytecodeMismatchError', 'BYTECODE_MISMATCH',
+  'Run "contract-verifier precheck" or "detect-settings" to find the compiler settings that reproduce the deployed code');
+const ContractNotFoundError = defineError('ContractNotFoundError', 'CONTRACT_NOT_FOUND',
+  'Check the address and network, and wait for the explorer to index a fresh deployment');
+const CompilerVersionError = defineError('CompilerVersionError', 'INVALID_COMPILER_VERSION',
+  'Use the full version string from "contract-verifier versions", e.g. v0.8.19+commit.7dd6d404');
+const ConstructorArgsMismatchError = defineError('ConstructorArgsMismatchError', 'CONSTRUCTOR_ARGS_MISMATCH',
+  'Derive the arguments from the deployment with --bytecode and --auto-args, or re-encode them with encode-args');
+const NetworkError = defineError('NetworkError', 'NETWORK_ERROR',
+  'Check your internet connection and try again');
+const SourceNotFoundError = defineError('SourceNotFoundError', 'SOURCE_NOT_FOUND',
+  'Check that the source file path is correct');
+const UnlinkedLibrariesError = defineError('UnlinkedLibrariesError', 'UNLINKED_LIBRARIES',
+  'Find the library addresses in your deployment logs and pass each with --library');
+const InvalidInputError = defineError('InvalidInputError', 'INVALID_INPUT',
+  'Run the command with --help to see the expected options');
+const NotVerifiedError = defineError('NotVerifiedError', 'NOT_VERIFIED',
+  'Check the address and network, or verify the contract first with "contract-verifier verify"');
+const UnverifiedImplementationError = defineError('UnverifiedImplementationError', 'IMPLEMENTATION_NOT_VERIFIED',
+  'Pass --contract, --version and --source (or --hardhat/--foundry) for the implementation');
+
+// CLI exit codes, one per failure class
+const EXIT_CODES = {
+  FAILURE: 1,
+  INVALID_INPUT: 2,
+  AUTHENTICATION: 3,
+  NETWORK: 4,
+  VERIFICATION_FAILED: 5,
+  CONTRACT_NOT_FOUND: 6,
+  TIMEOUT: 7
+};
+
+const EXIT_CODE_BY_ERROR = {
+  INVALID_INPUT: EXIT_CODES.INVALID_INPUT,
+  SOURCE_NOT_FOUND: EXIT_CODES.INVALID_INPUT,
+  UNLINKED_LIBRARIES: EXIT_CODES.INVALID_INPUT,
+  IMPLEMENTATION_NOT_VERIFIED: EXIT_CODES.INVALID_INPUT,
+  MISSING_API_KEY: EXIT_CODES.AUTHENTICATION,
+  INVALID_API_KEY: EXIT_CODES.AUTHENTICATION,
+  NETWORK_ERROR: EXIT_CODES.NETWORK,
+  RATE_LIMITED: EXIT_CODES.NETWORK,
+  BYTECODE_MISMATCH: EXIT_CODES.VERIFICATION_FAILED,
+  CONSTRUCTOR_ARGS_MISMATCH: EXIT_CODES.VERIFICATION_FAILED,
+  INVALID_COMPILER_VERSION: EXIT_CODES.VERIFICATION_FAILED,
+  CONTRACT_NOT_FOUND: EXIT_CODES.CONTRACT_NOT_FOUND,
+  NOT_VERIFIED: EXIT_CODES.CONTRACT_NOT_FOUND
+};
+
+// Exit code for a thrown error or a failed result ({ status, error })
+function exitCode(failure) {
+  if (!failure) {
+    return EXIT_CODES.FAILURE;
+  }
+  if (failure.status === 'timeout') {
+    return EXIT_CODES.TIMEOUT;
+  }
+  const code = failure.code || (failure.error && failure.error.code);
+  if (EXIT_CODE_BY_ERROR[code]) {
+    return EXIT_CODE_BY_ERROR[code];
+  }
+  return failure.status === 'failed' ? EXIT_CODES.VERIFICATION_FAILED : EXIT_CODES.FAILURE;
+}
+
+// Known result strings from Etherscan-family explorers (Etherscan, Polygonscan,
+// BscScan, ...) and Blockscout, most specific first
+const RESPONSE_PATTERNS = [
+  [/already verified/i, AlreadyVerifiedError],
+  [/invalid api.?key|missing.{0,20}api.?key|api.?key.{0,20}(invalid|missing)/i, InvalidApiKeyError],
+  [/rate limit|too many requests/i, RateLimitError],
+  [/constructor arg/i, ConstructorArgsMismatchError],
+  [/unable to locate contract ?code|not a contract|contract.{0,20}not found|address is not a smart.?contract/i, ContractNotFoundError],
+  [/compiler ?version|solc version|invalid compiler|compiler.{0,20}not supported/i, CompilerVersionError],
+  [/bytecode.{0,40}(does not|doesn't|don't|not) match|unable to find matching contract bytecode/i, BytecodeMismatchError]
+];
+
+function responseText(response) {
+  if (response === undefined || response === null) {
+    return '';
+  }
+  if (typeof response !== 'object') {
+    return String(response);
+  }
+  const parts = [response.result, response.message, response.error]
+    .filter(part => typeof part === 'string' && part && part !== 'NOTOK');
+  if (parts.length === 0 && response.errors) {
+    parts.push(JSON.stringify(response.errors));
+  }
+  return parts.join(' - ');
+}
+
+// The error class for an explorer response (or message), or undefined
+function classify(response) {
+  const text = responseText(response);
+  const entry = RESPONSE_PATTERNS.find(([pattern]) => pattern.test(text));
+  return entry && entry[1];
+}
+
+// Turn a failed explorer response into a typed error, prefixing its message
+// with what was being attempted
+function fromExplorerResponse(response, prefix = 'Explorer request failed') {
+  const text = responseText(response) || 'unknown error';
+  const ErrorClass = classify(response) || ExplorerError;
+  return new ErrorClass(`${prefix}: ${text}`, { response });
+}
+
+// Wrap an axios error: typed when the explorer's body says why, otherwise a
+// NetworkError when it was never reached
+function fromHttpError(error, prefix = 'Explorer request failed') {
+  if (error instanceof ContractVerifierError) {
+    return error;
+  }
+  if (error.response) {
+    const data = error.response.data;
+    const ErrorClass = classify(data) || (error.response.status === 429 ? RateLimitError : ExplorerError);
+    const detail = responseText(data) || `${error.response.status} ${error.response.statusText || ''}`.trim();
+    return new ErrorClass(`${prefix}: ${detail}`, { response: data });
+  }
+  if (error.request) {
+    return new NetworkError(`${prefix}: ${error.message}`);
+  }
+  return new ExplorerError(`${prefix}: ${error.message}`);
+}
+
+module.exports = {
+  ContractVerifierError,
+  ExplorerError,
+  MissingApiKeyError,
+  InvalidApiKeyError,
+  RateLimitError,
+  AlreadyVerifiedError,
+  BytecodeMismatchError,
+  ContractNotFoundError,
+  CompilerVersionError,
+  ConstructorArgsMismatchError,
+  NetworkError,
+  SourceNotFoundError,
+  UnlinkedLibrariesError,
+  InvalidInputError,
+  NotVerifiedError,
+  UnverifiedImplementationError,
+  EXIT_CODES,
+  exitCode,
+  classify,
+  fromExplorerResponse,
+  fromHttpError
+};
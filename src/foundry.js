@@ -0,0 +1,287 @@
+const fs = require('fs-extra');
+const path = require('path');
+const abi = require('./abi');
+const { extractConstructorArgs } = require('./bytecode');
+const { normalizeLibraries, toInputLibraries } = require('./libraries');
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read ${filePath}: ${error.message}`);
+  }
+}
+
+// Locate out/<File>.sol/<Contract>.json for a bare or fully qualified name
+async function findArtifact(projectDir, contractName, outDir = 'out') {
+  const outPath = path.join(projectDir, outDir);
+  const colon = contractName.lastIndexOf(':');
+  const name = colon === -1 ? contractName : contractName.slice(colon + 1);
+
+  if (!await fs.pathExists(outPath)) {
+    throw new Error(`Foundry output directory not found: ${outPath} - run "forge build" first`);
+  }
+
+  if (colon !== -1) {
+    const artifactPath = path.join(outPath, path.basename(contractName.slice(0, colon)), `${name}.json`);
+    if (!await fs.pathExists(artifactPath)) {
+      throw new Error(`Foundry artifact not found: ${artifactPath}`);
+    }
+    return artifactPath;
+  }
+
+  const matches = [];
+  for (const dir of await fs.readdir(outPath)) {
+    const artifactPath = path.join(outPath, dir, `${name}.json`);
+    if (dir.endsWith('.sol') && await fs.pathExists(artifactPath)) {
+      matches.push(artifactPath);
+    }
+  }
+
+  if (matches.length === 0) {
+    throw new Error(`Contract ${contractName} not found in ${outPath}`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`Contract ${name} exists in several files - use the fully qualified name (src/File.sol:${name})`);
+  }
+  return matches[0];
+}
+
+// Rebuild the solc standard JSON input from an artifact's metadata, reading
+// the source contents from the project directory
+async function buildInputFromMetadata(projectDir, metadata) {
+  const { compilationTarget, libraries, ...settings } = metadata.settings;
+  const sources = {};
+
+  for (const unitName of Object.keys(metadata.sources)) {
+    const filePath = path.join(projectDir, unitName);
+    if (!await fs.pathExists(filePath)) {
+      throw new Error(`Source ${unitName} listed in the artifact metadata was not found in ${projectDir}`);
+    }
+    sources[unitName] = { content: await fs.readFile(filePath, 'utf8') };
+  }
+
+  const input = {
+    language: metadata.language,
+    sources,
+    settings: {
+      ...settings,
+      outputSelection: {
+        '*': {
+          '*': ['abi', 'evm.bytecode', 'evm.deployedBytecode', 'metadata']
+        }
+      }
+    }
+  };
+
+  if (libraries && Object.keys(libraries).length > 0) {
+    // Metadata lists libraries as { "src/Lib.sol:Lib": "0x.." }
+    input.settings.libraries = toInputLibraries(normalizeLibraries(libraries));
+  }
+
+  return { input, compilationTarget };
+}
+
+// Load everything needed to verify a contract from a Foundry project
+async function loadFoundryContract(projectDir, contractName, options = {}) {
+  const artifactPath = await findArtifact(projectDir, contractName, options.outDir);
+  const artifact = await readJson(artifactPath);
+  const metadata = typeof artifact.metadata === 'string' ? JSON.parse(artifact.metadata) : artifact.metadata;
+
+  if (!metadata || !metadata.settings || !metadata.sources) {
+    throw new Error(`Artifact ${artifactPath} has no metadata - build with extra_output = ["metadata"]`);
+  }
+
+  const { input, compilationTarget } = await buildInputFromMetadata(projectDir, metadata);
+  const [sourceName, name] = Object.entries(compilationTarget)[0];
+  const optimizer = input.settings.optimizer || {};
+
+  return {
+    contractName: `${sourceName}:${name}`,
+    standardJsonInput: input,
+    compilerVersion: `v${metadata.compiler.version}`,
+    optimized: Boolean(optimizer.enabled),
+    runs: optimizer.runs === undefined ? 200 : optimizer.runs,
+    evmVersion: input.settings.evmVersion || 'default',
+    abi: artifact.abi,
+    creationBytecode: artifact.bytecode && artifact.bytecode.object,
+    linkReferences: artifact.bytecode && artifact.bytecode.linkReferences,
+    deployedBytecode: artifact.deployedBytecode && artifact.deployedBytecode.object,
+    contractMetadata: artifact.rawMetadata || metadata
+  };
+}
+
+// Every deployable contract in a Foundry project's out/ directory, as
+// { contractName, creationBytecode } with fully qualified names. Artifacts
+// without metadata can't be verified and are left out.
+async function listContracts(projectDir, outDir = 'out') {
+  const outPath = path.join(projectDir, outDir);
+  if (!await fs.pathExists(outPath)) {
+    throw new Error(`Foundry output directory not found: ${outPath} - run "forge build" first`);
+  }
+
+  const contracts = [];
+  for (const dir of (await fs.readdir(outPath)).filter(entry => entry.endsWith('.sol'))) {
+    for (const file of (await fs.readdir(path.join(outPath, dir))).filter(entry => entry.endsWith('.json'))) {
+      const artifact = await readJson(path.join(outPath, dir, file));
+      const metadata = typeof artifact.metadata === 'string' ? JSON.parse(artifact.metadata) : artifact.metadata;
+      const creationBytecode = artifact.bytecode && artifact.bytecode.object;
+      const target = metadata && metadata.settings && metadata.settings.compilationTarget;
+
+      if (target && creationBytecode && creationBytecode !== '0x') {
+        const [sourceName, name] = Object.entries(target)[0];
+        contracts.push({ contractName: `${sourceName}:${name}`, creationBytecode });
+      }
+    }
+  }
+
+  return contracts;
+}
+
+function broadcastPath(projectDir, script, chainId) {
+  return path.join(projectDir, 'broadcast', path.basename(script), String(chainId), 'run-latest.json');
+}
+
+// Read the contract deployments recorded by a `forge script --broadcast` run
+async function readBroadcast(filePath) {
+  if (!await fs.pathExists(filePath)) {
+    throw new Error(`Broadcast file not found: ${filePath}`);
+  }
+
+  const run = await readJson(filePath);
+
+  const deployments = [];
+  const skipped = [];
+  const additionalContracts = [];
+
+  for (const tx of run.transactions || []) {
+    if (tx.transactionType !== 'CREATE' && tx.transactionType !== 'CREATE2') {
+      continue;
+    }
+    if (!tx.transaction) {
+      skipped.push({ hash: tx.hash, contractName: tx.contractName, address: tx.contractAddress, reason: 'no transaction recorded' });
+      continue;
+    }
+
+    deployments.push({
+      type: tx.transactionType,
+      hash: tx.hash,
+      contractName: tx.contractName,
+      address: tx.contractAddress,
+      arguments: tx.arguments || [],
+      input: tx.transaction.input || tx.transaction.data
+    });
+
+    // Contracts created by a deployed factory carry no name or arguments
+    for (const child of tx.additionalContracts || []) {
+      additionalContracts.push({ type: child.transactionType, address: child.address, hash: tx.hash });
+    }
+  }
+
+  return { chainId: run.chain, deployments, skipped, additionalContracts };
+}
+
+// Recover the constructor arguments of a broadcast deployment. CREATE2 calls
+// through the deterministic deployer prefix the init code with a 32-byte salt.
+function deploymentConstructorArgs(deployment, build, options = {}) {
+  const candidates = deployment.type === 'CREATE2'
+    ? [deployment.input.replace(/^0x/, '').slice(64), deployment.input]
+    : [deployment.input];
+
+  for (const input of candidates) {
+    try {
+      return extractConstructorArgs(input, build.creationBytecode);
+    } catch (error) {
+      // Try the next layout, then fall back to the recorded arguments
+    }
+  }
+
+  const inputs = abi.constructorInputs(build.abi || []);
+  if (inputs.length === 0) {
+    return '';
+  }
+  return abi.encode(inputs, deployment.arguments.map(parseArgument), options);
+}
+
+// forge records constructor arguments as strings; arrays and tuples use
+// bracket/parenthesis notation, e.g. `[0x1, 0x2]` or `(1, "a, b")`
+function parseArgument(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const text = value.trim();
+  let pos = 0;
+
+  const skipSpace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+
+  const parseValue = () => {
+    skipSpace();
+    const char = text[pos];
+
+    if (char === '[' || char === '(') {
+      const close = char === '[' ? ']' : ')';
+      const items = [];
+      pos++;
+      skipSpace();
+      if (text[pos] === close) {
+        pos++;
+        return items;
+      }
+      for (;;) {
+        items.push(parseValue());
+        skipSpace();
+        if (text[pos] === ',') {
+          pos++;
+        } else if (text[pos] === close) {
+          pos++;
+          return items;
+        } else {
+          throw new Error(`Cannot parse constructor argument: ${value}`);
+        }
+      }
+    }
+
+    if (char === '"') {
+      let result = '';
+      pos++;
+      while (pos < text.length && text[pos] !== '"') {
+        if (text[pos] === '\\' && pos + 1 < text.length) {
+          pos++;
+        }
+        result += text[pos++];
+      }
+      if (pos >= text.length) {
+        throw new Error(`Unterminated string in constructor argument: ${value}`);
+      }
+      pos++;
+      return result;
+    }
+
+    const start = pos;
+    while (pos < text.length && !/[,\])]/.test(text[pos])) pos++;
+    return text.slice(start, pos).trim();
+  };
+
+  if (!text.startsWith('[') && !text.startsWith('(')) {
+    return text.replace(/^"(.*)"$/, '$1');
+  }
+
+  const result = parseValue();
+  skipSpace();
+  if (pos < text.length) {
+    throw new Error(`Cannot parse constructor argument: ${value}`);
+  }
+  return result;
+}
+
+module.exports = {
+  findArtifact,
+  loadFoundryContract,
+  listContracts,
+  broadcastPath,
+  readBroadcast,
+  deploymentConstructorArgs,
+  parseArgument
+};
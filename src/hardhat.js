@@ -0,0 +1,179 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { parseImports, parseRemappings, resolveUnitName } = require('./resolver');
+
+function splitQualifiedName(contractName) {
+  const colon = contractName.lastIndexOf(':');
+  if (colon === -1) {
+    return { sourceName: null, name: contractName };
+  }
+  return {
+    sourceName: contractName.slice(0, colon),
+    name: contractName.slice(colon + 1)
+  };
+}
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read ${filePath}: ${error.message}`);
+  }
+}
+
+// Build-info files oldest first. Their names are content hashes, so the
+// modification time is what tells a fresh compilation from a stale one.
+async function buildInfoFiles(buildInfoDir) {
+  const files = (await fs.readdir(buildInfoDir)).filter(file => file.endsWith('.json'));
+  const entries = await Promise.all(files.map(async file => {
+    const filePath = path.join(buildInfoDir, file);
+    return { filePath, mtime: (await fs.stat(filePath)).mtimeMs };
+  }));
+
+  return entries
+    .sort((a, b) => a.mtime - b.mtime || a.filePath.localeCompare(b.filePath))
+    .map(entry => entry.filePath);
+}
+
+// Use the artifact's .dbg.json pointer when it exists, otherwise scan every
+// build-info file for one that produced the contract
+async function findBuildInfo(projectDir, contractName) {
+  const artifactsDir = path.join(projectDir, 'artifacts');
+  const { sourceName, name } = splitQualifiedName(contractName);
+
+  if (sourceName) {
+    const dbgPath = path.join(artifactsDir, sourceName, `${name}.dbg.json`);
+    if (await fs.pathExists(dbgPath)) {
+      const dbg = await readJson(dbgPath);
+      const buildInfoPath = path.resolve(path.dirname(dbgPath), dbg.buildInfo);
+      return { buildInfo: await readJson(buildInfoPath), sourceName, name };
+    }
+  }
+
+  const buildInfoDir = path.join(artifactsDir, 'build-info');
+  if (!await fs.pathExists(buildInfoDir)) {
+    throw new Error(`No Hardhat build-info found in ${buildInfoDir} - run "npx hardhat compile" first`);
+  }
+
+  const matches = [];
+  for (const filePath of await buildInfoFiles(buildInfoDir)) {
+    const buildInfo = await readJson(filePath);
+    const contracts = (buildInfo.output && buildInfo.output.contracts) || {};
+
+    for (const [source, sourceContracts] of Object.entries(contracts)) {
+      if ((!sourceName || source === sourceName) && sourceContracts[name]) {
+        matches.push({ buildInfo, sourceName: source, name });
+      }
+    }
+  }
+
+  if (matches.length === 0) {
+    throw new Error(`Contract ${contractName} not found in Hardhat build-info`);
+  }
+
+  const sources = [...new Set(matches.map(match => match.sourceName))];
+  if (sources.length > 1) {
+    throw new Error(`Contract ${name} exists in several sources (${sources.join(', ')}) - use the fully qualified name`);
+  }
+
+  // Several builds of the same file: the most recently written one wins
+  return matches[matches.length - 1];
+}
+
+// Keep only the sources the contract actually depends on. Falls back to the
+// full input if an import can't be matched to a source in it.
+function pruneSources(input, sourceName) {
+  const remappings = parseRemappings((input.settings && input.settings.remappings) || []);
+  const needed = new Set();
+  const queue = [sourceName];
+
+  while (queue.length > 0) {
+    const unitName = queue.shift();
+    if (needed.has(unitName)) continue;
+    if (!input.sources[unitName]) {
+      return input.sources;
+    }
+
+    needed.add(unitName);
+    for (const statement of parseImports(input.sources[unitName].content)) {
+      queue.push(resolveUnitName(statement.path, unitName, remappings));
+    }
+  }
+
+  const pruned = {};
+  for (const unitName of Object.keys(input.sources)) {
+    if (needed.has(unitName)) {
+      pruned[unitName] = input.sources[unitName];
+    }
+  }
+  return pruned;
+}
+
+// Load everything needed to verify a contract from a Hardhat project
+async function loadHardhatContract(projectDir, contractName) {
+  if (!await fs.pathExists(projectDir)) {
+    throw new Error(`Hardhat project not found: ${projectDir}`);
+  }
+
+  const { buildInfo, sourceName, name } = await findBuildInfo(projectDir, contractName);
+
+  if (!buildInfo.input || !buildInfo.solcLongVersion) {
+    throw new Error(`Unsupported build-info format for ${contractName}`);
+  }
+
+  const input = {
+    ...buildInfo.input,
+    sources: pruneSources(buildInfo.input, sourceName)
+  };
+  const settings = input.settings || {};
+  const optimizer = settings.optimizer || {};
+  const output = buildInfo.output.contracts[sourceName][name];
+
+  return {
+    contractName: `${sourceName}:${name}`,
+    standardJsonInput: input,
+    compilerVersion: `v${buildInfo.solcLongVersion}`,
+    optimized: Boolean(optimizer.enabled),
+    runs: optimizer.runs === undefined ? 200 : optimizer.runs,
+    evmVersion: settings.evmVersion || 'default',
+    abi: output.abi,
+    creationBytecode: output.evm && output.evm.bytecode ? output.evm.bytecode.object : undefined,
+    linkReferences: output.evm && output.evm.bytecode ? output.evm.bytecode.linkReferences : undefined,
+    deployedBytecode: output.evm && output.evm.deployedBytecode ? output.evm.deployedBytecode.object : undefined,
+    contractMetadata: output.metadata
+  };
+}
+
+// Every deployable contract in a Hardhat project's build-info, as
+// { contractName, creationBytecode } with fully qualified names
+async function listContracts(projectDir) {
+  const buildInfoDir = path.join(projectDir, 'artifacts', 'build-info');
+  if (!await fs.pathExists(buildInfoDir)) {
+    throw new Error(`No Hardhat build-info found in ${buildInfoDir} - run "npx hardhat compile" first`);
+  }
+
+  // Files come oldest first, so newer builds of a contract replace earlier ones
+  const contracts = new Map();
+  for (const filePath of await buildInfoFiles(buildInfoDir)) {
+    const buildInfo = await readJson(filePath);
+    const outputs = (buildInfo.output && buildInfo.output.contracts) || {};
+
+    for (const [sourceName, sourceContracts] of Object.entries(outputs)) {
+      for (const [name, output] of Object.entries(sourceContracts)) {
+        const creationBytecode = output.evm && output.evm.bytecode && output.evm.bytecode.object;
+        if (creationBytecode) {
+          contracts.set(`${sourceName}:${name}`, { contractName: `${sourceName}:${name}`, creationBytecode });
+        }
+      }
+    }
+  }
+
+  return [...contracts.values()];
+}
+
+module.exports = {
+  findBuildInfo,
+  pruneSources,
+  loadHardhatContract,
+  listContracts
+};
@@ -0,0 +1,140 @@
+const axios = require('axios');
+
+// Etherscan answers rate-limited requests with HTTP 200 and
+// { status: '0', message: 'NOTOK', result: 'Max rate limit reached' }
+const RATE_LIMIT_PATTERN = /rate limit|too many requests/i;
+
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+
+// Failures that mean the request never reached the server
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+function isRateLimited(data) {
+  if (!data || typeof data !== 'object' || data.status !== '0') {
+    return false;
+  }
+  return RATE_LIMIT_PATTERN.test(`${data.message || ''} ${typeof data.result === 'string' ? data.result : ''}`);
+}
+
+// Network errors, timeouts, 429 and 5xx are worth another try; other 4xx are
+// not. A submission (`idempotent: false`) that may already have reached the
+// server - a timeout, a reset, a 5xx - is not re-sent, so it can't be queued twice.
+function isRetryableError(error, { idempotent = true } = {}) {
+  if (error.response) {
+    return error.response.status === 429 || (idempotent && error.response.status >= 500);
+  }
+  if (!idempotent) {
+    return NOT_SENT_CODES.includes(error.code);
+  }
+  return Boolean(error.request) || RETRYABLE_CODES.includes(error.code);
+}
+
+// Exponential backoff with "equal jitter": half the delay is fixed, half random
+function backoffDelay(attempt, options = {}) {
+  const { baseDelay = 500, maxDelay = 10000, random = Math.random } = options;
+  const delay = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.round(delay / 2 + random() * delay / 2);
+}
+
+// Allows `rate` requests per second with bursts of up to `capacity`
+class TokenBucket {
+  constructor(rate, options = {}) {
+    this.rate = rate;
+    this.capacity = options.capacity || rate;
+    this.tokens = this.capacity;
+    this.now = options.now || Date.now;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.updatedAt = this.now();
+  }
+
+  refill() {
+    const now = this.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.rate / 1000);
+    this.updatedAt = now;
+  }
+
+  async take() {
+    this.refill();
+    while (this.tokens < 1) {
+      await this.sleep(Math.ceil((1 - this.tokens) * 1000 / this.rate));
+      this.refill();
+    }
+    this.tokens -= 1;
+  }
+}
+
+// Requests are limited per API key, or per host when there is none
+function rateLimitKey(url, apiKey) {
+  if (apiKey) {
+    return `key:${apiKey}`;
+  }
+  try {
+    return `host:${new URL(url).host}`;
+  } catch (error) {
+    return `host:${url}`;
+  }
+}
+
+// axios wrapper with retries and one rate limiter per API key
+class HttpClient {
+  constructor(options = {}) {
+    this.retries = options.retries === undefined ? 4 : options.retries;
+    this.baseDelay = options.baseDelay || 500;
+    this.maxDelay = options.maxDelay || 10000;
+    this.rateLimit = options.rateLimit || 5;
+    this.random = options.random || Math.random;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.limiters = new Map();
+  }
+
+  limiter(key) {
+    if (!this.limiters.has(key)) {
+      this.limiters.set(key, new TokenBucket(this.rateLimit, { sleep: this.sleep }));
+    }
+    return this.limiters.get(key);
+  }
+
+  // `send` performs the axios call; requests sharing a key share a limiter
+  async request(send, key, options = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await this.limiter(key).take();
+
+      let response;
+      try {
+        response = await send();
+      } catch (error) {
+        if (attempt >= this.retries || !isRetryableError(error, options)) {
+          throw error;
+        }
+        await this.sleep(backoffDelay(attempt, this));
+        continue;
+      }
+
+      if (isRateLimited(response.data) && attempt < this.retries) {
+        await this.sleep(backoffDelay(attempt, this));
+        continue;
+      }
+      return response;
+    }
+  }
+
+  async get(url, config = {}) {
+    const apiKey = config.params && config.params.apikey;
+    return this.request(() => axios.get(url, config), rateLimitKey(url, apiKey));
+  }
+
+  // POSTs here submit verifications, so they are retried only when they
+  // can't have been received
+  async post(url, data, config = {}) {
+    const apiKey = data instanceof URLSearchParams ? data.get('apikey') : undefined;
+    return this.request(() => axios.post(url, data, config), rateLimitKey(url, apiKey), { idempotent: false });
+  }
+}
+
+module.exports = {
+  isRateLimited,
+  isRetryableError,
+  backoffDelay,
+  TokenBucket,
+  HttpClient
+};
@@ -1,154 +1,1165 @@
-const axios = require('axios');
+const { EventEmitter } = require('events');
 const fs = require('fs-extra');
 const path = require('path');
-require('dotenv').config();
-
-class ContractVerifier {
-  constructor() {
-    this.networks = {
-      ethereum: {
-        name: 'Ethereum',
-        url: 'https://api.etherscan.io/api',
-        apiKey: process.env.ETHERSCAN_API_KEY,
-        explorerUrl: 'https://etherscan.io'
-      },
-      polygon: {
-        name: 'Polygon',
-        url: 'https://api.polygonscan.com/api',
-        apiKey: process.env.POLYGONSCAN_API_KEY,
-        explorerUrl: 'https://polygonscan.com'
-      },
-      bsc: {
-        name: 'BNB Smart Chain',
-        url: 'https://api.bscscan.com/api',
-        apiKey: process.env.BSCSCAN_API_KEY,
-        explorerUrl: 'https://bscscan.com'
-      },
-      arbitrum: {
-        name: 'Arbitrum',
-        url: 'https://api.arbiscan.io/api',
-        apiKey: process.env.ARBISCAN_API_KEY,
-        explorerUrl: 'https://arbiscan.io'
-      },
-      optimism: {
-        name: 'Optimism',
-        url: 'https://api-optimistic.etherscan.io/api',
-        apiKey: process.env.OPTIMISM_API_KEY,
-        explorerUrl: 'https://optimistic.etherscan.io'
-      },
-      base: {
-        name: 'Base',
-        url: 'https://api.basescan.org/api',
-        apiKey: process.env.BASESCAN_API_KEY,
-        explorerUrl: 'https://basescan.org'
+const abi = require('./abi');
+const addresses = require('./address');
+const { createRegistry, ETHERSCAN_V2_URL } = require('./networks');
+const bytecode = require('./bytecode');
+const standardJson = require('./standard-json');
+const resolver = require('./resolver');
+const hardhat = require('./hardhat');
+const foundry = require('./foundry');
+const rpc = require('./rpc');
+const sourcify = require('./sourcify');
+const blockscout = require('./blockscout');
+const vyper = require('./vyper');
+const proxy = require('./proxy');
+const libraries = require('./libraries');
+const { JobStore, settingsHash, isFinal, isSuccess } = require('./jobs');
+const { HttpClient } = require('./http');
+const errors = require('./errors');
+const solc = require('./solc');
+const { compareBytecode, formatComparison } = require('./precheck');
+const verifiedSource = require('./verified-source');
+const sourceDiff = require('./source-diff');
+const consistency = require('./consistency');
+const detect = require('./detect');
+const manifestLoader = require('./manifest');
+const { mapLimit } = require('./concurrency');
+const { DeploymentWatcher } = require('./watch');
+// quiet keeps dotenv's banner out of --json output
+require('dotenv').config({ quiet: true });
+
+const BACKENDS = ['etherscan', 'sourcify'];
+
+const SILENT_LOGGER = { log() {}, info() {}, warn() {}, error() {} };
+
+// Emits 'submitted', 'pending', 'verified' and 'failed' as verifications
+// progress; progress lines go to `logger` (console unless silent)
+class ContractVerifier extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const env = options.env || process.env;
+
+    this.logger = options.logger || (options.silent ? SILENT_LOGGER : console);
+
+    this.registry = createRegistry(options);
+    this.networks = this.registry.networks;
+    // 'auto' uses Etherscan V2 when a unified key is set, 'v1' forces the
+    // legacy per-chain endpoints, 'v2' forces the unified endpoint
+    this.apiVersion = options.apiVersion || env.CONTRACT_VERIFIER_API_VERSION || 'auto';
+    this.etherscanApiKey = options.etherscanApiKey || env.ETHERSCAN_API_KEY;
+    this.sourcifyUrl = (options.sourcifyUrl || env.SOURCIFY_URL || sourcify.SOURCIFY_URL).replace(/\/+$/, '');
+
+    // Explorer requests retry transient failures and share a 5 req/s limit per API key
+    this.http = options.httpClient || new HttpClient({
+      rateLimit: Number(options.rateLimit || env.CONTRACT_VERIFIER_RATE_LIMIT) || undefined,
+      retries: options.retries,
+      sleep: ms => this.sleep(ms)
+    });
+    this.pollInterval = Number(options.pollInterval || env.CONTRACT_VERIFIER_POLL_INTERVAL) || 5000;
+    this.pollTimeout = Number(options.pollTimeout || env.CONTRACT_VERIFIER_POLL_TIMEOUT) || 60000;
+
+    // Submissions are only recorded when a state file is configured (the CLI
+    // uses .contract-verifier/state.json); false turns it off
+    const stateFile = options.stateFile === undefined ? env.CONTRACT_VERIFIER_STATE_FILE : options.stateFile;
+    this.jobs = options.jobStore || (stateFile ? new JobStore(stateFile) : null);
+  }
+
+  // URL and API key for a network's explorer API: the Etherscan V2 multichain
+  // endpoint where the chain supports it, otherwise the chain's own API
+  getApiEndpoint(network) {
+    const config = this.getNetworkInfo(network);
+
+    if (!config) {
+      throw new Error(`Unsupported network: ${network}`);
+    }
+
+    const v2Available = config.etherscanV2 && config.chainId && this.apiVersion !== 'v1';
+    if (v2Available && (this.apiVersion === 'v2' || this.etherscanApiKey)) {
+      return {
+        url: `${ETHERSCAN_V2_URL}?chainid=${config.chainId}`,
+        apiKey: this.etherscanApiKey,
+        version: 'v2'
+      };
+    }
+
+    return {
+      url: config.url,
+      apiKey: config.apiKey,
+      version: 'v1'
+    };
+  }
+
+  // Blockscout instances accept requests without an API key
+  requiresApiKey(config) {
+    return config.explorer !== 'blockscout';
+  }
+
+  apiKeyHint(config) {
+    if (config.etherscanV2 && this.apiVersion !== 'v1') {
+      return config.apiKeyEnv && config.apiKeyEnv !== 'ETHERSCAN_API_KEY'
+        ? `ETHERSCAN_API_KEY (or ${config.apiKeyEnv})`
+        : 'ETHERSCAN_API_KEY';
+    }
+    return config.apiKeyEnv || 'an API key';
+  }
+
+  async verifyContract(options) {
+    const {
+      network,
+      address,
+      compilerVersion,
+      constructorArgs = '',
+      creationTxHash,
+      creationBytecode,
+      deriveConstructorArgs = false,
+      optimized = false,
+      runs = 200,
+      evmVersion = 'default'
+    } = options;
+
+    try {
+      
+      const networkConfig = this.getNetworkInfo(network);
+
+      if (!networkConfig) {
+        throw new Error(`Unsupported network: ${network}. Supported networks: ${this.getSupportedNetworks().join(', ')}`);
+      }
+      
+      
+      const endpoint = this.getApiEndpoint(network);
+
+      if (!endpoint.apiKey && this.requiresApiKey(networkConfig)) {
+        throw new errors.MissingApiKeyError(`API key not found for ${networkConfig.name}. Please set ${this.apiKeyHint(networkConfig)} in your .env file`);
+      }
+
+      
+      this.validateAddress(address, network);
+
+      
+      const source = await this.prepareSource(options);
+
+      const unlinked = this.findUnlinkedLibraries(options, source);
+      if (unlinked.length > 0) {
+        throw new errors.UnlinkedLibrariesError(`Unlinked libraries: ${unlinked.join(', ')} - pass their addresses with --library Name=0xAddress`);
+      }
+
+      if (options.precheck) {
+        const comparison = await this.compareWithDeployedCode(options, source);
+        formatComparison(comparison).forEach(line => this.logger.log(`🔬 ${line}`));
+
+        if (!comparison.match && !options.force) {
+          throw new errors.BytecodeMismatchError('Local bytecode does not match the on-chain code - refusing to submit (use force to override)', {
+            hint: 'Run "contract-verifier precheck" to compare settings, or pass --force to submit anyway'
+          });
+        }
+      }
+
+      let encodedArgs = constructorArgs || '';
+      if (creationTxHash || deriveConstructorArgs) {
+        encodedArgs = await this.getConstructorArgsFromCreation({
+          network,
+          address,
+          txHash: creationTxHash,
+          creationBytecode
+        });
+        this.logger.log(`🧩 Constructor arguments derived from creation transaction (${encodedArgs.length / 2} bytes)`);
+      }
+
+      if (options.checkConstructorArgs) {
+        this.checkConstructorArgs(options.abi, encodedArgs);
+      }
+      
+      if (blockscout.usesNativeApi(networkConfig)) {
+        return this.reportResult(network, address, await this.verifyOnBlockscout(network, address, source, {
+          ...options,
+          constructorArgs: encodedArgs
+        }));
+      }
+
+      if (source.codeFormat === 'multi-part') {
+        throw new Error('Multi-part uploads are only supported by Blockscout - use bundle "standard-json" instead');
+      }
+      
+      const verificationData = {
+        module: 'contract',
+        action: 'verifysourcecode',
+        apikey: endpoint.apiKey,
+        contractaddress: address,
+        sourceCode: source.sourceCode,
+        codeformat: source.codeFormat,
+        contractname: source.contractName,
+        compilerversion: compilerVersion,
+        optimizationUsed: optimized ? '1' : '0',
+        runs: runs.toString(),
+        constructorArguements: encodedArgs.replace(/^0x/i, ''),
+        evmversion: evmVersion,
+        ...(source.codeFormat === 'solidity-single-file' ? libraries.toExplorerFields(source.libraries) : {})
+      };
+
+      const networkKey = this.registry.resolve(network);
+      const hash = settingsHash(networkKey, verificationData);
+      const previous = this.jobs && await this.jobs.latest(networkKey, address, hash);
+
+      // Don't resubmit what an earlier run already verified or is still waiting on
+      if (previous && isSuccess(previous)) {
+        this.logger.log(`⏭️  ${source.contractName} was already verified by job ${previous.guid}`);
+        return this.reportResult(network, address, { success: true, status: 'skipped', guid: previous.guid, message: `Already verified by job ${previous.guid}` });
+      }
+      if (previous && !isFinal(previous)) {
+        this.logger.log(`⏯️  Resuming job ${previous.guid} submitted at ${previous.submittedAt}`);
+        return this.reportResult(network, address, await this.checkGuid(network, previous.guid, options));
+      }
+
+      this.logger.log(`🔍 Verifying contract ${source.contractName} on ${networkConfig.name}...`);
+      this.logger.log(`📍 Contract Address: ${address}`);
+      this.logger.log(`🔧 Compiler Version: ${compilerVersion}`);
+      this.logger.log(`⚙️  Optimization: ${optimized ? 'Enabled' : 'Disabled'} ${optimized ? `(${runs} runs)` : ''}`);
+      
+      
+      const response = await this.submitVerification(network, verificationData);
+      
+      if (response.status === '1') {
+        this.logger.log(`✅ Verification submitted successfully!`);
+        this.logger.log(`📄 GUID: ${response.result}`);
+        this.emit('submitted', { network, address, contractName: source.contractName, guid: response.result });
+
+        if (this.jobs) {
+          await this.jobs.record({
+            guid: response.result,
+            network: networkKey,
+            address,
+            contractName: source.contractName,
+            compilerVersion,
+            settingsHash: hash
+          });
+        }
+        
+        const finalStatus = await this.checkGuid(network, response.result, options);
+        
+        if (finalStatus.success) {
+          this.logger.log(`🎉 Contract verified successfully on ${networkConfig.name}!`);
+          this.logger.log(`🔗 View on explorer: ${networkConfig.explorerUrl}/address/${address}#code`);
+        }
+        
+        return this.reportResult(network, address, finalStatus);
+      }
+
+      const error = errors.fromExplorerResponse(response, 'Verification failed');
+      if (error instanceof errors.AlreadyVerifiedError) {
+        this.logger.log(`✅ Contract is already verified on ${networkConfig.name}`);
+        return this.reportResult(network, address, { success: true, status: 'already-verified', message: String(response.result || response.message) });
+      }
+      throw error;
+
+    } catch (error) {
+      this.logger.error(`❌ Error: ${error.message}`);
+      this.emit('failed', { network, address, success: false, status: 'error', message: error.message, error });
+      throw error;
+    }
+  }
+
+  // Poll a submission's GUID - new or from an earlier run - and store the
+  // outcome in its job record
+  async checkGuid(network, guid, polling = {}) {
+    const result = { ...await this.pollVerificationStatus(network, guid, polling), guid };
+    if (this.jobs) {
+      await this.jobs.complete(guid, result);
+    }
+    return result;
+  }
+
+  // Poll a recorded job again without resubmitting it
+  async resumeJob(guid, polling = {}) {
+    if (!this.jobs) {
+      throw new errors.InvalidInputError('No job state file configured - pass stateFile or set CONTRACT_VERIFIER_STATE_FILE');
+    }
+
+    const job = await this.jobs.find(guid);
+    if (!job) {
+      throw new errors.InvalidInputError(`No job with GUID ${guid} in ${this.jobs.filePath}`, {
+        hint: 'Run "contract-verifier jobs list" to see recorded jobs, or "check-guid" with the network'
+      });
+    }
+
+    this.logger.log(`⏯️  Resuming job ${guid} for ${job.contractName || job.address} on ${job.network}`);
+    return this.reportResult(job.network, job.address, await this.checkGuid(job.network, guid, polling));
+  }
+
+  async listJobs(filter = {}) {
+    return this.jobs ? this.jobs.list(filter) : [];
+  }
+
+  // Emit 'verified' or 'failed' for a finished verification
+  reportResult(network, address, result) {
+    this.emit(result.success ? 'verified' : 'failed', { network, address, ...result });
+    return result;
+  }
+
+  // Build the sourceCode, codeformat and contractname fields for a submission,
+  // using standard JSON input when one is given (or sources to build it from).
+  // With `bundle`, imports of the source file are resolved first. Vyper
+  // sources are always submitted as vyper-json with their imports.
+  async prepareSource(options) {
+    const {
+      sourcePath,
+      standardJsonInput,
+      standardJsonPath,
+      sources,
+      bundle
+    } = options;
+    let { contractName } = options;
+    // Linked into settings.libraries of Solidity inputs below, or sent as
+    // libraryname/libraryaddress fields with single files
+    const libraryList = libraries.normalizeLibraries(options.libraries, { chainId: this.checksumChainId(options.network) });
+    const buildOptions = { ...options, libraries: undefined };
+
+    let input = standardJsonInput;
+    if (!input && standardJsonPath) {
+      input = await standardJson.readStandardJsonInput(standardJsonPath);
+    } else if (!input && sources) {
+      input = standardJson.buildStandardJsonInput(sources, buildOptions);
+    } else if (!input && vyper.isVyperSource(sourcePath)) {
+      const resolved = await vyper.resolveSources(sourcePath, options);
+      input = vyper.buildVyperJsonInput(resolved, options);
+      if (!contractName.includes(':')) {
+        contractName = `${resolved.entry}:${contractName}`;
+      }
+    } else if (!input && bundle) {
+      if (!['flatten', 'standard-json', 'multi-part'].includes(bundle)) {
+        throw new Error(`Unknown bundle mode: ${bundle} (expected flatten, standard-json or multi-part)`);
+      }
+
+      const resolved = await this.resolveSources(sourcePath, options);
+
+      if (bundle === 'flatten') {
+        return {
+          sourceCode: resolver.flatten(resolved),
+          codeFormat: 'solidity-single-file',
+          contractName,
+          libraries: libraryList
+        };
+      }
+
+      input = this.linkLibraries(standardJson.buildStandardJsonInput(resolved.sources, {
+        ...buildOptions,
+        remappings: resolved.remappings
+      }), libraryList);
+      if (!contractName.includes(':')) {
+        contractName = `${resolved.entry}:${contractName}`;
+      }
+
+      // Separate files for Blockscout, with the input kept for local compiles
+      if (bundle === 'multi-part') {
+        return {
+          codeFormat: 'multi-part',
+          contractName,
+          sources: resolved.sources,
+          input,
+          libraries: libraryList
+        };
+      }
+    }
+
+    if (input && input.language === 'Vyper') {
+      standardJson.validateStandardJsonInput(input);
+      return {
+        sourceCode: JSON.stringify(input),
+        codeFormat: 'vyper-json',
+        contractName: vyper.qualifyContractName(input.sources, contractName),
+        input
+      };
+    }
+
+    if (input) {
+      standardJson.validateStandardJsonInput(input);
+      input = this.linkLibraries(input, libraryList);
+      return {
+        sourceCode: JSON.stringify(input),
+        codeFormat: 'solidity-standard-json-input',
+        contractName: standardJson.qualifyContractName(input.sources, contractName),
+        input
+      };
+    }
+
+    return {
+      sourceCode: await this.readSourceCode(sourcePath),
+      codeFormat: 'solidity-single-file',
+      contractName,
+      libraries: libraryList
+    };
+  }
+
+  // Merge library addresses into a standard JSON input's settings.libraries
+  linkLibraries(input, libraryList) {
+    if (libraryList.length === 0) {
+      return input;
+    }
+
+    const linked = { ...(input.settings.libraries || {}) };
+    for (const [file, names] of Object.entries(libraries.toInputLibraries(libraryList, input.sources))) {
+      linked[file] = { ...linked[file], ...names };
+    }
+
+    return { ...input, settings: { ...input.settings, libraries: linked } };
+  }
+
+  // Libraries the artifact's link references (or the placeholders left in the
+  // creation bytecode) require, but that have no address in the submission
+  findUnlinkedLibraries(options, source) {
+    const provided = [...(source.libraries || [])];
+    if (source.input && source.input.settings.libraries) {
+      provided.push(...libraries.normalizeLibraries(source.input.settings.libraries, { chainId: this.checksumChainId(options.network) }));
+    }
+
+    if (options.linkReferences) {
+      return libraries.findUnlinked(libraries.fromLinkReferences(options.linkReferences), provided)
+        .map(libraries.formatLibrary);
+    }
+
+    // Without link references only the number of placeholders is known
+    const placeholders = libraries.countPlaceholders(options.creationBytecode);
+    return placeholders > provided.length
+      ? [`${placeholders - provided.length} unnamed library placeholder(s)`]
+      : [];
+  }
+
+  // Submit through Blockscout's native /api/v2 verification endpoints, then
+  // poll the smart contract until Blockscout reports it verified
+  async verifyOnBlockscout(network, address, source, options) {
+    const networkConfig = this.getNetworkInfo(network);
+    const base = blockscout.baseUrl(networkConfig);
+
+    this.logger.log(`🔍 Verifying contract ${source.contractName} on ${networkConfig.name} (Blockscout)...`);
+    this.logger.log(`📍 Contract Address: ${address}`);
+    this.logger.log(`🔧 Compiler Version: ${options.compilerVersion}`);
+
+    let submission;
+    try {
+      submission = await blockscout.submit(base, address, {
+        ...source,
+        compilerVersion: options.compilerVersion,
+        optimized: options.optimized || false,
+        runs: options.runs === undefined ? 200 : options.runs,
+        evmVersion: options.evmVersion,
+        constructorArgs: options.constructorArgs,
+        licenseType: options.licenseType
+      }, this.http);
+    } catch (error) {
+      if (error instanceof errors.AlreadyVerifiedError) {
+        this.logger.log(`✅ Contract is already verified on ${networkConfig.name}`);
+        return { success: true, status: 'already-verified', message: error.message };
+      }
+      throw error;
+    }
+
+    this.logger.log(`✅ Verification submitted successfully! (${submission.method})`);
+    this.emit('submitted', { network, address, contractName: source.contractName, method: submission.method });
+
+    const finalStatus = await this.pollBlockscoutStatus(network, address, options);
+
+    if (finalStatus.success) {
+      this.logger.log(`🎉 Contract verified successfully on ${networkConfig.name}!`);
+      this.logger.log(`🔗 View on explorer: ${base}/address/${address}#code`);
+    }
+
+    return finalStatus;
+  }
+
+  async pollBlockscoutStatus(network, address, polling = {}) {
+    const base = blockscout.baseUrl(this.getNetworkInfo(network));
+    const { interval, maxAttempts } = this.pollingSchedule(polling);
+    let attempts = 0;
+
+    this.logger.log(`⏳ Polling verification status...`);
+
+    while (attempts < maxAttempts) {
+      try {
+        const contract = await blockscout.getSmartContract(base, address, this.http);
+        if (contract.verified) {
+          return {
+            success: true,
+            status: 'verified',
+            message: contract.partial ? 'Contract verified (partial match)' : 'Contract verified successfully'
+          };
+        }
+        this.logger.log(`⏳ Verification pending... (${attempts + 1}/${maxAttempts})`);
+        this.emit('pending', { network, address, attempt: attempts + 1, maxAttempts });
+      } catch (error) {
+        this.logger.error(`Error checking status: ${error.message}`);
+      }
+
+      await this.sleep(interval);
+      attempts++;
+    }
+
+    return {
+      success: false,
+      status: 'timeout',
+      message: 'Verification timeout - check manually on explorer'
+    };
+  }
+
+  // Verify on the Sourcify server with the contract's metadata.json and sources
+  async verifySourcify(options) {
+    const { network, address } = options;
+    const networkConfig = this.getNetworkInfo(network);
+
+    if (!networkConfig) {
+      throw new Error(`Unsupported network: ${network}`);
+    }
+    if (!networkConfig.chainId) {
+      throw new Error(`Network ${networkConfig.name} has no chain ID - Sourcify needs one`);
+    }
+    this.validateAddress(address, network);
+
+    const source = await this.prepareSource(options);
+    const compilation = this.buildCompilerInput(options, source);
+    const metadata = await this.getContractMetadata(options, compilation);
+    const files = sourcify.buildFiles(metadata, compilation.input.sources);
+
+    this.logger.log(`🔍 Verifying contract ${compilation.qualifiedName} on Sourcify (${this.sourcifyUrl})...`);
+
+    const result = await sourcify.verify(this.sourcifyUrl, {
+      address,
+      chainId: networkConfig.chainId,
+      files
+    }, this.http);
+
+    if (!result.match) {
+      return this.reportResult(network, address, { success: false, status: 'failed', message: result.message || `Sourcify returned status ${result.status}` });
+    }
+
+    this.logger.log(`🎉 Contract verified on Sourcify (${result.match} match)`);
+    return this.reportResult(network, address, {
+      success: true,
+      status: 'verified',
+      match: result.match,
+      message: `${result.match === 'full' ? 'Full' : 'Partial'} match on Sourcify`
+    });
+  }
+
+  // metadata.json for the contract: given directly, read from a file, taken
+  // from a Hardhat/Foundry build, or produced by compiling locally
+  async getContractMetadata(options, compilation) {
+    if (options.contractMetadata) {
+      return options.contractMetadata;
+    }
+    if (options.metadataPath) {
+      return fs.readFile(options.metadataPath, 'utf8');
+    }
+
+    this.logger.log(`🛠️  Compiling ${compilation.qualifiedName} locally with solc ${options.compilerVersion} for its metadata...`);
+
+    const contract = await this.compileContract(compilation, options.compilerVersion, ['metadata'], {
+      solcPath: options.solcPath
+    });
+    return contract.metadata;
+  }
+
+  // Sourcify match for an address: { verified, match: 'full' | 'partial' | null }
+  async getSourcifyStatus(network, address) {
+    const networkConfig = this.getNetworkInfo(network);
+
+    if (!networkConfig || !networkConfig.chainId) {
+      throw new Error(`Unsupported network for Sourcify: ${network}`);
+    }
+
+    const statuses = await sourcify.checkByAddresses(this.sourcifyUrl, [address], networkConfig.chainId, this.http);
+    const match = statuses[address.toLowerCase()] || null;
+
+    return { verified: Boolean(match), match };
+  }
+
+  // Verify on 'etherscan', 'sourcify' or 'all' backends, reporting each
+  // backend's result separately
+  async verifyWithBackends(options) {
+    const { backend = 'etherscan', ...verifyOptions } = options;
+    const backends = backend === 'all' ? BACKENDS : [backend];
+
+    if (!backends.every(name => BACKENDS.includes(name))) {
+      throw new Error(`Unknown backend: ${backend} (expected ${BACKENDS.join(', ')} or all)`);
+    }
+
+    const results = [];
+    for (const name of backends) {
+      try {
+        const result = name === 'sourcify'
+          ? await this.verifySourcify(verifyOptions)
+          : await this.verifyContract(verifyOptions);
+        results.push({ backend: name, ...result });
+      } catch (error) {
+        results.push({ backend: name, success: false, status: 'error', code: error.code, message: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  // Read the solc input, compiler version and settings for a contract from a
+  // Hardhat project's artifacts/build-info
+  async loadHardhatContract(projectDir, contractName) {
+    return hardhat.loadHardhatContract(path.resolve(projectDir), contractName);
+  }
+
+  // Verify a Hardhat-compiled contract with the exact input it was built from
+  async verifyHardhatContract(options) {
+    const { projectDir, ...verifyOptions } = options;
+    const build = await this.loadHardhatContract(projectDir, options.contractName);
+
+    return this.verifyContract({
+      ...verifyOptions,
+      ...build,
+      creationBytecode: verifyOptions.creationBytecode || build.creationBytecode
+    });
+  }
+
+  // Read compiler settings and sources for a contract from a Foundry
+  // project's out/<File>.sol/<Contract>.json metadata
+  async loadFoundryContract(projectDir, contractName, options = {}) {
+    return foundry.loadFoundryContract(path.resolve(projectDir), contractName, options);
+  }
+
+  // Verify a Foundry-compiled contract with the settings from its metadata
+  async verifyFoundryContract(options) {
+    const { projectDir, outDir, ...verifyOptions } = options;
+    const build = await this.loadFoundryContract(projectDir, options.contractName, { outDir });
+
+    return this.verifyContract({
+      ...verifyOptions,
+      ...build,
+      creationBytecode: verifyOptions.creationBytecode || build.creationBytecode
+    });
+  }
+
+  // Verify every contract deployed by a `forge script --broadcast` run
+  async verifyBroadcast(options) {
+    const {
+      projectDir,
+      script,
+      chainId,
+      broadcastFile,
+      outDir
+    } = options;
+
+    const filePath = broadcastFile || foundry.broadcastPath(path.resolve(projectDir), script, chainId);
+    const run = await foundry.readBroadcast(filePath);
+    const network = options.network || this.getNetworkByChainId(run.chainId);
+
+    if (!network) {
+      throw new Error(`No supported network for chain ID ${run.chainId} - pass a network explicitly`);
+    }
+
+    this.logger.log(`📜 Found ${run.deployments.length} deployment(s) in ${filePath}`);
+    for (const entry of run.skipped) {
+      this.logger.warn(`⚠️  Skipping ${entry.contractName || entry.address || entry.hash}: ${entry.reason}`);
+    }
+    // Factory-created contracts have no artifact name or arguments in the
+    // broadcast, so they are listed for manual verification instead
+    for (const child of run.additionalContracts) {
+      this.logger.warn(`⚠️  Not verifying ${child.address} (created by ${child.hash}) - verify it with \`verify\``);
+    }
+
+    const results = [];
+    for (const deployment of run.deployments) {
+      const entry = {
+        contractName: deployment.contractName,
+        address: deployment.address,
+        network
+      };
+
+      try {
+        const build = await this.loadFoundryContract(projectDir, deployment.contractName, { outDir });
+        const result = await this.verifyContract({
+          ...build,
+          network,
+          address: deployment.address,
+          constructorArgs: foundry.deploymentConstructorArgs(deployment, build, { chainId: this.checksumChainId(network) })
+        });
+        results.push({ ...entry, ...result });
+      } catch (error) {
+        results.push({ ...entry, success: false, status: 'error', code: error.code, message: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  // Watch a JSON-RPC node for contract creations (from `deployers`, when
+  // given) and verify each one that matches a Hardhat or Foundry artifact.
+  // Resolves with the started DeploymentWatcher; call stop() to end it.
+  async watch(options) {
+    const { rpcUrl, projectDir, framework, outDir } = options;
+    if (!rpcUrl) {
+      throw new errors.InvalidInputError('Watching needs a JSON-RPC endpoint (rpcUrl)');
+    }
+    if (!['hardhat', 'foundry'].includes(framework)) {
+      throw new errors.InvalidInputError(`Unknown framework: ${framework} (expected hardhat or foundry)`);
+    }
+
+    const chainId = parseInt(await rpc.call(rpcUrl, 'eth_chainId'), 16);
+    const network = options.network ? this.registry.resolve(options.network) : this.getNetworkByChainId(chainId);
+    if (!network) {
+      throw new errors.InvalidInputError(options.network
+        ? `Unsupported network: ${options.network}`
+        : `No network for chain ID ${chainId}`, {
+        hint: 'Register the explorer for this chain (e.g. a local Blockscout) in contract-verifier.networks.json, or pass --network'
+      });
+    }
+    const config = this.getNetworkInfo(network);
+    if (config.chainId && config.chainId !== chainId) {
+      throw new errors.InvalidInputError(`${rpcUrl} is chain ${chainId} but ${config.name} is chain ${config.chainId}`);
+    }
+
+    const deployers = (options.deployers || []).map(deployer => this.validateAddress(deployer, network, 'deployer address'));
+    const root = path.resolve(projectDir);
+    const artifacts = framework === 'hardhat'
+      ? await hardhat.listContracts(root)
+      : await foundry.listContracts(root, outDir);
+
+    const watcher = new DeploymentWatcher(this, {
+      ...options,
+      network,
+      deployers,
+      artifacts,
+      loadBuild: contractName => (framework === 'hardhat'
+        ? this.loadHardhatContract(root, contractName)
+        : this.loadFoundryContract(root, contractName, { outDir }))
+    });
+
+    this.logger.log(`👀 Watching ${rpcUrl} (chain ${chainId}) for deployments ${deployers.length > 0 ? `from ${deployers.join(', ')}` : 'from any address'}`);
+    this.logger.log(`📦 ${artifacts.length} ${framework} artifact(s) to match, verifying on ${config.name}`);
+
+    return watcher.start();
+  }
+
+  // Verify every contract/network pair in a manifest, skipping ones the
+  // explorer already reports as verified
+  async verifyAll(options = {}) {
+    const { manifest, baseDir } = await manifestLoader.loadManifest(options.manifestPath);
+    const jobs = manifestLoader.expandJobs(manifest, baseDir, {
+      networks: options.networks,
+      contracts: options.contracts
+    });
+    const concurrency = options.concurrency || manifest.concurrency || 2;
+
+    this.logger.log(`📋 ${jobs.length} verification job(s), ${concurrency} at a time`);
+
+    return mapLimit(jobs, concurrency, async job => {
+      const entry = { contract: job.name, network: job.network, address: job.address };
+
+      try {
+        const status = await this.getVerificationStatus(job.network, job.address);
+        if (status.verified) {
+          this.logger.log(`⏭️  ${job.name} on ${job.network} is already verified`);
+          return { ...entry, success: true, status: 'skipped', message: 'Already verified' };
+        }
+
+        return { ...entry, ...await this.verifyManifestJob(job.options) };
+      } catch (error) {
+        return { ...entry, success: false, status: 'error', code: error.code, message: error.message };
+      }
+    });
+  }
+
+  async verifyManifestJob(jobOptions) {
+    const { hardhatProject, foundryProject, ...options } = jobOptions;
+
+    // Manifests may give constructor arguments as { types, values }
+    if (options.constructorArgs && typeof options.constructorArgs === 'object') {
+      const { types, values } = options.constructorArgs;
+      options.constructorArgs = this.encodeConstructorArgs(types, values, options.network);
+    }
+
+    if (hardhatProject) {
+      return this.verifyHardhatContract({ ...options, projectDir: hardhatProject });
+    }
+    if (foundryProject) {
+      return this.verifyFoundryContract({ ...options, projectDir: foundryProject });
+    }
+    return this.verifyContract(options);
+  }
+
+  // Fetch deployed runtime code from an RPC endpoint when one is given,
+  // otherwise through the explorer's proxy module
+  async getDeployedCode(network, address, rpcUrl) {
+    if (rpcUrl) {
+      return rpc.getCode(rpcUrl, address);
+    }
+
+    const endpoint = this.getApiEndpoint(network);
+
+    try {
+      const response = await this.http.get(endpoint.url, {
+        params: {
+          module: 'proxy',
+          action: 'eth_getCode',
+          address: address,
+          tag: 'latest',
+          apikey: endpoint.apiKey
+        },
+        timeout: 10000
+      });
+
+      return response.data.result;
+    } catch (error) {
+      throw new Error(`Failed to fetch deployed code: ${error.message}`);
+    }
+  }
+
+  // Read a storage slot over RPC, or through the explorer's proxy module
+  async getStorageAt(network, address, slot, rpcUrl) {
+    if (rpcUrl) {
+      return rpc.getStorageAt(rpcUrl, address, slot);
+    }
+    return this.explorerProxyCall(network, { action: 'eth_getStorageAt', address, position: slot, tag: 'latest' });
+  }
+
+  async callContract(network, to, data, rpcUrl) {
+    if (rpcUrl) {
+      return rpc.ethCall(rpcUrl, to, data);
+    }
+    return this.explorerProxyCall(network, { action: 'eth_call', to, data, tag: 'latest' });
+  }
+
+  async explorerProxyCall(network, params) {
+    const endpoint = this.getApiEndpoint(network);
+
+    try {
+      const response = await this.http.get(endpoint.url, {
+        params: { module: 'proxy', ...params, apikey: endpoint.apiKey },
+        timeout: 10000
+      });
+      return response.data.result;
+    } catch (error) {
+      throw new Error(`Failed to call ${params.action}: ${error.message}`);
+    }
+  }
+
+  // Read the EIP-1967 (plain and beacon) and EIP-1822 slots of an address
+  async detectProxy(network, address, rpcUrl) {
+    return proxy.detectProxy({
+      getStorageAt: slot => this.getStorageAt(network, address, slot, rpcUrl),
+      call: (to, data) => this.callContract(network, to, data, rpcUrl)
+    });
+  }
+
+  // Verify a proxy's implementation (when its source is given and it isn't
+  // verified yet), then link the proxy to it on the explorer
+  async verifyProxy(options) {
+    const { network, address, rpcUrl } = options;
+    const networkConfig = this.getNetworkInfo(network);
+
+    if (!networkConfig) {
+      throw new Error(`Unsupported network: ${network}`);
+    }
+    this.validateAddress(address, network);
+    if (options.implementation) {
+      this.validateAddress(options.implementation, network, 'implementation address');
+    }
+
+    const detected = await this.detectProxy(network, address, rpcUrl);
+    const implementation = options.implementation || detected.implementation;
+
+    if (!implementation) {
+      throw new Error(`No proxy implementation found at ${address} - not an EIP-1967 or EIP-1822 proxy`);
+    }
+
+    this.logger.log(`🔀 Proxy ${address} (${detected.type || 'given'}) -> implementation ${implementation}`);
+
+    let implementationResult;
+    const implementationStatus = await this.getVerificationStatus(network, implementation);
+    if (implementationStatus.verified) {
+      this.logger.log(`⏭️  Implementation ${implementation} is already verified`);
+      implementationResult = { success: true, status: 'skipped', message: 'Already verified' };
+    } else if (options.contractName) {
+      implementationResult = await this.verifyContract({ ...options, address: implementation });
+      if (!implementationResult.success) {
+        return { success: false, status: 'failed', proxy: detected, implementation, implementationResult, message: `Implementation verification failed: ${implementationResult.message}` };
+      }
+    } else {
+      throw new errors.UnverifiedImplementationError(`Implementation ${implementation} is not verified - pass its source to verify it first`);
+    }
+
+    if (blockscout.usesNativeApi(networkConfig)) {
+      return this.reportResult(network, address, { success: true, status: 'verified', proxy: detected, implementation, implementationResult, message: 'Blockscout links proxies to their implementation automatically' });
+    }
+
+    const endpoint = this.getApiEndpoint(network);
+    const response = await this.submitVerification(network, {
+      module: 'contract',
+      action: 'verifyproxycontract',
+      apikey: endpoint.apiKey,
+      address,
+      expectedimplementation: implementation
+    });
+
+    if (response.status !== '1') {
+      throw errors.fromExplorerResponse(response, 'Proxy verification failed');
+    }
+
+    const linked = await this.pollProxyVerification(network, response.result, options);
+    if (linked.success) {
+      this.logger.log(`🎉 Proxy ${address} linked to ${implementation} on ${networkConfig.name}`);
+    }
+
+    return this.reportResult(network, address, { ...linked, proxy: detected, implementation, implementationResult });
+  }
+
+  async pollProxyVerification(network, guid, polling = {}) {
+    const endpoint = this.getApiEndpoint(network);
+    const { interval, maxAttempts } = this.pollingSchedule(polling);
+    let attempts = 0;
+
+    while (attempts < maxAttempts) {
+      try {
+        const response = await this.http.get(endpoint.url, {
+          params: {
+            module: 'contract',
+            action: 'checkproxyverification',
+            guid: guid,
+            apikey: endpoint.apiKey
+          },
+          timeout: 10000
+        });
+
+        const result = String(response.data.result || '');
+        if (response.data.status === '1') {
+          return { success: true, status: 'verified', message: result };
+        }
+        if (!/pending/i.test(result)) {
+          return { success: false, status: 'failed', message: result || response.data.message, error: errors.fromExplorerResponse(response.data, 'Proxy verification failed') };
+        }
+        this.logger.log(`⏳ Proxy verification pending... (${attempts + 1}/${maxAttempts})`);
+        this.emit('pending', { network, guid, proxy: true, attempt: attempts + 1, maxAttempts, status: result });
+      } catch (error) {
+        this.logger.error(`Error checking status: ${error.message}`);
       }
+
+      await this.sleep(interval);
+      attempts++;
+    }
+
+    return {
+      success: false,
+      status: 'timeout',
+      message: 'Proxy verification timeout - check manually on explorer'
     };
   }
 
-  async verifyContract(options) {
+  // Compile the contract locally and compare its runtime bytecode with the
+  // code deployed at the address
+  async precheck(options) {
+    return this.compareWithDeployedCode(options, await this.prepareSource(options));
+  }
+
+  async compareWithDeployedCode(options, source) {
+    const { network, address, compilerVersion, solcPath, rpcUrl } = options;
+    const compilation = this.buildCompilerInput(options, source);
+
+    this.logger.log(`🛠️  Compiling ${compilation.qualifiedName} locally with solc ${compilerVersion}...`);
+
+    const deployed = await this.compileDeployedBytecode(compilation, compilerVersion, { solcPath });
+    const onchain = await this.getDeployedCode(network, address, rpcUrl);
+
+    return compareBytecode(deployed.object, onchain, {
+      immutableReferences: deployed.immutableReferences
+    });
+  }
+
+  // Standard JSON input plus the file/contract to read from the output;
+  // single files are wrapped into an input using the given settings
+  buildCompilerInput(options, source) {
+    if (source.codeFormat === 'vyper-json') {
+      throw new Error('Local compilation is only supported for Solidity contracts');
+    }
+
+    let input = source.input;
+    let qualifiedName = source.contractName;
+    if (!input) {
+      const fileName = path.basename(options.sourcePath);
+      input = this.linkLibraries(
+        standardJson.buildStandardJsonInput({ [fileName]: source.sourceCode }, { ...options, libraries: undefined }),
+        source.libraries || []
+      );
+      qualifiedName = `${fileName}:${source.contractName}`;
+    }
+
+    const colon = qualifiedName.lastIndexOf(':');
+
+    return {
+      input,
+      qualifiedName,
+      file: qualifiedName.slice(0, colon),
+      name: qualifiedName.slice(colon + 1)
+    };
+  }
+
+  async compileDeployedBytecode(compilation, compilerVersion, solcOptions = {}) {
+    const contract = await this.compileContract(compilation, compilerVersion, ['evm.deployedBytecode'], solcOptions);
+    return contract.evm.deployedBytecode;
+  }
+
+  // Compile and return the output for the compilation's target contract
+  async compileContract(compilation, compilerVersion, outputs, solcOptions = {}) {
+    const { input, file, name, qualifiedName } = compilation;
+
+    const output = await solc.compile({
+      ...input,
+      settings: {
+        ...input.settings,
+        outputSelection: { '*': { '*': outputs } }
+      }
+    }, compilerVersion, solcOptions);
+
+    const contract = output.contracts && output.contracts[file] && output.contracts[file][name];
+    if (!contract) {
+      throw new Error(`Contract ${qualifiedName} not found in compiler output`);
+    }
+
+    return contract;
+  }
+
+  // Find the compiler version, optimizer and EVM settings a contract was
+  // deployed with by compiling candidates until one matches the on-chain code.
+  // With `solcPath` only that binary's version is tried; otherwise each
+  // version is compiled with its own cached binary, never SOLC_PATH.
+  async detectSettings(options) {
     const {
       network,
       address,
-      sourcePath,
-      contractName,
-      compilerVersion,
-      constructorArgs = '',
-      optimized = false,
-      runs = 200,
-      evmVersion = 'default'
+      rpcUrl,
+      cacheDir,
+      solcPath,
+      maxAttempts = 300
     } = options;
 
-    try {
-      
-      if (!this.networks[network]) {
-        throw new Error(`Unsupported network: ${network}. Supported networks: ${Object.keys(this.networks).join(', ')}`);
-      }
+    const source = await this.prepareSource(options);
+    const compilation = this.buildCompilerInput(options, source);
+    const target = compilation.input.sources[compilation.file].content;
+    const pragma = detect.parsePragma(target);
 
-      const networkConfig = this.networks[network];
-      
-      
-      if (!networkConfig.apiKey) {
-        throw new Error(`API key not found for ${networkConfig.name}. Please set ${network.toUpperCase()}_API_KEY in your .env file`);
-      }
+    const available = solcPath
+      ? [await solc.binaryVersion(await solc.findSolc(undefined, { solcPath }))]
+      : options.versions || await this.getCompilerVersions(network);
+    const versions = detect.matchingVersions(available, pragma);
 
-      
-      if (!this.isValidAddress(address)) {
-        throw new Error(`Invalid contract address: ${address}`);
+    if (versions.length === 0) {
+      throw new Error(`No compiler versions match pragma ${pragma}${solcPath ? ` (${solcPath} is ${available[0]})` : ''}`);
+    }
+
+    this.logger.log(`🔎 ${versions.length} compiler version(s) match pragma ${pragma || '(none)'}`);
+
+    const onchain = await this.getDeployedCode(network, address, rpcUrl);
+    const candidates = detect.settingsCandidates(options);
+    const skippedVersions = [];
+    let attempts = 0;
+
+    for (const compilerVersion of versions) {
+      let binary;
+      try {
+        binary = solcPath || await solc.findSolc(compilerVersion, { cacheDir, cacheOnly: true });
+      } catch (error) {
+        skippedVersions.push(compilerVersion);
+        continue;
       }
 
-      
-      const sourceCode = await this.readSourceCode(sourcePath);
-      
-      
-      const verificationData = {
-        module: 'contract',
-        action: 'verifysourcecode',
-        apikey: networkConfig.apiKey,
-        contractaddress: address,
-        sourceCode: sourceCode,
-        codeformat: 'solidity-single-file',
-        contractname: contractName,
-        compilerversion: compilerVersion,
-        optimizationUsed: optimized ? '1' : '0',
-        runs: runs.toString(),
-        constructorArguements: constructorArgs,
-        evmversion: evmVersion
-      };
+      for (const settings of candidates) {
+        if (attempts >= maxAttempts) {
+          return { found: false, attempts, skippedVersions, message: `Stopped after ${maxAttempts} attempts` };
+        }
+        attempts++;
 
-      console.log(`🔍 Verifying contract ${contractName} on ${networkConfig.name}...`);
-      console.log(`📍 Contract Address: ${address}`);
-      console.log(`🔧 Compiler Version: ${compilerVersion}`);
-      console.log(`⚙️  Optimization: ${optimized ? 'Enabled' : 'Disabled'} ${optimized ? `(${runs} runs)` : ''}`);
-      
-      
-      const response = await this.submitVerification(network, verificationData);
-      
-      if (response.status === '1') {
-        console.log(`✅ Verification submitted successfully!`);
-        console.log(`📄 GUID: ${response.result}`);
-        
-        
-        const finalStatus = await this.pollVerificationStatus(network, response.result);
-        
-        if (finalStatus.success) {
-          console.log(`🎉 Contract verified successfully on ${networkConfig.name}!`);
-          console.log(`🔗 View on explorer: ${networkConfig.explorerUrl}/address/${address}#code`);
+        const { optimizer, evmVersion, ...rest } = compilation.input.settings;
+        const input = {
+          ...compilation.input,
+          settings: {
+            ...rest,
+            optimizer: { ...optimizer, enabled: settings.optimized, runs: settings.runs },
+            ...(settings.evmVersion === 'default' ? {} : { evmVersion: settings.evmVersion })
+          }
+        };
+
+        let deployed;
+        try {
+          deployed = await this.compileDeployedBytecode({ ...compilation, input }, compilerVersion, { solcPath: binary });
+        } catch (error) {
+          // Unsupported evmVersion for this compiler, or a compile error
+          continue;
         }
-        
-        return finalStatus;
-      } else {
-        throw new Error(`Verification failed: ${response.message || response.result}`);
-      }
 
-    } catch (error) {
-      console.error(`❌ Error: ${error.message}`);
-      throw error;
+        const comparison = compareBytecode(deployed.object, onchain, {
+          immutableReferences: deployed.immutableReferences
+        });
+
+        if (comparison.match) {
+          return {
+            found: true,
+            attempts,
+            skippedVersions,
+            exact: comparison.exact,
+            settings: {
+              compilerVersion,
+              ...settings
+            }
+          };
+        }
+      }
     }
+
+    return {
+      found: false,
+      attempts,
+      skippedVersions,
+      message: 'No candidate settings produced the on-chain bytecode'
+    };
+  }
+
+  // Collect an entry file and everything it imports (relative paths,
+  // node_modules and remappings.txt / `remappings` entries)
+  async resolveSources(sourcePath, options = {}) {
+    const resolved = await resolver.resolveSources(sourcePath, {
+      root: options.root,
+      remappings: options.remappings
+    });
+
+    resolved.warnings.forEach(warning => this.logger.warn(`⚠️  ${warning}`));
+
+    return resolved;
+  }
+
+  async flattenSource(sourcePath, options = {}) {
+    return resolver.flatten(await this.resolveSources(sourcePath, options));
   }
 
   async readSourceCode(sourcePath) {
     try {
       if (!await fs.pathExists(sourcePath)) {
-        throw new Error(`Source file not found: ${sourcePath}`);
+        throw new errors.SourceNotFoundError(`Source file not found: ${sourcePath}`);
       }
 
       const sourceCode = await fs.readFile(sourcePath, 'utf8');
       
       if (!sourceCode.trim()) {
-        throw new Error(`Source file is empty: ${sourcePath}`);
+        throw new errors.SourceNotFoundError(`Source file is empty: ${sourcePath}`);
       }
 
       return sourceCode;
     } catch (error) {
+      if (error instanceof errors.ContractVerifierError) {
+        throw error;
+      }
       throw new Error(`Failed to read source file: ${error.message}`);
     }
   }
 
   async submitVerification(network, data) {
-    const config = this.networks[network];
+    const config = this.getNetworkInfo(network);
+    const endpoint = this.getApiEndpoint(network);
     
     try {
-      const response = await axios.post(config.url, new URLSearchParams(data), {
+      const response = await this.http.post(endpoint.url, new URLSearchParams(data), {
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded'
         },
@@ -158,55 +1169,73 @@ class ContractVerifier {
       return response.data;
     } catch (error) {
       if (error.response) {
-        throw new Error(`API request failed: ${error.response.status} ${error.response.statusText}`);
+        throw errors.fromHttpError(error, 'API request failed');
       } else if (error.request) {
-        throw new Error(`Network error: Unable to reach ${config.name} API`);
+        throw new errors.NetworkError(`Network error: Unable to reach ${config.name} API`);
       } else {
         throw new Error(`Request error: ${error.message}`);
       }
     }
   }
 
-  async pollVerificationStatus(network, guid, maxAttempts = 12) {
-    const config = this.networks[network];
+  // Poll every `pollInterval` ms until `pollTimeout` ms have passed. A number
+  // is taken as the maximum number of attempts, for older callers.
+  pollingSchedule(options = {}) {
+    if (typeof options === 'number') {
+      return { interval: this.pollInterval, maxAttempts: options };
+    }
+
+    const interval = Number(options.pollInterval) || this.pollInterval;
+    const timeout = Number(options.pollTimeout) || this.pollTimeout;
+    return { interval, maxAttempts: Math.max(1, Math.ceil(timeout / interval)) };
+  }
+
+  async pollVerificationStatus(network, guid, polling = {}) {
+    const endpoint = this.getApiEndpoint(network);
+    const { interval, maxAttempts } = this.pollingSchedule(polling);
     let attempts = 0;
 
-    console.log(`⏳ Polling verification status...`);
+    this.logger.log(`⏳ Polling verification status...`);
 
     while (attempts < maxAttempts) {
+      let response;
       try {
-        const response = await axios.get(config.url, {
+        // Transient failures are retried by the HTTP client; anything that
+        // still fails (bad key, 4xx) won't fix itself by polling longer
+        response = await this.http.get(endpoint.url, {
           params: {
             module: 'contract',
             action: 'checkverifystatus',
             guid: guid,
-            apikey: config.apiKey
+            apikey: endpoint.apiKey
           },
           timeout: 10000
         });
-
-        const status = response.data.result;
-        
-        if (status === 'Success') {
-          return { success: true, status: 'verified', message: 'Contract verified successfully' };
-        } else if (status === 'Fail') {
-          return { 
-            success: false, 
-            status: 'failed', 
-            message: response.data.message || 'Verification failed'
-          };
-        } else if (status.includes('Pending')) {
-          console.log(`⏳ Verification pending... (${attempts + 1}/${maxAttempts})`);
-          await this.sleep(5000); // Wait 5 seconds
-        } else {
-          console.log(`🔄 Status: ${status} (${attempts + 1}/${maxAttempts})`);
-          await this.sleep(5000);
-        }
       } catch (error) {
-        console.error(`Error checking status: ${error.message}`);
-        await this.sleep(5000);
+        return { success: false, status: 'error', message: `Error checking status: ${error.message}`, error: errors.fromHttpError(error, 'Error checking status') };
+      }
+
+      const status = String(response.data.result || '');
+      
+      if (status === 'Success' || status.startsWith('Pass')) {
+        return { success: true, status: 'verified', message: 'Contract verified successfully' };
+      } else if (/already verified/i.test(status)) {
+        return { success: true, status: 'already-verified', message: status };
+      } else if (status.startsWith('Fail') || (response.data.status === '0' && ![undefined, errors.RateLimitError].includes(errors.classify(response.data)))) {
+        return { 
+          success: false, 
+          status: 'failed', 
+          message: status === 'Fail' ? response.data.message || 'Verification failed' : status,
+          error: errors.fromExplorerResponse(response.data, 'Verification failed')
+        };
+      } else if (status.includes('Pending')) {
+        this.logger.log(`⏳ Verification pending... (${attempts + 1}/${maxAttempts})`);
+      } else {
+        this.logger.log(`🔄 Status: ${status} (${attempts + 1}/${maxAttempts})`);
       }
+      this.emit('pending', { network, guid, attempt: attempts + 1, maxAttempts, status });
 
+      await this.sleep(interval);
       attempts++;
     }
 
@@ -217,9 +1246,24 @@ class ContractVerifier {
     };
   }
 
-  isValidAddress(address) {
-    // Basic Ethereum address validation
-    return /^0x[a-fA-F0-9]{40}$/.test(address);
+  // Well-formed, and a mixed-case address must carry a valid checksum
+  // (EIP-1191 on networks that use it, EIP-55 otherwise)
+  isValidAddress(address, network) {
+    return addresses.isValidAddress(address, this.checksumChainId(network));
+  }
+
+  validateAddress(address, network, label = 'contract address') {
+    return addresses.validateAddress(address, { chainId: this.checksumChainId(network), label });
+  }
+
+  toChecksumAddress(address, network) {
+    return addresses.toChecksumAddress(address, this.checksumChainId(network));
+  }
+
+  // Chain ID to mix into checksums, for networks marked eip1191 (e.g. RSK)
+  checksumChainId(network) {
+    const config = network === undefined ? undefined : this.getNetworkInfo(network);
+    return config && config.eip1191 ? config.chainId : undefined;
   }
 
   sleep(ms) {
@@ -232,12 +1276,23 @@ class ContractVerifier {
   }
 
   
+  // Look up a network by key, alias (e.g. mainnet, matic) or chain ID
   getNetworkInfo(network) {
-    return this.networks[network];
+    return this.registry.get(network);
+  }
+
+  getNetworkByChainId(chainId) {
+    return this.registry.resolve(chainId);
+  }
+
+  // Add or override a network, e.g. a custom explorer or an L2 devnet
+  registerNetwork(key, entry) {
+    return this.registry.register(key, entry);
   }
 
   
-  encodeConstructorArgs(types, values) {
+  // Addresses are checked against the network's checksum scheme when one is given
+  encodeConstructorArgs(types, values, network) {
     if (!types || !values || types.length !== values.length) {
       throw new Error('Types and values arrays must have the same length');
     }
@@ -246,28 +1301,56 @@ class ContractVerifier {
       return '';
     }
 
-    let encoded = '0x';
-    
-    for (let i = 0; i < types.length; i++) {
-      const type = types[i];
-      const value = values[i];
-      
-      switch (type) {
-        case 'uint256':
-          encoded += this.encodeUint256(value);
-          break;
-        case 'address':
-          encoded += this.encodeAddress(value);
-          break;
-        case 'string':
-          encoded += this.encodeString(value);
-          break;
-        default:
-          throw new Error(`Unsupported type: ${type}`);
-      }
+    return '0x' + abi.encode(types, values, { chainId: this.checksumChainId(network) });
+  }
+
+  // Decode ABI-encoded constructor arguments. `types` is a type list, ABI
+  // parameters, or a whole contract ABI whose constructor inputs are used.
+  decodeConstructorArgs(types, hex) {
+    if (!Array.isArray(types)) {
+      throw new Error('Types must be an array of types, ABI parameters or a contract ABI');
     }
-    
-    return encoded;
+    const isContractAbi = types.some(item => item && ['constructor', 'function', 'event', 'error', 'fallback', 'receive'].includes(item.type));
+    return abi.decode(isContractAbi ? abi.constructorInputs(types) : types, hex);
+  }
+
+  // Make sure encoded arguments decode cleanly against the constructor, so
+  // wrong-length or malformed hex is caught before the explorer sees it
+  checkConstructorArgs(contractAbi, hex) {
+    if (!contractAbi) {
+      throw new errors.InvalidInputError('Checking constructor arguments needs the contract ABI', {
+        hint: 'Pass --abi with an artifact or ABI file, or use --hardhat/--foundry'
+      });
+    }
+
+    const inputs = abi.constructorInputs(contractAbi);
+    const signature = `constructor(${inputs.map(input => abi.formatType(abi.parseType(input))).join(',')})`;
+
+    let values;
+    try {
+      values = abi.decode(inputs, hex);
+    } catch (error) {
+      throw new errors.ConstructorArgsMismatchError(`Constructor arguments don't match ${signature}: ${error.message}`);
+    }
+
+    this.logger.log(`🧮 Constructor arguments match ${signature}`);
+    return values;
+  }
+
+  // Read an ABI from an ABI JSON file or a Hardhat/Foundry artifact
+  async readAbiFile(filePath) {
+    if (!await fs.pathExists(filePath)) {
+      throw new errors.SourceNotFoundError(`ABI file not found: ${filePath}`);
+    }
+
+    const content = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    const contractAbi = Array.isArray(content) ? content : content.abi;
+
+    if (!Array.isArray(contractAbi)) {
+      throw new Error(`No ABI found in ${filePath}`);
+    }
+
+    return contractAbi;
   }
 
   
@@ -277,10 +1360,8 @@ class ContractVerifier {
   }
 
   
-  encodeAddress(address) {
-    if (!this.isValidAddress(address)) {
-      throw new Error(`Invalid address: ${address}`);
-    }
+  encodeAddress(address, network) {
+    this.validateAddress(address, network, 'address');
     return address.slice(2).toLowerCase().padStart(64, '0');
   }
 
@@ -296,80 +1377,357 @@ class ContractVerifier {
 
   // Get contract verification status
   async getVerificationStatus(network, address) {
-    const config = this.networks[network];
-    
+    const config = this.getNetworkInfo(network);
     if (!config) {
-      throw new Error(`Unsupported network: ${network}`);
+      throw new errors.InvalidInputError(`Unsupported network: ${network}`);
+    }
+
+    if (blockscout.usesNativeApi(config)) {
+      const contract = await blockscout.getSmartContract(blockscout.baseUrl(config), address, this.http);
+      return contract.verified
+        ? contract
+        : { verified: false, message: 'Contract source code not verified' };
+    }
+
+    const result = await this.getSourceCodeRecord(network, address, 'Failed to check verification status');
+
+    if (result.SourceCode) {
+      return {
+        verified: true,
+        contractName: result.ContractName,
+        compilerVersion: result.CompilerVersion,
+        optimizationUsed: result.OptimizationUsed === '1',
+        runs: result.Runs,
+        sourceCode: result.SourceCode,
+        proxy: result.Proxy === '1',
+        implementation: result.Implementation || undefined
+      };
+    } else {
+      return {
+        verified: false,
+        message: 'Contract source code not verified'
+      };
     }
+  }
+
+  // The raw getsourcecode entry for an address from an Etherscan-style API
+  async getSourceCodeRecord(network, address, action = 'Failed to fetch source code') {
+    const config = this.getNetworkInfo(network);
+    const endpoint = this.getApiEndpoint(network);
 
-    if (!config.apiKey) {
-      throw new Error(`API key not found for ${network}`);
+    if (!endpoint.apiKey && this.requiresApiKey(config)) {
+      throw new errors.MissingApiKeyError(`API key not found for ${network}`);
     }
 
     try {
-      const response = await axios.get(config.url, {
+      const response = await this.http.get(endpoint.url, {
         params: {
           module: 'contract',
           action: 'getsourcecode',
           address: address,
-          apikey: config.apiKey
+          apikey: endpoint.apiKey
         }
       });
 
-      const result = response.data.result[0];
-      
-      if (result.SourceCode) {
+      if (!Array.isArray(response.data.result)) {
+        throw errors.fromExplorerResponse(response.data, action);
+      }
+
+      return response.data.result[0] || {};
+    } catch (error) {
+      if (error instanceof errors.ContractVerifierError) {
+        throw error;
+      }
+      throw errors.fromHttpError(error, action);
+    }
+  }
+
+  // Everything the explorer holds for a verified contract: sources split into
+  // files, compiler settings, ABI, constructor arguments and proxy details
+  async fetchVerifiedSource(network, address) {
+    const config = this.getNetworkInfo(network);
+    if (!config) {
+      throw new errors.InvalidInputError(`Unsupported network: ${network}`);
+    }
+    this.validateAddress(address, network);
+
+    let source;
+    if (blockscout.usesNativeApi(config)) {
+      const data = await blockscout.fetchSmartContract(blockscout.baseUrl(config), address, this.http);
+      source = data && data.is_verified ? verifiedSource.fromBlockscout(data) : undefined;
+    } else {
+      const result = await this.getSourceCodeRecord(network, address);
+      source = result.SourceCode ? verifiedSource.fromEtherscan(result) : undefined;
+    }
+
+    if (!source) {
+      throw new errors.NotVerifiedError(`Contract ${address} is not verified on ${config.name}`);
+    }
+    return { network: this.registry.resolve(network), address, ...source };
+  }
+
+  // Verification status of one address on every configured network (or the
+  // given `networks`), with a source and settings hash per chain. Chains whose
+  // verified source or settings differ from the most common ones are flagged.
+  async getVerificationStatusMulti(address, options = {}) {
+    const { testnets = true, concurrency = 4 } = options;
+    this.validateAddress(address);
+
+    const networks = (options.networks || this.getSupportedNetworks())
+      .map(network => {
+        const key = this.registry.resolve(network);
+        if (!key) {
+          throw new errors.InvalidInputError(`Unsupported network: ${network}`);
+        }
+        return key;
+      })
+      .filter(network => testnets || !this.getNetworkInfo(network).testnet);
+
+    this.logger.log(`🔍 Checking ${address} on ${networks.length} network(s), ${concurrency} at a time`);
+
+    const sources = {};
+    const rows = await mapLimit(networks, concurrency, async network => {
+      const config = this.getNetworkInfo(network);
+      const row = { network, name: config.name, chainId: config.chainId };
+
+      if (!this.getApiEndpoint(network).apiKey && this.requiresApiKey(config)) {
+        return { ...row, status: 'skipped', verified: false, message: `No API key (set ${this.apiKeyHint(config)})` };
+      }
+
+      try {
+        // Lowercase so chains with EIP-1191 checksums accept the address too
+        const source = await this.fetchVerifiedSource(network, address.toLowerCase());
+        sources[network] = source;
         return {
+          ...row,
+          status: 'verified',
           verified: true,
-          contractName: result.ContractName,
-          compilerVersion: result.CompilerVersion,
-          optimizationUsed: result.OptimizationUsed === '1',
-          runs: result.Runs,
-          sourceCode: result.SourceCode
-        };
-      } else {
-        return {
-          verified: false,
-          message: 'Contract source code not verified'
+          contractName: source.contractName,
+          compilerVersion: source.compilerVersion,
+          sourceHash: consistency.sourceHash(source),
+          settingsHash: consistency.settingsHash(source),
+          proxy: source.proxy,
+          implementation: source.implementation
         };
+      } catch (error) {
+        if (error instanceof errors.NotVerifiedError) {
+          return { ...row, status: 'unverified', verified: false };
+        }
+        return { ...row, status: 'error', verified: false, error };
       }
+    });
+
+    const reference = consistency.flagDifferences(rows, sources);
+    const inconsistent = rows.filter(row => row.differs && row.differs.length > 0).map(row => row.network);
+
+    return {
+      address,
+      reference,
+      consistent: inconsistent.length === 0,
+      inconsistent,
+      networks: rows
+    };
+  }
+
+  // Download a verified contract into directory/sources/..., settings.json
+  // and abi.json
+  async saveVerifiedSource(network, address, directory) {
+    const source = await this.fetchVerifiedSource(network, address);
+    const files = await verifiedSource.writeSourceTree(path.resolve(directory), source);
+
+    this.logger.log(`📥 Saved ${Object.keys(source.sources).length} source file(s) of ${source.contractName} to ${directory}`);
+    return { ...source, directory, files };
+  }
+
+  // The sources and settings verifyContract() would submit for these options
+  async getLocalSource(options) {
+    const source = await this.prepareSource(options);
+    const input = source.input || this.buildCompilerInput(options, source).input;
+
+    return {
+      contractName: source.contractName,
+      compilerVersion: options.compilerVersion,
+      language: input.language,
+      sources: Object.fromEntries(Object.entries(input.sources).map(([file, entry]) => [file, entry.content])),
+      settings: input.settings
+    };
+  }
+
+  // Compare local sources and settings with what is verified at the address
+  async diffVerifiedSource(options) {
+    const { network, address } = options;
+    const [local, verified] = await Promise.all([
+      this.getLocalSource(options),
+      this.fetchVerifiedSource(network, address)
+    ]);
+
+    return { ...sourceDiff.compareSources(local, verified), local, verified };
+  }
+
+  // Find the transaction hash that deployed a contract
+  async getContractCreation(network, address) {
+    const config = this.getNetworkInfo(network);
+    const endpoint = this.getApiEndpoint(network);
+
+    let response;
+    try {
+      response = await this.http.get(endpoint.url, {
+        params: {
+          module: 'contract',
+          action: 'getcontractcreation',
+          contractaddresses: address,
+          apikey: endpoint.apiKey
+        },
+        timeout: 10000
+      });
+    } catch (error) {
+      throw new Error(`Failed to look up contract creation: ${error.message}`);
+    }
+
+    const result = Array.isArray(response.data.result) ? response.data.result[0] : null;
+
+    if (response.data.status !== '1' || !result || !result.txHash) {
+      throw new Error(`Contract creation not found for ${address} on ${config.name}`);
+    }
+
+    return {
+      txHash: result.txHash,
+      creator: result.contractCreator
+    };
+  }
+
+  // Fetch the input data of a transaction through the explorer's proxy module
+  async getTransactionInput(network, txHash) {
+    const endpoint = this.getApiEndpoint(network);
+
+    let response;
+    try {
+      response = await this.http.get(endpoint.url, {
+        params: {
+          module: 'proxy',
+          action: 'eth_getTransactionByHash',
+          txhash: txHash,
+          apikey: endpoint.apiKey
+        },
+        timeout: 10000
+      });
     } catch (error) {
-      throw new Error(`Failed to check verification status: ${error.message}`);
+      throw new Error(`Failed to fetch transaction: ${error.message}`);
+    }
+
+    const tx = response.data.result;
+
+    if (!tx || typeof tx !== 'object' || !tx.input) {
+      throw new Error(`Transaction not found: ${txHash}`);
+    }
+
+    // Factory and CREATE2-deployer transactions carry the factory's calldata,
+    // not the contract's init code
+    if (tx.to) {
+      throw new Error(
+        `Transaction ${txHash} is sent to ${tx.to}; only direct (EOA) deployment transactions are supported - ` +
+        'pass --constructor-args explicitly for contracts created by a factory'
+      );
+    }
+
+    return tx.input;
+  }
+
+  // Recover the ABI-encoded constructor arguments (without 0x) by stripping the
+  // compiled creation bytecode from the deployment transaction input
+  async getConstructorArgsFromCreation({ network, address, txHash, creationBytecode }) {
+    if (!creationBytecode) {
+      throw new Error('Compiled creation bytecode is required to derive constructor arguments');
+    }
+
+    let hash = txHash;
+    if (!hash) {
+      if (!address) {
+        throw new Error('Either a creation transaction hash or a contract address is required');
+      }
+      hash = (await this.getContractCreation(network, address)).txHash;
+    }
+
+    const input = await this.getTransactionInput(network, hash);
+    return bytecode.extractConstructorArgs(input, creationBytecode);
+  }
+
+  // Read creation bytecode from a hex file or a Hardhat/Foundry artifact
+  async readBytecodeFile(filePath) {
+    if (!await fs.pathExists(filePath)) {
+      throw new Error(`Bytecode file not found: ${filePath}`);
+    }
+
+    const content = (await fs.readFile(filePath, 'utf8')).trim();
+
+    if (!content.startsWith('{')) {
+      return content;
+    }
+
+    const artifact = JSON.parse(content);
+    const code = artifact.bytecode && typeof artifact.bytecode === 'object'
+      ? artifact.bytecode.object
+      : artifact.bytecode;
+
+    if (!code) {
+      throw new Error(`No creation bytecode found in artifact: ${filePath}`);
     }
+
+    return code;
   }
 
   // Validate compiler version format
   isValidCompilerVersion(version) {
-    // Format: v0.8.19+commit.e7d8d7db or similar
-    return /^v\d+\.\d+\.\d+\+commit\.[a-f0-9]+$/.test(version);
+    // Format: v0.8.19+commit.e7d8d7db or similar, or vyper:0.3.10
+    return /^v\d+\.\d+\.\d+\+commit\.[a-f0-9]+$/.test(version) || vyper.isVyperVersion(version);
+  }
+
+  // Vyper compilers: from the Blockscout instance for Blockscout networks,
+  // otherwise the vyper GitHub releases
+  async getVyperVersions(network, options = {}) {
+    const config = network ? this.getNetworkInfo(network) : null;
+
+    if (config && blockscout.usesNativeApi(config)) {
+      const versions = await blockscout.getCompilerVersions(blockscout.baseUrl(config), 'vyper', this.http);
+      return versions.map(version => `vyper:${version.replace(/^v/, '')}`);
+    }
+
+    return vyper.fetchVyperVersions(options);
   }
 
   
   async getCompilerVersions(network = 'ethereum') {
-    const config = this.networks[network];
-    
+    const config = this.getNetworkInfo(network);
     if (!config) {
-      throw new Error(`Unsupported network: ${network}`);
+      throw new errors.InvalidInputError(`Unsupported network: ${network}`);
+    }
+    const endpoint = this.getApiEndpoint(network);
+
+    if (blockscout.usesNativeApi(config)) {
+      return blockscout.getCompilerVersions(blockscout.baseUrl(config), 'solidity', this.http);
     }
 
     try {
-      const response = await axios.get(config.url, {
+      const response = await this.http.get(endpoint.url, {
         params: {
           module: 'contract',
           action: 'solcversions',
-          apikey: config.apiKey
+          apikey: endpoint.apiKey
         }
       });
 
       if (response.data.status === '1') {
         return response.data.result;
       } else {
-        throw new Error('Failed to fetch compiler versions');
+        throw errors.fromExplorerResponse(response.data, 'Failed to get compiler versions');
       }
     } catch (error) {
-      throw new Error(`Failed to get compiler versions: ${error.message}`);
+      throw errors.fromHttpError(error, 'Failed to get compiler versions');
     }
   }
 }
 
+// Error classes, for instanceof checks on rejected calls
+ContractVerifier.errors = errors;
+
 module.exports = ContractVerifier;
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+const STATE_FILE = '.contract-verifier/state.json';
+
+// Statuses after which a job is not polled again
+const FINAL_STATUSES = ['verified', 'already-verified', 'failed'];
+
+// Hash of everything that goes into a submission except the API key, so a
+// repeat run with the same source and settings finds its earlier job
+function settingsHash(network, submission) {
+  const { apikey, module: _module, action, ...fields } = submission;
+  const canonical = Object.keys(fields).sort().map(key => [key, String(fields[key])]);
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([String(network), canonical]))
+    .digest('hex');
+}
+
+function isFinal(job) {
+  return FINAL_STATUSES.includes(job.status);
+}
+
+function isSuccess(job) {
+  return job.status === 'verified' || job.status === 'already-verified';
+}
+
+// Verification submissions persisted as { jobs: [...] } in a JSON file.
+// Writes are serialized so concurrent verifications don't drop records.
+class JobStore {
+  constructor(filePath = STATE_FILE) {
+    this.filePath = path.resolve(filePath);
+    this.queue = Promise.resolve();
+  }
+
+  async load() {
+    if (!await fs.pathExists(this.filePath)) {
+      return { jobs: [] };
+    }
+
+    try {
+      const state = await fs.readJson(this.filePath);
+      return { ...state, jobs: Array.isArray(state.jobs) ? state.jobs : [] };
+    } catch (error) {
+      throw new Error(`Failed to read job state ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  // Write to a temporary file first so an interrupted run can't leave half a file
+  async save(state) {
+    const temporary = `${this.filePath}.${process.pid}.tmp`;
+    await fs.outputJson(temporary, state, { spaces: 2 });
+    await fs.move(temporary, this.filePath, { overwrite: true });
+  }
+
+  update(mutate) {
+    const next = this.queue.then(async () => {
+      const state = await this.load();
+      const result = mutate(state);
+      await this.save(state);
+      return result;
+    });
+    this.queue = next.catch(() => {});
+    return next;
+  }
+
+  async record(job) {
+    const now = new Date().toISOString();
+    return this.update(state => {
+      const entry = { status: 'pending', submittedAt: now, ...job, updatedAt: now };
+      state.jobs = state.jobs.filter(existing => existing.guid !== job.guid).concat(entry);
+      return entry;
+    });
+  }
+
+  // Store the outcome of polling a GUID; unknown GUIDs are left alone
+  async complete(guid, result) {
+    const now = new Date().toISOString();
+    return this.update(state => {
+      const job = state.jobs.find(existing => existing.guid === guid);
+      if (!job) {
+        return undefined;
+      }
+      Object.assign(job, { status: result.status, message: result.message, updatedAt: now });
+      if (isFinal(job)) {
+        job.completedAt = now;
+      }
+      return job;
+    });
+  }
+
+  async find(guid) {
+    return (await this.load()).jobs.find(job => job.guid === guid);
+  }
+
+  // Newest first, optionally narrowed by network, address or status
+  async list(filter = {}) {
+    const { jobs } = await this.load();
+    return jobs
+      .filter(job => !filter.network || job.network === filter.network)
+      .filter(job => !filter.address || job.address.toLowerCase() === filter.address.toLowerCase())
+      .filter(job => !filter.status || job.status === filter.status)
+      .sort((a, b) => String(b.submittedAt).localeCompare(String(a.submittedAt)));
+  }
+
+  // The newest job for the same network, address and settings
+  async latest(network, address, hash) {
+    return (await this.list({ network, address })).find(job => job.settingsHash === hash);
+  }
+}
+
+module.exports = {
+  STATE_FILE,
+  settingsHash,
+  isFinal,
+  isSuccess,
+  JobStore
+};
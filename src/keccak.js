@@ -0,0 +1,122 @@
+// Keccak-256 as used by Ethereum (the original Keccak padding, not NIST
+// SHA3-256, which Node's crypto module implements). Lanes are 64-bit, held as
+// [low, high] 32-bit halves in a Uint32Array.
+
+const RATE = 136;
+
+const ROUND_CONSTANTS = [
+  0x00000001, 0x00000000, 0x00008082, 0x00000000, 0x0000808a, 0x80000000,
+  0x80008000, 0x80000000, 0x0000808b, 0x00000000, 0x80000001, 0x00000000,
+  0x80008081, 0x80000000, 0x00008009, 0x80000000, 0x0000008a, 0x00000000,
+  0x00000088, 0x00000000, 0x80008009, 0x00000000, 0x8000000a, 0x00000000,
+  0x8000808b, 0x00000000, 0x0000008b, 0x80000000, 0x00008089, 0x80000000,
+  0x00008003, 0x80000000, 0x00008002, 0x80000000, 0x00000080, 0x80000000,
+  0x0000800a, 0x00000000, 0x8000000a, 0x80000000, 0x80008081, 0x80000000,
+  0x00008080, 0x80000000, 0x80000001, 0x00000000, 0x80008008, 0x80000000
+];
+
+// Rotation offsets for lane x + 5y
+const ROTATIONS = [
+  0, 1, 62, 28, 27,
+  36, 44, 6, 55, 20,
+  3, 10, 43, 25, 39,
+  41, 45, 15, 21, 8,
+  18, 2, 61, 56, 14
+];
+
+function rotate(low, high, offset) {
+  if (offset === 0) {
+    return [low, high];
+  }
+  if (offset >= 32) {
+    [low, high] = [high, low];
+    offset -= 32;
+    if (offset === 0) {
+      return [low, high];
+    }
+  }
+  return [
+    ((low << offset) | (high >>> (32 - offset))) >>> 0,
+    ((high << offset) | (low >>> (32 - offset))) >>> 0
+  ];
+}
+
+function permute(state) {
+  const c = new Uint32Array(10);
+  const b = new Uint32Array(50);
+
+  for (let round = 0; round < 24; round++) {
+    // Theta
+    for (let x = 0; x < 5; x++) {
+      for (let half = 0; half < 2; half++) {
+        c[x * 2 + half] = state[x * 2 + half] ^ state[(x + 5) * 2 + half] ^ state[(x + 10) * 2 + half] ^
+          state[(x + 15) * 2 + half] ^ state[(x + 20) * 2 + half];
+      }
+    }
+    for (let x = 0; x < 5; x++) {
+      const next = (x + 1) % 5;
+      const [low, high] = rotate(c[next * 2], c[next * 2 + 1], 1);
+      const dLow = c[((x + 4) % 5) * 2] ^ low;
+      const dHigh = c[((x + 4) % 5) * 2 + 1] ^ high;
+      for (let y = 0; y < 25; y += 5) {
+        state[(x + y) * 2] ^= dLow;
+        state[(x + y) * 2 + 1] ^= dHigh;
+      }
+    }
+
+    // Rho and pi
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        const lane = x + 5 * y;
+        const target = y + 5 * ((2 * x + 3 * y) % 5);
+        const [low, high] = rotate(state[lane * 2], state[lane * 2 + 1], ROTATIONS[lane]);
+        b[target * 2] = low;
+        b[target * 2 + 1] = high;
+      }
+    }
+
+    // Chi
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        const lane = (y + x) * 2;
+        const next = (y + (x + 1) % 5) * 2;
+        const after = (y + (x + 2) % 5) * 2;
+        state[lane] = b[lane] ^ (~b[next] & b[after]);
+        state[lane + 1] = b[lane + 1] ^ (~b[next + 1] & b[after + 1]);
+      }
+    }
+
+    // Iota
+    state[0] ^= ROUND_CONSTANTS[round * 2];
+    state[1] ^= ROUND_CONSTANTS[round * 2 + 1];
+  }
+}
+
+// Hash a Buffer, string (UTF-8) or Uint8Array; returns a 32-byte Buffer
+function keccak256(input) {
+  const data = Buffer.isBuffer(input) ? input : Buffer.from(input);
+
+  // Pad with 0x01 ... 0x80 up to a multiple of the rate
+  const padded = Buffer.alloc((Math.floor(data.length / RATE) + 1) * RATE);
+  data.copy(padded);
+  padded[data.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+
+  const state = new Uint32Array(50);
+  for (let offset = 0; offset < padded.length; offset += RATE) {
+    for (let word = 0; word < RATE / 4; word++) {
+      state[word] ^= padded.readUInt32LE(offset + word * 4);
+    }
+    permute(state);
+  }
+
+  const output = Buffer.alloc(32);
+  for (let word = 0; word < 8; word++) {
+    output.writeUInt32LE(state[word], word * 4);
+  }
+  return output;
+}
+
+module.exports = {
+  keccak256
+};
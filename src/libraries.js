@@ -0,0 +1,115 @@
+const { findContractSource } = require('./standard-json');
+const { validateAddress } = require('./address');
+
+// Etherscan accepts up to ten libraryname<N>/libraryaddress<N> pairs
+const MAX_EXPLORER_LIBRARIES = 10;
+
+// Unlinked placeholders are 40 characters: __$<34 hex chars>$__ (solc >= 0.5)
+// or __File.sol:Name___ padded with underscores
+const PLACEHOLDER_PATTERN = /__.{36}__/g;
+
+function splitName(qualifiedName) {
+  const colon = qualifiedName.lastIndexOf(':');
+  return colon === -1
+    ? { file: undefined, name: qualifiedName }
+    : { file: qualifiedName.slice(0, colon), name: qualifiedName.slice(colon + 1) };
+}
+
+// `options.chainId` selects EIP-1191 checksums for mixed-case addresses
+function library(qualifiedName, address, options = {}) {
+  validateAddress(String(address), { chainId: options.chainId, label: `address for library ${qualifiedName}` });
+  return { ...splitName(qualifiedName), address };
+}
+
+// Parse "Name=0xAddr" or "path/File.sol:Name=0xAddr"
+function parseLibrary(spec, options) {
+  const match = String(spec).match(/^([^=]+)=(.+)$/);
+  if (!match) {
+    throw new Error(`Invalid library "${spec}" (expected Name=0xAddress or path/File.sol:Name=0xAddress)`);
+  }
+  return library(match[1].trim(), match[2].trim(), options);
+}
+
+// Accept "Name=0x.." specs, { Name: "0x.." } / { "File.sol:Name": "0x.." }
+// maps, or solc's { "File.sol": { Name: "0x.." } } and return a flat list
+function normalizeLibraries(libraries, options) {
+  if (!libraries) {
+    return [];
+  }
+  if (Array.isArray(libraries)) {
+    return libraries.map(entry => (typeof entry === 'string' ? parseLibrary(entry, options) : library(entry.file ? `${entry.file}:${entry.name}` : entry.name, entry.address, options)));
+  }
+
+  const list = [];
+  for (const [key, value] of Object.entries(libraries)) {
+    if (value && typeof value === 'object') {
+      for (const [name, address] of Object.entries(value)) {
+        list.push(library(`${key}:${name}`, address, options));
+      }
+    } else {
+      list.push(library(key, value, options));
+    }
+  }
+  return list;
+}
+
+// solc settings.libraries form, locating the declaring file for bare names
+function toInputLibraries(list, sources = {}) {
+  const result = {};
+  for (const { file, name, address } of list) {
+    const sourceFile = file || findContractSource(sources, name);
+    result[sourceFile] = result[sourceFile] || {};
+    result[sourceFile][name] = address;
+  }
+  return result;
+}
+
+// libraryname1..10 / libraryaddress1..10 fields for single-file submissions
+function toExplorerFields(list) {
+  if (list.length > MAX_EXPLORER_LIBRARIES) {
+    throw new Error(`At most ${MAX_EXPLORER_LIBRARIES} libraries can be submitted with a single-file source - use standard JSON input`);
+  }
+
+  const fields = {};
+  list.forEach(({ name, address }, index) => {
+    fields[`libraryname${index + 1}`] = name;
+    fields[`libraryaddress${index + 1}`] = address;
+  });
+  return fields;
+}
+
+// Libraries an artifact's bytecode.linkReferences says must be linked
+function fromLinkReferences(linkReferences = {}) {
+  const list = [];
+  for (const [file, names] of Object.entries(linkReferences)) {
+    for (const name of Object.keys(names)) {
+      list.push({ file, name });
+    }
+  }
+  return list;
+}
+
+function countPlaceholders(bytecode) {
+  return new Set(String(bytecode || '').match(PLACEHOLDER_PATTERN) || []).size;
+}
+
+// Required libraries (from link references) that have no address yet
+function findUnlinked(required, provided) {
+  return required.filter(({ file, name }) => !provided.some(entry => entry.name === name && (!entry.file || !file || entry.file === file)));
+}
+
+function formatLibrary({ file, name }) {
+  return file ? `${file}:${name}` : name;
+}
+
+module.exports = {
+  MAX_EXPLORER_LIBRARIES,
+  parseLibrary,
+  normalizeLibraries,
+  toInputLibraries,
+  toExplorerFields,
+  fromLinkReferences,
+  countPlaceholders,
+  findUnlinked,
+  formatLibrary
+};
@@ -0,0 +1,138 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const MANIFEST_FILES = ['contract-verifier.config.json', 'contract-verifier.config.js'];
+
+// Options a contract entry (or a per-network override) may set, passed
+// straight through to verifyContract()
+const PASSTHROUGH_OPTIONS = [
+  'contractName',
+  'compilerVersion',
+  'optimized',
+  'runs',
+  'evmVersion',
+  'bundle',
+  'remappings',
+  'viaIR',
+  'constructorArgs',
+  'creationTxHash',
+  'deriveConstructorArgs',
+  'libraries'
+];
+
+// Paths in a manifest are relative to the manifest itself
+const PATH_OPTIONS = {
+  source: 'sourcePath',
+  standardJson: 'standardJsonPath',
+  hardhat: 'hardhatProject',
+  foundry: 'foundryProject',
+  root: 'root'
+};
+
+async function findManifest(dir = process.cwd()) {
+  for (const file of MANIFEST_FILES) {
+    const candidate = path.join(dir, file);
+    if (await fs.pathExists(candidate)) {
+      return candidate;
+    }
+  }
+  throw new Error(`No manifest found in ${dir} (expected ${MANIFEST_FILES.join(' or ')})`);
+}
+
+async function loadManifest(filePath) {
+  const manifestPath = path.resolve(filePath || await findManifest());
+
+  if (!await fs.pathExists(manifestPath)) {
+    throw new Error(`Manifest not found: ${manifestPath}`);
+  }
+
+  let manifest;
+  if (manifestPath.endsWith('.js')) {
+    manifest = require(manifestPath);
+    if (typeof manifest === 'function') {
+      manifest = await manifest();
+    }
+  } else {
+    try {
+      manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to parse manifest ${manifestPath}: ${error.message}`);
+    }
+  }
+
+  validateManifest(manifest);
+  return { manifest, baseDir: path.dirname(manifestPath), path: manifestPath };
+}
+
+function validateManifest(manifest) {
+  if (!manifest || !Array.isArray(manifest.contracts) || manifest.contracts.length === 0) {
+    throw new Error('Invalid manifest: "contracts" must be a non-empty array');
+  }
+
+  manifest.contracts.forEach((contract, index) => {
+    const label = contract.name || contract.contractName || `#${index}`;
+    if (!contract.name && !contract.contractName) {
+      throw new Error(`Invalid manifest: contract ${label} needs a "name" or "contractName"`);
+    }
+    if (!contract.source && !contract.standardJson && !contract.hardhat && !contract.foundry) {
+      throw new Error(`Invalid manifest: contract ${label} needs one of "source", "standardJson", "hardhat" or "foundry"`);
+    }
+    if (!contract.networks || typeof contract.networks !== 'object' || Object.keys(contract.networks).length === 0) {
+      throw new Error(`Invalid manifest: contract ${label} has no "networks"`);
+    }
+  });
+}
+
+function pickOptions(entry, baseDir) {
+  const options = {};
+
+  for (const key of PASSTHROUGH_OPTIONS) {
+    if (entry[key] !== undefined) {
+      options[key] = entry[key];
+    }
+  }
+  for (const [key, option] of Object.entries(PATH_OPTIONS)) {
+    if (entry[key] !== undefined) {
+      options[option] = path.resolve(baseDir, entry[key]);
+    }
+  }
+
+  return options;
+}
+
+// Expand the manifest into one verification job per contract per network.
+// Settings resolve as defaults < contract entry < per-network override.
+function expandJobs(manifest, baseDir, filters = {}) {
+  const jobs = [];
+
+  for (const contract of manifest.contracts) {
+    const name = contract.name || contract.contractName;
+    if (filters.contracts && !filters.contracts.includes(name)) continue;
+
+    for (const [network, target] of Object.entries(contract.networks)) {
+      if (filters.networks && !filters.networks.includes(network)) continue;
+
+      const override = typeof target === 'string' ? { address: target } : target;
+      const options = {
+        contractName: name,
+        ...pickOptions(manifest.defaults || {}, baseDir),
+        ...pickOptions(contract, baseDir),
+        ...pickOptions(override, baseDir),
+        network,
+        address: override.address
+      };
+
+      jobs.push({ name, network, address: override.address, options });
+    }
+  }
+
+  return jobs;
+}
+
+module.exports = {
+  MANIFEST_FILES,
+  findManifest,
+  loadManifest,
+  validateManifest,
+  expandJobs
+};
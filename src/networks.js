@@ -0,0 +1,291 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const NETWORKS_FILE = 'contract-verifier.networks.json';
+const ENV_PREFIX = 'CONTRACT_VERIFIER_NETWORK_';
+const ETHERSCAN_V2_URL = 'https://api.etherscan.io/v2/api';
+
+const BUILTIN_NETWORKS = {
+  ethereum: {
+    name: 'Ethereum',
+    chainId: 1,
+    url: 'https://api.etherscan.io/api',
+    explorerUrl: 'https://etherscan.io',
+    apiKeyEnv: 'ETHERSCAN_API_KEY',
+    etherscanV2: true,
+    aliases: ['mainnet', 'eth']
+  },
+  polygon: {
+    name: 'Polygon',
+    chainId: 137,
+    url: 'https://api.polygonscan.com/api',
+    explorerUrl: 'https://polygonscan.com',
+    apiKeyEnv: 'POLYGONSCAN_API_KEY',
+    etherscanV2: true,
+    aliases: ['matic']
+  },
+  bsc: {
+    name: 'BNB Smart Chain',
+    chainId: 56,
+    url: 'https://api.bscscan.com/api',
+    explorerUrl: 'https://bscscan.com',
+    apiKeyEnv: 'BSCSCAN_API_KEY',
+    etherscanV2: true,
+    aliases: ['bnb']
+  },
+  arbitrum: {
+    name: 'Arbitrum',
+    chainId: 42161,
+    url: 'https://api.arbiscan.io/api',
+    explorerUrl: 'https://arbiscan.io',
+    apiKeyEnv: 'ARBISCAN_API_KEY',
+    etherscanV2: true,
+    aliases: ['arbitrum-one']
+  },
+  optimism: {
+    name: 'Optimism',
+    chainId: 10,
+    url: 'https://api-optimistic.etherscan.io/api',
+    explorerUrl: 'https://optimistic.etherscan.io',
+    apiKeyEnv: 'OPTIMISM_API_KEY',
+    etherscanV2: true,
+    aliases: ['op']
+  },
+  base: {
+    name: 'Base',
+    chainId: 8453,
+    url: 'https://api.basescan.org/api',
+    explorerUrl: 'https://basescan.org',
+    apiKeyEnv: 'BASESCAN_API_KEY',
+    etherscanV2: true,
+    aliases: []
+  },
+  rsk: {
+    name: 'Rootstock',
+    chainId: 30,
+    url: 'https://rootstock.blockscout.com/api',
+    explorerUrl: 'https://rootstock.blockscout.com',
+    explorer: 'blockscout',
+    eip1191: true,
+    aliases: ['rootstock']
+  },
+  sepolia: {
+    name: 'Sepolia',
+    chainId: 11155111,
+    url: 'https://api-sepolia.etherscan.io/api',
+    explorerUrl: 'https://sepolia.etherscan.io',
+    apiKeyEnv: 'ETHERSCAN_API_KEY',
+    etherscanV2: true,
+    aliases: ['ethereum-sepolia'],
+    testnet: true
+  },
+  holesky: {
+    name: 'Holesky',
+    chainId: 17000,
+    url: 'https://api-holesky.etherscan.io/api',
+    explorerUrl: 'https://holesky.etherscan.io',
+    apiKeyEnv: 'ETHERSCAN_API_KEY',
+    etherscanV2: true,
+    aliases: ['ethereum-holesky'],
+    testnet: true
+  },
+  amoy: {
+    name: 'Polygon Amoy',
+    chainId: 80002,
+    url: 'https://api-amoy.polygonscan.com/api',
+    explorerUrl: 'https://amoy.polygonscan.com',
+    apiKeyEnv: 'POLYGONSCAN_API_KEY',
+    etherscanV2: true,
+    aliases: ['polygon-amoy'],
+    testnet: true
+  },
+  'bsc-testnet': {
+    name: 'BNB Smart Chain Testnet',
+    chainId: 97,
+    url: 'https://api-testnet.bscscan.com/api',
+    explorerUrl: 'https://testnet.bscscan.com',
+    apiKeyEnv: 'BSCSCAN_API_KEY',
+    etherscanV2: true,
+    aliases: ['bnb-testnet'],
+    testnet: true
+  },
+  'arbitrum-sepolia': {
+    name: 'Arbitrum Sepolia',
+    chainId: 421614,
+    url: 'https://api-sepolia.arbiscan.io/api',
+    explorerUrl: 'https://sepolia.arbiscan.io',
+    apiKeyEnv: 'ARBISCAN_API_KEY',
+    etherscanV2: true,
+    aliases: [],
+    testnet: true
+  },
+  'optimism-sepolia': {
+    name: 'OP Sepolia',
+    chainId: 11155420,
+    url: 'https://api-sepolia-optimistic.etherscan.io/api',
+    explorerUrl: 'https://sepolia-optimism.etherscan.io',
+    apiKeyEnv: 'OPTIMISM_API_KEY',
+    etherscanV2: true,
+    aliases: ['op-sepolia'],
+    testnet: true
+  },
+  'base-sepolia': {
+    name: 'Base Sepolia',
+    chainId: 84532,
+    url: 'https://api-sepolia.basescan.org/api',
+    explorerUrl: 'https://sepolia.basescan.org',
+    apiKeyEnv: 'BASESCAN_API_KEY',
+    etherscanV2: true,
+    aliases: [],
+    testnet: true
+  },
+  'rsk-testnet': {
+    name: 'Rootstock Testnet',
+    chainId: 31,
+    url: 'https://rootstock-testnet.blockscout.com/api',
+    explorerUrl: 'https://rootstock-testnet.blockscout.com',
+    explorer: 'blockscout',
+    eip1191: true,
+    aliases: ['rootstock-testnet'],
+    testnet: true
+  }
+};
+
+// Networks by key, with lookups by alias or chain ID. `networks` is a plain
+// object so existing `verifier.networks[key]` access keeps working.
+class NetworkRegistry {
+  constructor(env = process.env) {
+    this.env = env;
+    this.networks = {};
+
+    for (const [key, entry] of Object.entries(BUILTIN_NETWORKS)) {
+      this.register(key, entry);
+    }
+  }
+
+  register(key, entry) {
+    if (!key || typeof key !== 'string') {
+      throw new Error('Network key must be a non-empty string');
+    }
+
+    const normalizedKey = key.toLowerCase();
+    const existing = this.networks[normalizedKey] || {};
+    const network = { ...existing, ...entry };
+
+    if (!network.url) {
+      throw new Error(`Network ${key} needs an API url`);
+    }
+    if (network.chainId !== undefined) {
+      network.chainId = Number(network.chainId);
+      if (!Number.isInteger(network.chainId) || network.chainId <= 0) {
+        throw new Error(`Network ${key} has an invalid chainId: ${entry.chainId}`);
+      }
+    }
+
+    network.name = network.name || key;
+    network.aliases = (network.aliases || []).map(alias => String(alias).toLowerCase());
+    // A partial override keeps a key set by an earlier registration
+    network.apiKey = entry.apiKey || (network.apiKeyEnv ? this.env[network.apiKeyEnv] : undefined) || existing.apiKey;
+
+    this.networks[normalizedKey] = network;
+    return network;
+  }
+
+  // Resolve a key, alias or chain ID to a network key
+  resolve(nameOrChainId) {
+    if (nameOrChainId === undefined || nameOrChainId === null) {
+      return undefined;
+    }
+
+    const value = String(nameOrChainId).toLowerCase();
+
+    if (this.networks[value]) {
+      return value;
+    }
+
+    return Object.keys(this.networks).find(key => {
+      const network = this.networks[key];
+      return network.aliases.includes(value) || String(network.chainId) === value;
+    });
+  }
+
+  get(nameOrChainId) {
+    const key = this.resolve(nameOrChainId);
+    return key ? this.networks[key] : undefined;
+  }
+
+  keys() {
+    return Object.keys(this.networks);
+  }
+
+  loadObject(networks) {
+    for (const [key, entry] of Object.entries(networks || {})) {
+      this.register(key, entry);
+    }
+  }
+
+  loadFile(filePath) {
+    let config;
+    try {
+      config = fs.readJsonSync(filePath);
+    } catch (error) {
+      throw new Error(`Failed to read networks file ${filePath}: ${error.message}`);
+    }
+    // Either { networks: {...} } or the map itself
+    this.loadObject(config.networks || config);
+  }
+
+  // CONTRACT_VERIFIER_NETWORK_<KEY>_API_URL defines a network; _CHAIN_ID,
+  // _EXPLORER_URL, _API_KEY_ENV, _NAME, _ALIASES, _EXPLORER (etherscan or
+  // blockscout), _BLOCKSCOUT_API (v2 or etherscan) and _EIP1191 (true for
+  // chain-specific address checksums) fill in the rest
+  loadEnv() {
+    const suffix = '_API_URL';
+
+    for (const variable of Object.keys(this.env)) {
+      if (!variable.startsWith(ENV_PREFIX) || !variable.endsWith(suffix)) continue;
+
+      const prefix = variable.slice(0, -suffix.length);
+      const key = prefix.slice(ENV_PREFIX.length).toLowerCase().replace(/_/g, '-');
+      const read = name => this.env[`${prefix}_${name}`];
+      const entry = { url: this.env[variable] };
+
+      if (read('CHAIN_ID')) entry.chainId = read('CHAIN_ID');
+      if (read('EXPLORER_URL')) entry.explorerUrl = read('EXPLORER_URL');
+      if (read('API_KEY_ENV')) entry.apiKeyEnv = read('API_KEY_ENV');
+      if (read('NAME')) entry.name = read('NAME');
+      if (read('ALIASES')) entry.aliases = read('ALIASES').split(',').map(alias => alias.trim());
+      if (read('EXPLORER')) entry.explorer = read('EXPLORER').toLowerCase();
+      if (read('BLOCKSCOUT_API')) entry.blockscoutApi = read('BLOCKSCOUT_API').toLowerCase();
+      if (read('EIP1191')) entry.eip1191 = read('EIP1191').toLowerCase() === 'true';
+
+      this.register(key, entry);
+    }
+  }
+}
+
+// Registry with built-ins plus the networks file (if any) and env overrides
+function createRegistry(options = {}) {
+  const env = options.env || process.env;
+  const registry = new NetworkRegistry(env);
+
+  const networksFile = options.networksFile || env.CONTRACT_VERIFIER_NETWORKS_FILE;
+  if (networksFile) {
+    registry.loadFile(path.resolve(networksFile));
+  } else if (fs.pathExistsSync(path.resolve(NETWORKS_FILE))) {
+    registry.loadFile(path.resolve(NETWORKS_FILE));
+  }
+
+  registry.loadEnv();
+  registry.loadObject(options.networks);
+
+  return registry;
+}
+
+module.exports = {
+  BUILTIN_NETWORKS,
+  NETWORKS_FILE,
+  ETHERSCAN_V2_URL,
+  NetworkRegistry,
+  createRegistry
+};
@@ -0,0 +1,142 @@
+const { normalizeHex, metadataLength } = require('./bytecode');
+
+const PUSH1 = 0x60;
+const PUSH32 = 0x7f;
+const PUSH0 = 0x5f;
+
+// Zero out immutable slots (filled in at deploy time) in a runtime code hex
+function maskImmutables(hex, immutableReferences = {}) {
+  const chars = hex.split('');
+  for (const references of Object.values(immutableReferences)) {
+    for (const { start, length } of references) {
+      for (let i = start * 2; i < (start + length) * 2 && i < chars.length; i++) {
+        chars[i] = '0';
+      }
+    }
+  }
+  return chars.join('');
+}
+
+// Copy library addresses from the on-chain code over unlinked placeholders
+function fillPlaceholders(compiled, onchain) {
+  return compiled.replace(/__.{36}__/g, (placeholder, offset) => onchain.substr(offset, 40) || placeholder);
+}
+
+function usesPush0(hex) {
+  for (let i = 0; i < hex.length; i += 2) {
+    const opcode = parseInt(hex.substr(i, 2), 16);
+    if (opcode === PUSH0) {
+      return true;
+    }
+    if (opcode >= PUSH1 && opcode <= PUSH32) {
+      i += (opcode - PUSH1 + 1) * 2;
+    }
+  }
+  return false;
+}
+
+// Byte ranges where two equally-indexed hex strings differ
+function diffRegions(a, b) {
+  const regions = [];
+  const length = Math.max(a.length, b.length);
+  let start = null;
+
+  for (let i = 0; i < length; i += 2) {
+    const same = a.substr(i, 2) === b.substr(i, 2);
+    if (!same && start === null) {
+      start = i / 2;
+    } else if (same && start !== null) {
+      regions.push({ start, end: i / 2 });
+      start = null;
+    }
+  }
+  if (start !== null) {
+    regions.push({ start, end: length / 2 });
+  }
+
+  return regions;
+}
+
+// Guess which compiler setting explains a mismatch
+function mismatchHints(compiled, onchain) {
+  const hints = [];
+
+  if (usesPush0(onchain) && !usesPush0(compiled)) {
+    hints.push('On-chain code uses PUSH0 - it was compiled for shanghai or later; try a newer evmVersion');
+  } else if (!usesPush0(onchain) && usesPush0(compiled)) {
+    hints.push('Compiled code uses PUSH0 but the on-chain code does not - try evmVersion paris or earlier');
+  }
+
+  if (compiled.length > onchain.length) {
+    hints.push('Compiled code is larger than on-chain code - the optimizer may have been enabled, or run with fewer runs');
+  } else if (compiled.length < onchain.length) {
+    hints.push('Compiled code is smaller than on-chain code - the optimizer may have been disabled, or run with more runs');
+  } else {
+    hints.push('Code length matches but content differs - check the compiler version, evmVersion and source');
+  }
+
+  return hints;
+}
+
+// Compare locally compiled runtime code with the deployed code, ignoring the
+// CBOR metadata hash and immutable values
+function compareBytecode(compiledRuntime, onchainRuntime, options = {}) {
+  const onchainFull = normalizeHex(onchainRuntime);
+  const compiledFull = fillPlaceholders(normalizeHex(compiledRuntime), onchainFull);
+
+  if (!onchainFull) {
+    return {
+      match: false,
+      exact: false,
+      compiledLength: compiledFull.length / 2,
+      onchainLength: 0,
+      regions: [],
+      hints: ['No code at this address - check the network and contract address']
+    };
+  }
+
+  const compiled = maskImmutables(compiledFull, options.immutableReferences);
+  const onchain = maskImmutables(onchainFull, options.immutableReferences);
+  const compiledCode = compiled.slice(0, compiled.length - metadataLength(compiled));
+  const onchainCode = onchain.slice(0, onchain.length - metadataLength(onchain));
+
+  const match = compiledCode === onchainCode;
+  const regions = match ? [] : diffRegions(compiledCode, onchainCode);
+
+  return {
+    match,
+    exact: match && compiled === onchain,
+    compiledLength: compiledCode.length / 2,
+    onchainLength: onchainCode.length / 2,
+    regions,
+    hints: match ? [] : mismatchHints(compiledCode, onchainCode)
+  };
+}
+
+function formatComparison(comparison) {
+  const lines = [];
+
+  if (comparison.match) {
+    lines.push(comparison.exact
+      ? 'Bytecode matches exactly, including metadata'
+      : 'Bytecode matches (metadata hash differs - explorers report this as a partial match)');
+    return lines;
+  }
+
+  lines.push(`Bytecode mismatch: compiled ${comparison.compiledLength} bytes, on-chain ${comparison.onchainLength} bytes`);
+  comparison.regions.slice(0, 5).forEach(region => {
+    lines.push(`  differs at bytes ${region.start}-${region.end}`);
+  });
+  if (comparison.regions.length > 5) {
+    lines.push(`  ... and ${comparison.regions.length - 5} more regions`);
+  }
+  comparison.hints.forEach(hint => lines.push(`Hint: ${hint}`));
+
+  return lines;
+}
+
+module.exports = {
+  compareBytecode,
+  formatComparison,
+  usesPush0
+};
@@ -0,0 +1,54 @@
+// Proxy detection through the standard storage slots
+
+const SLOTS = {
+  // bytes32(uint256(keccak256('eip1967.proxy.implementation')) - 1)
+  implementation: '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc',
+  // bytes32(uint256(keccak256('eip1967.proxy.admin')) - 1)
+  admin: '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103',
+  // bytes32(uint256(keccak256('eip1967.proxy.beacon')) - 1)
+  beacon: '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50',
+  // keccak256('PROXIABLE'), EIP-1822 UUPS
+  proxiable: '0xc5f16f0fcc639fa48a6947836d9850f504798523bf8c9a3a87d5876cf622bcf7'
+};
+
+// implementation() on a beacon
+const IMPLEMENTATION_SELECTOR = '0x5c60da1b';
+
+// Address stored in the low 20 bytes of a slot or return value, or null if empty
+function slotAddress(value) {
+  const hex = String(value || '').replace(/^0x/i, '');
+  if (!/[1-9a-f]/i.test(hex)) {
+    return null;
+  }
+  return `0x${hex.padStart(64, '0').slice(-40)}`;
+}
+
+// Read the proxy slots of an address. `reader` provides getStorageAt(slot)
+// and call(to, data), over RPC or the explorer's proxy module.
+async function detectProxy(reader) {
+  const implementation = slotAddress(await reader.getStorageAt(SLOTS.implementation));
+  const admin = slotAddress(await reader.getStorageAt(SLOTS.admin));
+
+  if (implementation) {
+    return { isProxy: true, type: 'eip1967', implementation, admin };
+  }
+
+  const beacon = slotAddress(await reader.getStorageAt(SLOTS.beacon));
+  if (beacon) {
+    const beaconImplementation = slotAddress(await reader.call(beacon, IMPLEMENTATION_SELECTOR));
+    return { isProxy: Boolean(beaconImplementation), type: 'eip1967-beacon', implementation: beaconImplementation, admin, beacon };
+  }
+
+  const proxiable = slotAddress(await reader.getStorageAt(SLOTS.proxiable));
+  if (proxiable) {
+    return { isProxy: true, type: 'eip1822', implementation: proxiable, admin };
+  }
+
+  return { isProxy: false, type: null, implementation: null, admin };
+}
+
+module.exports = {
+  SLOTS,
+  slotAddress,
+  detectProxy
+};
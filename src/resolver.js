@@ -0,0 +1,285 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const IMPORT_PATTERN = /\bimport\s+(?:[^;'"]*?\bfrom\s+)?["']([^"']+)["']\s*(?:as\s+\w+\s*)?;/g;
+const SPDX_PATTERN = /^\s*\/\/\s*SPDX-License-Identifier:\s*(.+?)\s*$/gm;
+const PRAGMA_PATTERN = /^\s*pragma\s+([^;]+);[ \t]*$/gm;
+
+// Find the comments in a source, skipping string literals (which may
+// contain "//"). Each range records whether it is a /* block */ comment.
+function commentRanges(source) {
+  const ranges = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+
+    if (char === '"' || char === '\'') {
+      i = findStringEnd(source, i);
+    } else if (char === '/' && next === '/') {
+      const newline = source.indexOf('\n', i);
+      const end = newline === -1 ? source.length : newline;
+      ranges.push({ start: i, end, block: false });
+      i = end;
+    } else if (char === '/' && next === '*') {
+      const close = source.indexOf('*/', i + 2);
+      const end = close === -1 ? source.length : close + 2;
+      ranges.push({ start: i, end, block: true });
+      i = end;
+    } else {
+      i++;
+    }
+  }
+
+  return ranges;
+}
+
+// Replace comments with whitespace so commented-out imports are ignored.
+// Offsets are preserved so matches point into the original source.
+function stripComments(source) {
+  let result = '';
+  let last = 0;
+
+  for (const range of commentRanges(source)) {
+    result += source.slice(last, range.start) + source.slice(range.start, range.end).replace(/[^\n]/g, ' ');
+    last = range.end;
+  }
+
+  return result + source.slice(last);
+}
+
+function findStringEnd(source, start) {
+  const quote = source[start];
+  let i = start + 1;
+  while (i < source.length && source[i] !== quote && source[i] !== '\n') {
+    i += source[i] === '\\' ? 2 : 1;
+  }
+  return i + 1;
+}
+
+function parseImports(source) {
+  const code = stripComments(source);
+  const imports = [];
+  let match;
+
+  IMPORT_PATTERN.lastIndex = 0;
+  while ((match = IMPORT_PATTERN.exec(code)) !== null) {
+    imports.push({
+      path: match[1],
+      statement: match[0],
+      aliased: /\bas\b/.test(match[0]),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  return imports;
+}
+
+// Parse Foundry-style remappings ("[context:]prefix=target")
+function parseRemappings(lines) {
+  return lines
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const eq = line.indexOf('=');
+      if (eq === -1) {
+        throw new Error(`Invalid remapping: ${line} (expected prefix=target)`);
+      }
+      const left = line.slice(0, eq);
+      const colon = left.indexOf(':');
+      return {
+        context: colon === -1 ? '' : left.slice(0, colon),
+        prefix: colon === -1 ? left : left.slice(colon + 1),
+        target: line.slice(eq + 1),
+        raw: line
+      };
+    });
+}
+
+async function readRemappingsFile(root) {
+  const file = path.join(root, 'remappings.txt');
+  if (!await fs.pathExists(file)) {
+    return [];
+  }
+  return parseRemappings((await fs.readFile(file, 'utf8')).split('\n'));
+}
+
+// Apply the longest matching remapping, honouring contexts like solc does
+function applyRemappings(importPath, importer, remappings) {
+  let best = null;
+
+  for (const remapping of remappings) {
+    if (!importPath.startsWith(remapping.prefix)) continue;
+    if (remapping.context && !importer.startsWith(remapping.context)) continue;
+    if (!best ||
+        remapping.context.length > best.context.length ||
+        (remapping.context.length === best.context.length && remapping.prefix.length > best.prefix.length)) {
+      best = remapping;
+    }
+  }
+
+  return best ? best.target + importPath.slice(best.prefix.length) : importPath;
+}
+
+// Turn an import into a source unit name, following solc's rules: relative
+// imports resolve against the importing unit, everything else is remapped
+function resolveUnitName(importPath, importer, remappings) {
+  if (importPath.startsWith('./') || importPath.startsWith('../')) {
+    return path.posix.normalize(path.posix.join(path.posix.dirname(importer), importPath));
+  }
+  return path.posix.normalize(applyRemappings(importPath, importer, remappings));
+}
+
+async function locateFile(unitName, root) {
+  const candidates = [path.join(root, unitName)];
+
+  // Walk up from the project root looking for node_modules packages
+  let dir = root;
+  while (true) {
+    candidates.push(path.join(dir, 'node_modules', unitName));
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+
+  for (const candidate of candidates) {
+    if (await fs.pathExists(candidate)) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+// Follow imports from an entry file and collect every dependency as a map of
+// source unit name -> content, in dependency-first order
+async function resolveSources(entryPath, options = {}) {
+  const root = path.resolve(options.root || process.cwd());
+  const remappings = [
+    ...parseRemappings(options.remappings || []),
+    ...await readRemappingsFile(root)
+  ];
+
+  const absoluteEntry = path.resolve(entryPath);
+  if (!await fs.pathExists(absoluteEntry)) {
+    throw new Error(`Source file not found: ${entryPath}`);
+  }
+
+  const entry = path.relative(root, absoluteEntry).split(path.sep).join('/');
+  if (entry.startsWith('../')) {
+    throw new Error(`Source file ${entryPath} is outside the project root ${root}`);
+  }
+
+  const sources = {};
+  const imports = {};
+  const warnings = [];
+  const visiting = [];
+
+  async function visit(unitName, filePath) {
+    if (visiting.includes(unitName)) {
+      const cycle = [...visiting.slice(visiting.indexOf(unitName)), unitName];
+      throw new Error(`Circular import detected: ${cycle.join(' -> ')}`);
+    }
+    if (unitName in sources) {
+      return;
+    }
+
+    visiting.push(unitName);
+    const content = await fs.readFile(filePath, 'utf8');
+    imports[unitName] = [];
+
+    for (const statement of parseImports(content)) {
+      const dependency = resolveUnitName(statement.path, unitName, remappings);
+      const dependencyPath = await locateFile(dependency, root);
+
+      if (!dependencyPath) {
+        throw new Error(`Cannot resolve import "${statement.path}" in ${unitName} (looked for ${dependency})`);
+      }
+      if (statement.aliased) {
+        warnings.push(`${unitName} uses an aliased import of ${dependency}, which may not compile when flattened`);
+      }
+
+      imports[unitName].push(dependency);
+      await visit(dependency, dependencyPath);
+    }
+
+    visiting.pop();
+    sources[unitName] = content;
+  }
+
+  await visit(entry, absoluteEntry);
+
+  return {
+    entry,
+    sources,
+    imports,
+    remappings: remappings.map(remapping => remapping.raw),
+    warnings
+  };
+}
+
+// Combine resolved sources into a single file with one SPDX line and
+// deduplicated pragmas
+function flatten(resolved) {
+  const licenses = [];
+  const pragmas = [];
+  let solidityPragma = null;
+  const bodies = [];
+
+  for (const [unitName, content] of Object.entries(resolved.sources)) {
+    // Cut imports out by position: a commented-out copy of the same
+    // statement must stay put while the real one goes
+    let body = content;
+    for (const statement of parseImports(content).reverse()) {
+      body = body.slice(0, statement.start) + body.slice(statement.end);
+    }
+
+    // Only hoist lines that are live code (or, for SPDX, a line comment of
+    // their own) - not copies inside NatSpec or commented-out blocks
+    let ranges = commentRanges(body);
+    body = body.replace(SPDX_PATTERN, (line, license, offset) => {
+      const slashes = offset + line.indexOf('//');
+      if (!ranges.some(range => range.start === slashes && !range.block)) return line;
+      if (!licenses.includes(license)) licenses.push(license);
+      return '';
+    });
+
+    ranges = commentRanges(body);
+    body = body.replace(PRAGMA_PATTERN, (line, pragma, offset) => {
+      const keyword = offset + line.indexOf('pragma');
+      if (ranges.some(range => keyword >= range.start && keyword < range.end)) return line;
+      const normalized = pragma.replace(/\s+/g, ' ').trim();
+      if (normalized.startsWith('solidity ')) {
+        // The entry file's version constraint wins; it is visited last
+        if (!solidityPragma || unitName === resolved.entry) solidityPragma = normalized;
+      } else if (!pragmas.includes(normalized)) {
+        pragmas.push(normalized);
+      }
+      return '';
+    });
+
+    bodies.push(`// File: ${unitName}\n\n${body.trim()}\n`);
+  }
+
+  const header = [];
+  if (licenses.length > 0) {
+    header.push(`// SPDX-License-Identifier: ${licenses.join(' AND ')}`);
+  }
+  if (solidityPragma) {
+    header.push(`pragma ${solidityPragma};`);
+  }
+  pragmas.forEach(pragma => header.push(`pragma ${pragma};`));
+
+  return `${header.join('\n')}\n\n${bodies.join('\n')}`;
+}
+
+module.exports = {
+  parseImports,
+  parseRemappings,
+  applyRemappings,
+  resolveUnitName,
+  resolveSources,
+  flatten
+};
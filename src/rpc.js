@@ -0,0 +1,46 @@
+const axios = require('axios');
+
+let requestId = 0;
+
+// Minimal JSON-RPC client for talking to a node (or a local Anvil/Hardhat node)
+async function call(url, method, params = []) {
+  let response;
+  try {
+    response = await axios.post(url, {
+      jsonrpc: '2.0',
+      id: ++requestId,
+      method,
+      params
+    }, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: 15000
+    });
+  } catch (error) {
+    throw new Error(`RPC request ${method} to ${url} failed: ${error.message}`);
+  }
+
+  if (response.data.error) {
+    throw new Error(`RPC error from ${method}: ${response.data.error.message}`);
+  }
+
+  return response.data.result;
+}
+
+async function getCode(url, address, block = 'latest') {
+  return call(url, 'eth_getCode', [address, block]);
+}
+
+async function getStorageAt(url, address, slot, block = 'latest') {
+  return call(url, 'eth_getStorageAt', [address, slot, block]);
+}
+
+async function ethCall(url, to, data, block = 'latest') {
+  return call(url, 'eth_call', [{ to, data }, block]);
+}
+
+module.exports = {
+  call,
+  getCode,
+  getStorageAt,
+  ethCall
+};
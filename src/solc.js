@@ -0,0 +1,108 @@
+const { spawn } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const CACHE_DIR = path.join(os.homedir(), '.contract-verifier', 'solc');
+
+// Strip the leading "v" and commit suffix: v0.8.19+commit.7dd6d404 -> 0.8.19
+function shortVersion(version) {
+  return version.replace(/^v/, '').split('+')[0];
+}
+
+// Candidate solc binaries for a version, in lookup order: our own cache, then
+// the caches Foundry (svm) and solc-select already maintain
+function candidatePaths(version, cacheDir = CACHE_DIR) {
+  const long = version.replace(/^v/, '');
+  const short = shortVersion(version);
+  const home = os.homedir();
+
+  return [
+    path.join(cacheDir, `solc-v${long}`),
+    path.join(cacheDir, `solc-${short}`),
+    path.join(cacheDir, short, 'solc'),
+    path.join(home, '.svm', short, `solc-${short}`),
+    path.join(home, '.solc-select', 'artifacts', `solc-${short}`, `solc-${short}`)
+  ];
+}
+
+// An explicit --solc / SOLC_PATH binary wins unless `cacheOnly` is set, for
+// callers that try several versions and need each one's own binary
+async function findSolc(version, options = {}) {
+  const explicit = options.cacheOnly ? undefined : options.solcPath || process.env.SOLC_PATH;
+
+  if (explicit) {
+    if (!await fs.pathExists(explicit)) {
+      throw new Error(`solc binary not found: ${explicit}`);
+    }
+    return explicit;
+  }
+
+  const candidates = candidatePaths(version, options.cacheDir);
+  for (const candidate of candidates) {
+    if (await fs.pathExists(candidate)) {
+      return candidate;
+    }
+  }
+
+  throw new Error(`solc ${version} not found locally. Pass --solc <path>, set SOLC_PATH, or place the binary at ${candidates[0]}`);
+}
+
+function run(binary, args, stdin) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(binary, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', error => reject(new Error(`Failed to run ${binary}: ${error.message}`)));
+    child.on('close', code => {
+      if (code !== 0) {
+        reject(new Error(`${path.basename(binary)} exited with code ${code}: ${stderr.trim()}`));
+      } else {
+        resolve(stdout);
+      }
+    });
+
+    child.stdin.end(stdin);
+  });
+}
+
+// Long version a binary reports, e.g. v0.8.19+commit.7dd6d404
+async function binaryVersion(binary) {
+  const stdout = await run(binary, ['--version'], '');
+  const match = stdout.match(/Version:\s*(\d+\.\d+\.\d+(?:\+commit\.[0-9a-f]+)?)/);
+  if (!match) {
+    throw new Error(`Could not read the version of ${binary}`);
+  }
+  return `v${match[1]}`;
+}
+
+// Compile a standard JSON input with the requested compiler version
+async function compile(input, version, options = {}) {
+  const binary = await findSolc(version, options);
+  const stdout = await run(binary, ['--standard-json'], JSON.stringify(input));
+
+  let output;
+  try {
+    output = JSON.parse(stdout);
+  } catch (error) {
+    throw new Error(`Invalid solc output: ${error.message}`);
+  }
+
+  const errors = (output.errors || []).filter(error => error.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(`Compilation failed:\n${errors.map(error => error.formattedMessage || error.message).join('\n')}`);
+  }
+
+  return output;
+}
+
+module.exports = {
+  CACHE_DIR,
+  shortVersion,
+  findSolc,
+  binaryVersion,
+  compile
+};
@@ -0,0 +1,277 @@
+const path = require('path');
+
+// Above this many cells the line diff gives up on aligning the changed middle
+// of two files and reports it as replaced wholesale
+const MAX_DIFF_CELLS = 4000000;
+
+function splitLines(text) {
+  return String(text).replace(/\r\n?/g, '\n').replace(/\n$/, '').split('\n');
+}
+
+// Line operations [' ' | '-' | '+', line] turning `a` into `b`, from a longest
+// common subsequence after stripping the shared head and tail
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map(line => [' ', line]);
+  const tail = a.slice(endA).map(line => [' ', line]);
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const rows = middleA.length + 1;
+  const columns = middleB.length + 1;
+
+  if (rows * columns > MAX_DIFF_CELLS) {
+    return head
+      .concat(middleA.map(line => ['-', line]), middleB.map(line => ['+', line]))
+      .concat(tail);
+  }
+
+  // lengths[i * columns + j]: LCS of middleA[i..] and middleB[j..]
+  const lengths = new Uint32Array(rows * columns);
+  for (let i = middleA.length - 1; i >= 0; i--) {
+    for (let j = middleB.length - 1; j >= 0; j--) {
+      lengths[i * columns + j] = middleA[i] === middleB[j]
+        ? lengths[(i + 1) * columns + j + 1] + 1
+        : Math.max(lengths[(i + 1) * columns + j], lengths[i * columns + j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < middleA.length && j < middleB.length) {
+    if (middleA[i] === middleB[j]) {
+      middle.push([' ', middleA[i]]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * columns + j] >= lengths[i * columns + j + 1]) {
+      middle.push(['-', middleA[i++]]);
+    } else {
+      middle.push(['+', middleB[j++]]);
+    }
+  }
+  while (i < middleA.length) middle.push(['-', middleA[i++]]);
+  while (j < middleB.length) middle.push(['+', middleB[j++]]);
+
+  return head.concat(middle, tail);
+}
+
+// Unified diff text between two file contents, or '' when they're the same
+function unifiedDiff(from, to, { fromLabel = 'a', toLabel = 'b', context = 3 } = {}) {
+  const operations = diffLines(splitLines(from), splitLines(to));
+  if (operations.every(([kind]) => kind === ' ')) {
+    return '';
+  }
+
+  // Line numbers on each side before every operation
+  const positions = [];
+  let lineA = 1;
+  let lineB = 1;
+  for (const [kind] of operations) {
+    positions.push([lineA, lineB]);
+    if (kind !== '+') lineA++;
+    if (kind !== '-') lineB++;
+  }
+
+  const output = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  let index = 0;
+  while (index < operations.length) {
+    if (operations[index][0] === ' ') {
+      index++;
+      continue;
+    }
+
+    // Grow the hunk while changes are within 2 * context lines of each other
+    const first = Math.max(0, index - context);
+    let last = index;
+    let cursor = index;
+    while (cursor < operations.length) {
+      if (operations[cursor][0] !== ' ') {
+        last = cursor;
+      } else if (cursor - last > context * 2) {
+        break;
+      }
+      cursor++;
+    }
+    const end = Math.min(operations.length, last + context + 1);
+    const hunk = operations.slice(first, end);
+    const countA = hunk.filter(([kind]) => kind !== '+').length;
+    const countB = hunk.filter(([kind]) => kind !== '-').length;
+    const [startA, startB] = positions[first];
+
+    output.push(`@@ -${countA ? startA : startA - 1},${countA} +${countB ? startB : startB - 1},${countB} @@`);
+    hunk.forEach(([kind, line]) => output.push(`${kind}${line}`));
+    index = end;
+  }
+
+  return output.join('\n');
+}
+
+function normalizeContent(text) {
+  return splitLines(text).join('\n');
+}
+
+// Pair local and verified files by path, then by file name for paths that
+// only differ in their directory prefix
+function pairSources(local, remote) {
+  const pairs = [];
+  const unmatchedRemote = new Set(Object.keys(remote));
+  const unmatchedLocal = [];
+
+  for (const localPath of Object.keys(local)) {
+    if (unmatchedRemote.has(localPath)) {
+      pairs.push([localPath, localPath]);
+      unmatchedRemote.delete(localPath);
+    } else {
+      unmatchedLocal.push(localPath);
+    }
+  }
+
+  for (const localPath of unmatchedLocal) {
+    const name = path.posix.basename(localPath);
+    const candidates = [...unmatchedRemote].filter(remotePath => path.posix.basename(remotePath) === name);
+    if (candidates.length === 1) {
+      pairs.push([localPath, candidates[0]]);
+      unmatchedRemote.delete(candidates[0]);
+    } else {
+      pairs.push([localPath, undefined]);
+    }
+  }
+
+  return pairs.concat([...unmatchedRemote].map(remotePath => [undefined, remotePath]));
+}
+
+// Per-file status: 'same', 'changed', 'local-only' or 'verified-only'
+function diffSources(local, remote) {
+  return pairSources(local, remote).map(([localPath, remotePath]) => {
+    if (!remotePath) {
+      return { path: localPath, status: 'local-only' };
+    }
+    if (!localPath) {
+      return { path: remotePath, status: 'verified-only' };
+    }
+    if (normalizeContent(local[localPath]) === normalizeContent(remote[remotePath])) {
+      return { path: localPath, verifiedPath: remotePath, status: 'same' };
+    }
+    return {
+      path: localPath,
+      verifiedPath: remotePath,
+      status: 'changed',
+      diff: unifiedDiff(remote[remotePath], local[localPath], {
+        fromLabel: `verified/${remotePath}`,
+        toLabel: `local/${localPath}`
+      })
+    };
+  });
+}
+
+function shortName(contractName) {
+  return contractName ? String(contractName).slice(String(contractName).lastIndexOf(':') + 1) : undefined;
+}
+
+function normalizeVersion(version) {
+  return version ? String(version).replace(/^v/, '') : undefined;
+}
+
+// Library addresses by name, ignoring which file declared them
+function flatLibraries(libraries = {}) {
+  const flat = {};
+  for (const names of Object.values(libraries)) {
+    for (const [name, address] of Object.entries(names || {})) {
+      flat[name] = String(address).toLowerCase();
+    }
+  }
+  return Object.keys(flat).sort().map(name => `${name}=${flat[name]}`).join(', ') || undefined;
+}
+
+// The fields that change the compiled bytecode, normalized so equivalent
+// spellings compare equal
+function settingsFields(snapshot) {
+  const settings = snapshot.settings || {};
+  const optimizer = settings.optimizer || {};
+  const fields = {
+    contractName: shortName(snapshot.contractName),
+    compilerVersion: normalizeVersion(snapshot.compilerVersion),
+    'optimizer.enabled': Boolean(optimizer.enabled),
+    evmVersion: settings.evmVersion && settings.evmVersion !== 'default' ? settings.evmVersion : 'default',
+    viaIR: Boolean(settings.viaIR),
+    libraries: flatLibraries(settings.libraries)
+  };
+  if (optimizer.enabled) {
+    fields['optimizer.runs'] = Number(optimizer.runs);
+  }
+  if (settings.metadata && settings.metadata.bytecodeHash) {
+    fields['metadata.bytecodeHash'] = settings.metadata.bytecodeHash;
+  }
+  return fields;
+}
+
+// Settings that differ: [{ field, local, verified }]. Fields the local side
+// doesn't know (e.g. no compiler version given) are not compared.
+function diffSettings(local, remote) {
+  const localFields = settingsFields(local);
+  const remoteFields = settingsFields(remote);
+  const fields = [...new Set(Object.keys(localFields).concat(Object.keys(remoteFields)))];
+
+  return fields
+    .filter(field => !(field === 'compilerVersion' && !localFields[field]))
+    .filter(field => localFields[field] !== remoteFields[field])
+    .map(field => ({ field, local: localFields[field], verified: remoteFields[field] }));
+}
+
+// Compare a local { contractName, compilerVersion, sources, settings } with
+// the verified one
+function compareSources(local, remote) {
+  const files = diffSources(local.sources, remote.sources);
+  const settings = diffSettings(local, remote);
+  return {
+    match: settings.length === 0 && files.every(file => file.status === 'same'),
+    files,
+    settings
+  };
+}
+
+function formatValue(value) {
+  return value === undefined ? '(none)' : String(value);
+}
+
+// Summary lines for the CLI; full file diffs are printed separately
+function formatDiff(comparison) {
+  const lines = [];
+  const counts = status => comparison.files.filter(file => file.status === status).length;
+
+  if (comparison.match) {
+    lines.push(`Sources and settings match the verified contract (${comparison.files.length} file(s))`);
+    return lines;
+  }
+
+  lines.push(`${counts('same')} same, ${counts('changed')} changed, ${counts('local-only')} only local, ${counts('verified-only')} only verified`);
+  comparison.files.filter(file => file.status !== 'same').forEach(file => {
+    lines.push(`${file.status}: ${file.path}${file.verifiedPath && file.verifiedPath !== file.path ? ` (verified as ${file.verifiedPath})` : ''}`);
+  });
+  comparison.settings.forEach(({ field, local, verified }) => {
+    lines.push(`${field}: local ${formatValue(local)}, verified ${formatValue(verified)}`);
+  });
+
+  return lines;
+}
+
+module.exports = {
+  diffLines,
+  unifiedDiff,
+  diffSources,
+  diffSettings,
+  settingsFields,
+  normalizeContent,
+  compareSources,
+  formatDiff
+};
@@ -0,0 +1,114 @@
+const axios = require('axios');
+const errors = require('./errors');
+
+const SOURCIFY_URL = 'https://sourcify.dev/server';
+
+// Sourcify reports "perfect" (metadata hash matches too) or "partial"
+const MATCH_TYPES = {
+  perfect: 'full',
+  full: 'full',
+  partial: 'partial'
+};
+
+function matchType(status) {
+  return MATCH_TYPES[status] || null;
+}
+
+function parseMetadata(metadata) {
+  if (typeof metadata !== 'string') {
+    return metadata;
+  }
+  try {
+    return JSON.parse(metadata);
+  } catch (error) {
+    throw new Error(`Invalid contract metadata: ${error.message}`);
+  }
+}
+
+// Files for a /verify request: metadata.json plus every source it lists,
+// taken from the solc input sources or the metadata's embedded content
+function buildFiles(metadata, sources = {}) {
+  const parsed = parseMetadata(metadata);
+
+  if (!parsed || !parsed.sources || !parsed.settings) {
+    throw new Error('Invalid contract metadata: missing "sources" or "settings"');
+  }
+
+  const files = {
+    'metadata.json': typeof metadata === 'string' ? metadata : JSON.stringify(metadata)
+  };
+
+  for (const [unitName, entry] of Object.entries(parsed.sources)) {
+    const content = sources[unitName] ? sources[unitName].content : entry.content;
+    if (content === undefined) {
+      throw new Error(`Source ${unitName} listed in the metadata is missing`);
+    }
+    files[unitName] = content;
+  }
+
+  return files;
+}
+
+function requestError(error) {
+  const data = error.response && error.response.data;
+  const message = data && (data.error || data.message);
+  const ErrorClass = errors.classify(message) || (error.response ? errors.ExplorerError : errors.NetworkError);
+  return new ErrorClass(`Sourcify request failed: ${message || error.message}`, { response: data });
+}
+
+// `http` is the verifier's HttpClient; plain axios when called on its own
+async function verify(serverUrl, { address, chainId, files, chosenContract }, http = axios) {
+  let response;
+  try {
+    response = await http.post(`${serverUrl}/verify`, {
+      address,
+      chain: String(chainId),
+      files,
+      ...(chosenContract === undefined ? {} : { chosenContract: String(chosenContract) })
+    }, { timeout: 60000 });
+  } catch (error) {
+    throw requestError(error);
+  }
+
+  const result = Array.isArray(response.data.result) ? response.data.result[0] : null;
+  if (!result) {
+    throw new Error(`Unexpected Sourcify response: ${JSON.stringify(response.data)}`);
+  }
+
+  return {
+    match: matchType(result.status),
+    status: result.status,
+    message: result.message
+  };
+}
+
+// Match status of addresses on a chain, keyed by lower-case address
+async function checkByAddresses(serverUrl, addresses, chainId, http = axios) {
+  let response;
+  try {
+    response = await http.get(`${serverUrl}/check-by-addresses`, {
+      params: {
+        addresses: addresses.join(','),
+        chainIds: String(chainId)
+      },
+      timeout: 10000
+    });
+  } catch (error) {
+    throw requestError(error);
+  }
+
+  const statuses = {};
+  for (const entry of response.data || []) {
+    const chain = (entry.chainIds || []).find(item => String(item.chainId) === String(chainId));
+    statuses[entry.address.toLowerCase()] = matchType(chain ? chain.status : entry.status);
+  }
+  return statuses;
+}
+
+module.exports = {
+  SOURCIFY_URL,
+  matchType,
+  buildFiles,
+  verify,
+  checkByAddresses
+};
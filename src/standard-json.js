@@ -0,0 +1,132 @@
+const fs = require('fs-extra');
+
+// Build a solc Standard JSON Input from a map of { path: content } sources
+function buildStandardJsonInput(sources, settings = {}) {
+  const {
+    language = 'Solidity',
+    optimized = false,
+    runs = 200,
+    evmVersion = 'default',
+    remappings = [],
+    viaIR = false,
+    metadata,
+    libraries
+  } = settings;
+
+  if (!sources || typeof sources !== 'object' || Object.keys(sources).length === 0) {
+    throw new Error('At least one source file is required to build standard JSON input');
+  }
+
+  const input = {
+    language,
+    sources: {},
+    settings: {
+      optimizer: {
+        enabled: Boolean(optimized),
+        runs: Number(runs)
+      },
+      outputSelection: {
+        '*': {
+          '*': ['abi', 'evm.bytecode', 'evm.deployedBytecode', 'metadata']
+        }
+      }
+    }
+  };
+
+  for (const [sourcePath, source] of Object.entries(sources)) {
+    input.sources[sourcePath] = {
+      content: typeof source === 'string' ? source : source.content
+    };
+  }
+
+  if (evmVersion && evmVersion !== 'default') {
+    input.settings.evmVersion = evmVersion;
+  }
+  if (remappings.length > 0) {
+    input.settings.remappings = remappings;
+  }
+  if (viaIR) {
+    input.settings.viaIR = true;
+  }
+  if (metadata) {
+    input.settings.metadata = metadata;
+  }
+  if (libraries && Object.keys(libraries).length > 0) {
+    input.settings.libraries = libraries;
+  }
+
+  return input;
+}
+
+function validateStandardJsonInput(input) {
+  if (!input || typeof input !== 'object' || !input.sources || typeof input.sources !== 'object') {
+    throw new Error('Invalid standard JSON input: missing "sources"');
+  }
+
+  const paths = Object.keys(input.sources);
+  if (paths.length === 0) {
+    throw new Error('Invalid standard JSON input: "sources" is empty');
+  }
+
+  for (const sourcePath of paths) {
+    if (typeof input.sources[sourcePath].content !== 'string') {
+      throw new Error(`Invalid standard JSON input: source "${sourcePath}" has no content (urls are not supported)`);
+    }
+  }
+
+  return input;
+}
+
+async function readStandardJsonInput(filePath) {
+  if (!await fs.pathExists(filePath)) {
+    throw new Error(`Standard JSON input not found: ${filePath}`);
+  }
+
+  let input;
+  try {
+    input = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to parse standard JSON input: ${error.message}`);
+  }
+
+  return validateStandardJsonInput(input);
+}
+
+// Find the source path declaring a contract, for the path/File.sol:Name form
+function findContractSource(sources, contractName) {
+  const declaration = new RegExp(`\\b(?:contract|library|interface)\\s+${contractName}\\b`);
+  const matches = Object.keys(sources).filter(sourcePath => {
+    const source = sources[sourcePath];
+    return declaration.test(typeof source === 'string' ? source : source.content);
+  });
+
+  if (matches.length === 0) {
+    throw new Error(`Contract ${contractName} not found in any source file`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`Contract ${contractName} is declared in several files (${matches.join(', ')}) - use the path:Name form`);
+  }
+
+  return matches[0];
+}
+
+// Explorers expect the fully qualified name (path/File.sol:Name) for standard JSON
+function qualifyContractName(sources, contractName) {
+  if (contractName.includes(':')) {
+    const sourcePath = contractName.slice(0, contractName.lastIndexOf(':'));
+    if (!sources[sourcePath]) {
+      throw new Error(`Source ${sourcePath} not found in standard JSON input`);
+    }
+    return contractName;
+  }
+
+  return `${findContractSource(sources, contractName)}:${contractName}`;
+}
+
+module.exports = {
+  buildStandardJsonInput,
+  validateStandardJsonInput,
+  readStandardJsonInput,
+  findContractSource,
+  qualifyContractName
+};
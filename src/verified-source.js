@@ -0,0 +1,192 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// A verified contract as { contractName, compilerVersion, language, sources,
+// settings, abi, constructorArguments, licenseType, proxy, implementation },
+// where sources maps paths to contents and settings is the solc/vyper
+// settings object it was compiled with
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Etherscan wraps standard JSON input in an extra pair of braces ({{...}});
+// a single pair holds a { path: { content } } map of several files
+function parseSourceCode(sourceCode, fileName) {
+  const trimmed = String(sourceCode || '').trim();
+
+  if (trimmed.startsWith('{{') && trimmed.endsWith('}}')) {
+    const input = parseJson(trimmed.slice(1, -1));
+    if (input && input.sources) {
+      return { sources: contents(input.sources), input };
+    }
+  }
+  if (trimmed.startsWith('{')) {
+    const parsed = parseJson(trimmed);
+    if (parsed && parsed.sources) {
+      return { sources: contents(parsed.sources), input: parsed };
+    }
+    if (parsed && Object.values(parsed).every(file => file && typeof file.content === 'string')) {
+      return { sources: contents(parsed) };
+    }
+  }
+
+  return { sources: { [fileName]: String(sourceCode) } };
+}
+
+function contents(sources) {
+  const files = {};
+  for (const [sourcePath, source] of Object.entries(sources)) {
+    files[sourcePath] = typeof source === 'string' ? source : source.content;
+  }
+  return files;
+}
+
+// Etherscan's Library field: "Name:0xaddress" pairs separated by ; or ,
+function parseLibraryField(field) {
+  const linked = {};
+  for (const entry of String(field || '').split(/[;,]/)) {
+    const [name, address] = entry.split(':').map(part => part && part.trim());
+    if (name && address) {
+      linked[name] = address.startsWith('0x') ? address : `0x${address}`;
+    }
+  }
+  return linked;
+}
+
+function parseAbi(abi) {
+  if (Array.isArray(abi)) {
+    return abi;
+  }
+  const parsed = parseJson(abi);
+  return Array.isArray(parsed) ? parsed : undefined;
+}
+
+// From one entry of Etherscan's getsourcecode result
+function fromEtherscan(result) {
+  const compilerVersion = result.CompilerVersion;
+  const language = /^vyper/i.test(compilerVersion || '') ? 'Vyper' : 'Solidity';
+  const fileName = `${result.ContractName || 'Contract'}.${language === 'Vyper' ? 'vy' : 'sol'}`;
+  const { sources, input } = parseSourceCode(result.SourceCode, fileName);
+
+  let settings;
+  if (input && input.settings) {
+    settings = input.settings;
+  } else {
+    settings = {
+      optimizer: { enabled: result.OptimizationUsed === '1', runs: Number(result.Runs) || 0 }
+    };
+    if (result.EVMVersion && !/^default$/i.test(result.EVMVersion)) {
+      settings.evmVersion = result.EVMVersion.toLowerCase();
+    }
+    const linked = parseLibraryField(result.Library);
+    if (Object.keys(linked).length > 0) {
+      settings.libraries = { [Object.keys(sources)[0]]: linked };
+    }
+  }
+
+  return {
+    contractName: result.ContractName,
+    compilerVersion,
+    language: (input && input.language) || language,
+    sources,
+    settings,
+    abi: parseAbi(result.ABI),
+    constructorArguments: result.ConstructorArguments || '',
+    licenseType: result.LicenseType || undefined,
+    proxy: result.Proxy === '1',
+    implementation: result.Implementation || undefined
+  };
+}
+
+// From Blockscout's /api/v2/smart-contracts/{address} response
+function fromBlockscout(data) {
+  const language = data.language === 'vyper' ? 'Vyper' : 'Solidity';
+  const mainFile = data.file_path || `${data.name || 'Contract'}.${language === 'Vyper' ? 'vy' : 'sol'}`;
+
+  const sources = { [mainFile]: data.source_code || '' };
+  for (const extra of data.additional_sources || []) {
+    sources[extra.file_path] = extra.source_code;
+  }
+
+  const settings = data.compiler_settings && Object.keys(data.compiler_settings).length > 0
+    ? { ...data.compiler_settings }
+    : { optimizer: { enabled: Boolean(data.optimization_enabled), runs: Number(data.optimization_runs) || 0 } };
+  if (!settings.evmVersion && data.evm_version && !/^default$/i.test(data.evm_version)) {
+    settings.evmVersion = data.evm_version;
+  }
+  if (!settings.libraries && (data.external_libraries || []).length > 0) {
+    settings.libraries = {
+      [mainFile]: Object.fromEntries(data.external_libraries.map(library => [library.name, library.address_hash]))
+    };
+  }
+
+  const implementation = (data.implementations || [])[0];
+  return {
+    contractName: data.name,
+    compilerVersion: data.compiler_version,
+    language,
+    sources,
+    settings,
+    abi: parseAbi(data.abi),
+    constructorArguments: data.constructor_args || '',
+    licenseType: data.license_type || undefined,
+    proxy: Boolean(data.proxy_type),
+    implementation: implementation ? implementation.address || implementation.address_hash : undefined
+  };
+}
+
+// Source paths come from the explorer, so keep them inside the output
+// directory: drop absolute prefixes and any . or .. segments
+function safeRelativePath(sourcePath) {
+  const parts = String(sourcePath)
+    .replace(/\\/g, '/')
+    .replace(/^[a-zA-Z]:/, '')
+    .split('/')
+    .filter(part => part && part !== '.' && part !== '..');
+
+  if (parts.length === 0) {
+    throw new Error(`Invalid source path: ${sourcePath}`);
+  }
+  return parts.join('/');
+}
+
+// Write sources/<path> for every file plus settings.json and abi.json;
+// returns the paths written, relative to the directory
+async function writeSourceTree(directory, source, details = {}) {
+  const written = [];
+
+  for (const [sourcePath, content] of Object.entries(source.sources)) {
+    const relative = path.posix.join('sources', safeRelativePath(sourcePath));
+    await fs.outputFile(path.join(directory, relative), content);
+    written.push(relative);
+  }
+
+  const { sources, abi, ...summary } = source;
+  await fs.outputJson(path.join(directory, 'settings.json'), {
+    ...details,
+    ...summary,
+    sourcePaths: Object.keys(sources)
+  }, { spaces: 2 });
+  written.push('settings.json');
+
+  if (abi) {
+    await fs.outputJson(path.join(directory, 'abi.json'), abi, { spaces: 2 });
+    written.push('abi.json');
+  }
+
+  return written;
+}
+
+module.exports = {
+  parseSourceCode,
+  parseLibraryField,
+  fromEtherscan,
+  fromBlockscout,
+  safeRelativePath,
+  writeSourceTree
+};
@@ -0,0 +1,260 @@
+const axios = require('axios');
+const fs = require('fs-extra');
+const path = require('path');
+
+const VYPER_RELEASES_URL = 'https://api.github.com/repos/vyperlang/vyper/releases';
+
+// Modules shipped with the compiler, never read from disk
+const BUILTIN_PREFIXES = ['vyper.', 'ethereum.'];
+
+// Extensions tried, in order, when resolving an import to a file
+const EXTENSIONS = ['.vyi', '.vy', '.json'];
+
+const IMPORT_PATTERN = /^[ \t]*import[ \t]+([\w.]+)(?:[ \t]+as[ \t]+\w+)?/gm;
+const FROM_IMPORT_PATTERN = /^[ \t]*from[ \t]+(\.*[\w.]*)[ \t]+import[ \t]+\(?([\w \t,]+)\)?/gm;
+
+// vyper:0.3.10, optionally with a pre-release tag or commit
+function isVyperVersion(version) {
+  return /^vyper:\d+\.\d+\.\d+(?:(?:rc|b)\d+)?(?:\+commit\.[a-f0-9]+)?$/.test(version || '');
+}
+
+function isVyperSource(filePath) {
+  return /\.vyi?$/.test(filePath || '');
+}
+
+function isInterface(unitName) {
+  return /\.(vyi|json)$/.test(unitName);
+}
+
+// Blank out # comments and docstrings (keeping line breaks) so imports that
+// are commented out or quoted in documentation are ignored
+function stripComments(source) {
+  let result = '';
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (source.startsWith('"""', i) || source.startsWith("'''", i)) {
+      const end = source.indexOf(source.slice(i, i + 3), i + 3);
+      const docstring = source.slice(i, end === -1 ? source.length : end + 3);
+      result += docstring.replace(/[^\n]/g, ' ');
+      i += docstring.length;
+    } else if (char === '"' || char === '\'') {
+      let end = i + 1;
+      while (end < source.length && source[end] !== char && source[end] !== '\n') {
+        end += source[end] === '\\' ? 2 : 1;
+      }
+      result += source.slice(i, end + 1);
+      i = end + 1;
+    } else if (char === '#') {
+      const newline = source.indexOf('\n', i);
+      const end = newline === -1 ? source.length : newline;
+      result += ' '.repeat(end - i);
+      i = end;
+    } else {
+      result += char;
+      i++;
+    }
+  }
+
+  return result;
+}
+
+// Dotted module paths imported by a source, e.g. "interfaces.IToken" or ".lib"
+function parseImports(source) {
+  const code = stripComments(source);
+  const modules = [];
+  let match;
+
+  IMPORT_PATTERN.lastIndex = 0;
+  while ((match = IMPORT_PATTERN.exec(code)) !== null) {
+    modules.push(match[1]);
+  }
+
+  FROM_IMPORT_PATTERN.lastIndex = 0;
+  while ((match = FROM_IMPORT_PATTERN.exec(code)) !== null) {
+    const base = match[1];
+    for (const part of match[2].split(',')) {
+      const name = part.trim().split(/\s+/)[0];
+      if (name) {
+        modules.push(/^\.+$/.test(base) ? `${base}${name}` : `${base}.${name}`);
+      }
+    }
+  }
+
+  return modules.filter(module => !BUILTIN_PREFIXES.some(prefix => module.startsWith(prefix)));
+}
+
+// Path (without extension) of a module, relative to the project root.
+// Leading dots are relative to the importing file: "." its directory, ".." its parent.
+function modulePath(module, importer) {
+  const dots = module.match(/^\.*/)[0].length;
+  const parts = module.slice(dots).split('.').filter(Boolean);
+
+  if (dots === 0) {
+    return parts.join('/');
+  }
+
+  let dir = path.posix.dirname(importer);
+  for (let i = 1; i < dots; i++) {
+    dir = path.posix.dirname(dir);
+  }
+  return path.posix.normalize(path.posix.join(dir, ...parts));
+}
+
+// Follow imports from an entry .vy file and collect sources and interfaces
+async function resolveSources(entryPath, options = {}) {
+  const root = path.resolve(options.root || process.cwd());
+  const absoluteEntry = path.resolve(entryPath);
+
+  if (!await fs.pathExists(absoluteEntry)) {
+    throw new Error(`Source file not found: ${entryPath}`);
+  }
+
+  const entry = path.relative(root, absoluteEntry).split(path.sep).join('/');
+  if (entry.startsWith('../')) {
+    throw new Error(`Source file ${entryPath} is outside the project root ${root}`);
+  }
+
+  const files = {};
+
+  async function visit(unitName) {
+    if (unitName in files) {
+      return;
+    }
+
+    const content = await fs.readFile(path.join(root, unitName), 'utf8');
+    files[unitName] = content;
+
+    if (unitName.endsWith('.json')) {
+      return;
+    }
+
+    for (const module of parseImports(content)) {
+      const base = modulePath(module, unitName);
+      let dependency = null;
+      for (const extension of EXTENSIONS) {
+        if (await fs.pathExists(path.join(root, base + extension))) {
+          dependency = base + extension;
+          break;
+        }
+      }
+
+      if (!dependency) {
+        throw new Error(`Cannot resolve import "${module}" in ${unitName} (looked for ${base}{${EXTENSIONS.join(',')}})`);
+      }
+      await visit(dependency);
+    }
+  }
+
+  await visit(entry);
+
+  return { entry, files };
+}
+
+// settings.optimize for an optimized flag: "gas"/"none" from Vyper 0.3.10,
+// true/false before. Unset leaves the compiler default (optimized for gas).
+function optimizeSetting(optimized, compilerVersion) {
+  if (optimized === undefined) {
+    return undefined;
+  }
+
+  const [major, minor, patch] = (String(compilerVersion || '').match(/\d+/g) || []).map(Number);
+  const legacy = major === 0 && (minor < 3 || (minor === 3 && patch < 10));
+  if (legacy) {
+    return Boolean(optimized);
+  }
+  return optimized ? 'gas' : 'none';
+}
+
+// vyper-json standard input: .vy modules under "sources", .vyi and JSON ABI
+// files under "interfaces"
+function buildVyperJsonInput(resolved, options = {}) {
+  const input = {
+    language: 'Vyper',
+    sources: {},
+    interfaces: {},
+    settings: {
+      outputSelection: {
+        '*': ['abi', 'evm.bytecode', 'evm.deployedBytecode']
+      }
+    }
+  };
+
+  for (const [unitName, content] of Object.entries(resolved.files)) {
+    if (!isInterface(unitName)) {
+      input.sources[unitName] = { content };
+    } else if (unitName.endsWith('.json')) {
+      const parsed = JSON.parse(content);
+      input.interfaces[unitName] = { abi: Array.isArray(parsed) ? parsed : parsed.abi };
+    } else {
+      input.interfaces[unitName] = { content };
+    }
+  }
+
+  if (Object.keys(input.interfaces).length === 0) {
+    delete input.interfaces;
+  }
+  if (options.evmVersion && options.evmVersion !== 'default') {
+    input.settings.evmVersion = options.evmVersion;
+  }
+  const optimize = options.optimize !== undefined
+    ? options.optimize
+    : optimizeSetting(options.optimized, options.compilerVersion);
+  if (optimize !== undefined) {
+    input.settings.optimize = optimize;
+  }
+
+  return input;
+}
+
+// A Vyper contract is named after its file: contracts/Token.vy:Token
+function qualifyContractName(sources, contractName) {
+  if (contractName.includes(':')) {
+    const sourcePath = contractName.slice(0, contractName.lastIndexOf(':'));
+    if (!sources[sourcePath]) {
+      throw new Error(`Source ${sourcePath} not found in vyper-json input`);
+    }
+    return contractName;
+  }
+
+  const matches = Object.keys(sources).filter(sourcePath => path.posix.basename(sourcePath).replace(/\.vy$/, '') === contractName);
+  if (matches.length !== 1) {
+    throw new Error(matches.length === 0
+      ? `Contract ${contractName} not found - Vyper contracts are named after their file`
+      : `Contract ${contractName} matches several files (${matches.join(', ')}) - use the path:Name form`);
+  }
+  return `${matches[0]}:${contractName}`;
+}
+
+// Released compilers from GitHub, newest first, as vyper:X.Y.Z
+async function fetchVyperVersions(options = {}) {
+  let response;
+  try {
+    response = await axios.get(options.url || VYPER_RELEASES_URL, {
+      params: { per_page: 100 },
+      headers: { Accept: 'application/vnd.github+json' },
+      timeout: 10000
+    });
+  } catch (error) {
+    throw new Error(`Failed to fetch Vyper releases: ${error.message}`);
+  }
+
+  return response.data
+    .filter(release => !release.draft && (options.prereleases || !release.prerelease))
+    .map(release => `vyper:${release.tag_name.replace(/^v/, '')}`);
+}
+
+module.exports = {
+  VYPER_RELEASES_URL,
+  isVyperVersion,
+  isVyperSource,
+  parseImports,
+  optimizeSetting,
+  modulePath,
+  resolveSources,
+  buildVyperJsonInput,
+  qualifyContractName,
+  fetchVyperVersions
+};
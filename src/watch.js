@@ -0,0 +1,239 @@
+const { EventEmitter } = require('events');
+const rpc = require('./rpc');
+const { keccak256 } = require('./keccak');
+const { normalizeHex, extractConstructorArgs } = require('./bytecode');
+const errors = require('./errors');
+
+// Deterministic deployment proxy used by Foundry and Hardhat for CREATE2
+// deployments: calldata is a 32-byte salt followed by the init code
+const CREATE2_FACTORY = '0x4e59b44847b379578588920ca78fbf26c0b4956c';
+
+function create2Address(factory, salt, initCode) {
+  const hash = keccak256(Buffer.concat([
+    Buffer.from('ff', 'hex'),
+    Buffer.from(normalizeHex(factory), 'hex'),
+    Buffer.from(normalizeHex(salt), 'hex'),
+    keccak256(Buffer.from(normalizeHex(initCode), 'hex'))
+  ]));
+  return `0x${hash.slice(12).toString('hex')}`;
+}
+
+// Contract creations among a block's transactions: plain deployments (no
+// `to`) and calls to a CREATE2 factory, limited to `deployers` when given
+function findCreations(block, { deployers = [], factories = [CREATE2_FACTORY] } = {}) {
+  const creations = [];
+
+  for (const tx of block.transactions || []) {
+    if (typeof tx !== 'object') continue;
+    const from = String(tx.from).toLowerCase();
+    if (deployers.length > 0 && !deployers.includes(from)) continue;
+
+    const input = normalizeHex(tx.input || tx.data || '');
+    if (!tx.to) {
+      creations.push({ txHash: tx.hash, from, kind: 'create', initCode: input });
+    } else if (factories.includes(tx.to.toLowerCase()) && input.length > 64) {
+      const salt = input.slice(0, 64);
+      const initCode = input.slice(64);
+      creations.push({
+        txHash: tx.hash,
+        from,
+        kind: 'create2',
+        initCode,
+        address: create2Address(tx.to, salt, initCode)
+      });
+    }
+  }
+
+  return creations;
+}
+
+// The artifact whose creation bytecode starts the init code, with the
+// constructor arguments that follow it. The longest match wins so a small
+// contract can't shadow a larger one that begins the same way.
+function matchArtifact(artifacts, initCode) {
+  let best;
+  for (const artifact of artifacts) {
+    let constructorArgs;
+    try {
+      constructorArgs = extractConstructorArgs(initCode, artifact.creationBytecode);
+    } catch (error) {
+      continue;
+    }
+    if (!best || normalizeHex(artifact.creationBytecode).length > normalizeHex(best.artifact.creationBytecode).length) {
+      best = { artifact, constructorArgs };
+    }
+  }
+  return best;
+}
+
+// Polls a JSON-RPC node for new blocks, matches contract creations to local
+// artifacts and verifies them one at a time through the verifier. Emits
+// 'deployment', 'unmatched', 'result' and 'poll-error'.
+class DeploymentWatcher extends EventEmitter {
+  constructor(verifier, options) {
+    super();
+    this.verifier = verifier;
+    this.logger = verifier.logger;
+    this.rpcUrl = options.rpcUrl;
+    this.network = options.network;
+    this.artifacts = options.artifacts;
+    this.loadBuild = options.loadBuild;
+    this.deployers = (options.deployers || []).map(deployer => deployer.toLowerCase());
+    this.factories = (options.factories || [CREATE2_FACTORY]).map(factory => factory.toLowerCase());
+    this.blockInterval = options.blockInterval || 2000;
+    this.retries = options.retries === undefined ? 5 : options.retries;
+    this.retryDelay = options.retryDelay || 10000;
+    this.verifyOptions = options.verifyOptions || {};
+    this.nextBlock = options.fromBlock;
+    this.handled = { block: undefined, txHashes: new Set() };
+    this.queue = Promise.resolve();
+    this.running = null;
+    this.stopping = false;
+  }
+
+  async blockNumber() {
+    return parseInt(await rpc.call(this.rpcUrl, 'eth_blockNumber'), 16);
+  }
+
+  // Handle every block up to the node's latest; returns how many were processed
+  async poll() {
+    const latest = await this.blockNumber();
+    if (this.nextBlock === undefined) {
+      this.nextBlock = latest + 1;
+    }
+
+    let processed = 0;
+    while (this.nextBlock <= latest && !this.stopping) {
+      await this.processBlock(this.nextBlock);
+      this.nextBlock++;
+      processed++;
+    }
+    return processed;
+  }
+
+  // A block retried after a failed RPC call skips the creations it already
+  // handled, so none of them is verified twice
+  async processBlock(number) {
+    const block = await rpc.call(this.rpcUrl, 'eth_getBlockByNumber', [`0x${number.toString(16)}`, true]);
+    if (!block) {
+      return;
+    }
+
+    if (this.handled.block !== number) {
+      this.handled = { block: number, txHashes: new Set() };
+    }
+    for (const creation of findCreations(block, { deployers: this.deployers, factories: this.factories })) {
+      if (this.handled.txHashes.has(creation.txHash)) {
+        continue;
+      }
+      await this.handleCreation({ ...creation, blockNumber: number });
+      this.handled.txHashes.add(creation.txHash);
+    }
+  }
+
+  async handleCreation(creation) {
+    const receipt = await rpc.call(this.rpcUrl, 'eth_getTransactionReceipt', [creation.txHash]);
+    if (!receipt || receipt.status === '0x0') {
+      return;
+    }
+
+    const address = creation.kind === 'create' ? receipt.contractAddress : creation.address;
+    if (!address) {
+      return;
+    }
+
+    const match = matchArtifact(this.artifacts, creation.initCode);
+    if (!match) {
+      this.logger.log(`❔ No local artifact matches the contract deployed at ${address} (tx ${creation.txHash})`);
+      this.emit('unmatched', { ...creation, address });
+      return;
+    }
+
+    const deployment = {
+      ...creation,
+      address,
+      contractName: match.artifact.contractName,
+      constructorArgs: match.constructorArgs
+    };
+    this.logger.log(`🆕 ${deployment.contractName} deployed at ${address} in block ${creation.blockNumber}`);
+    this.emit('deployment', deployment);
+    this.enqueue(deployment);
+  }
+
+  // Verifications run one after another behind the block scan
+  enqueue(deployment) {
+    this.queue = this.queue.then(() => this.verify(deployment)).catch(() => {});
+    return this.queue;
+  }
+
+  // Explorers need a moment to index a fresh deployment, so "contract not
+  // found" is retried a few times
+  async verify(deployment) {
+    const entry = { network: this.network, address: deployment.address, contractName: deployment.contractName, txHash: deployment.txHash };
+
+    for (let attempt = 0; ; attempt++) {
+      let result;
+      try {
+        const build = await this.loadBuild(deployment.contractName);
+        result = await this.verifier.verifyContract({
+          ...this.verifyOptions,
+          ...build,
+          network: this.network,
+          address: deployment.address,
+          constructorArgs: deployment.constructorArgs
+        });
+      } catch (error) {
+        result = { success: false, status: 'error', code: error.code, message: error.message, error };
+      }
+
+      if (!result.success && result.error instanceof errors.ContractNotFoundError && attempt < this.retries) {
+        this.logger.log(`⏳ Explorer hasn't indexed ${deployment.address} yet - retrying in ${this.retryDelay / 1000}s`);
+        await this.verifier.sleep(this.retryDelay);
+        continue;
+      }
+
+      this.emit('result', { ...entry, ...result });
+      return result;
+    }
+  }
+
+  start() {
+    if (!this.running) {
+      this.stopping = false;
+      this.running = this.run();
+    }
+    return this;
+  }
+
+  // A failed poll (node restarting, RPC hiccup) is reported and retried from
+  // the same block on the next round
+  async run() {
+    while (!this.stopping) {
+      try {
+        await this.poll();
+      } catch (error) {
+        this.logger.error(`⚠️  ${error.message}`);
+        this.emit('poll-error', error);
+      }
+      if (!this.stopping) {
+        await this.verifier.sleep(this.blockInterval);
+      }
+    }
+  }
+
+  // Stop polling and wait for queued verifications to finish
+  async stop() {
+    this.stopping = true;
+    await this.running;
+    this.running = null;
+    await this.queue;
+  }
+}
+
+module.exports = {
+  CREATE2_FACTORY,
+  create2Address,
+  findCreations,
+  matchArtifact,
+  DeploymentWatcher
+};
@@ -19,7 +19,7 @@ async function testContractVerifier() {
   
   // Test 3: Address validation
   console.log('✅ Test 3: Address validation');
-  console.log('Valid address:', verifier.isValidAddress('0x742d35Cc6634C0532925a3b8D82d8C20C2f84c3c'));
+  console.log('Valid address:', verifier.isValidAddress('0x742d35cC6634C0532925a3b8D82d8c20c2f84c3c'));
   console.log('Invalid address:', verifier.isValidAddress('0x123'));
   console.log('');
   